@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Local sitemap proxy - runs worker/sitemap-proxy.js as a Node HTTP server
+ *
+ * An alternative to deploying the Cloudflare Worker: the same discovery, limits
+ * and parsing, for self-hosting or for running on localhost next to site/.
+ * Point <meta name="sitemap-proxy-url"> in site/index.html at it.
+ *
+ * Settings are the worker's environment variables, read from a JSON config file
+ * and from the environment, which wins over the file.
+ */
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Readable, pipeline } = require('node:stream');
+const { pathToFileURL } = require('node:url');
+
+const WORKER_PATH = path.join(__dirname, '..', 'worker', 'sitemap-proxy.js');
+
+const USAGE = `Usage: sitemap-proxy [--config <file>] [--port <n>] [--host <address>]
+
+Serves the sitemap proxy on http://127.0.0.1:8787 by default.
+
+Options:
+  --config <file>   JSON file with the settings below, e.g. { "PORT": 8080, "MAX_TOTAL_URLS": 500000 }
+                    (default: $SITEMAP_PROXY_CONFIG)
+  --port <n>        Overrides PORT
+  --host <address>  Overrides HOST
+  -h, --help        Show this help
+
+Settings (config file keys and environment variables):
+  PORT, HOST           Where to listen (default: 8787 on 127.0.0.1)
+  ALLOWED_ORIGINS      Comma-separated origins allowed to call the proxy; "*" allows any,
+                       "http://localhost:*" any port (default: localhost and 127.0.0.1, any port)
+  USER_AGENT           User agent for robots.txt and sitemap requests
+  MAX_CHILD_SITEMAPS   Larger sitemap indexes are sampled down to this many children
+  MAX_TOTAL_SITEMAPS   Sitemaps fetched per request
+  MAX_INDEX_DEPTH      Levels of nested sitemap indexes followed
+  MAX_TOTAL_URLS       URLs collected per request
+  MAX_SITEMAP_BYTES    Size limit of a single (uncompressed) sitemap
+  CONCURRENCY          Sitemaps fetched in parallel
+`;
+
+const SETTINGS = [
+    'PORT', 'HOST', 'ALLOWED_ORIGINS', 'USER_AGENT', 'MAX_CHILD_SITEMAPS', 'MAX_TOTAL_SITEMAPS',
+    'MAX_INDEX_DEPTH', 'MAX_TOTAL_URLS', 'MAX_SITEMAP_BYTES', 'CONCURRENCY'
+];
+
+// The worker defaults to the public demo's origin; locally, pages are served from localhost
+const DEFAULTS = {
+    PORT: 8787,
+    HOST: '127.0.0.1',
+    ALLOWED_ORIGINS: 'http://localhost:*,http://127.0.0.1:*'
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { config: null, port: null, host: null, help: false };
+    const flags = { '--config': 'config', '--port': 'port', '--host': 'host' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+            continue;
+        }
+        const key = flags[arg];
+        if (!key) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (i + 1 >= argv.length) {
+            throw new UsageError(`Option ${arg} requires a value`);
+        }
+        options[key] = argv[++i];
+    }
+
+    return options;
+}
+
+/**
+ * Combine the defaults, the config file and the environment into the worker's env.
+ * @param {string|null} configFile - JSON file with settings, or null
+ * @param {Object} environment - Usually process.env; only SETTINGS are taken from it
+ * @returns {Object} - Setting name -> value
+ */
+function loadSettings(configFile, environment) {
+    let fileSettings = {};
+    if (configFile) {
+        try {
+            fileSettings = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read config ${configFile}: ${err.message}`);
+        }
+        const unknown = Object.keys(fileSettings).filter(name => !SETTINGS.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown settings in ${configFile}: ${unknown.join(', ')}`);
+        }
+    }
+
+    const settings = { ...DEFAULTS, ...fileSettings };
+    for (const name of SETTINGS) {
+        if (environment[name] !== undefined && environment[name] !== '') {
+            settings[name] = environment[name];
+        }
+    }
+    return settings;
+}
+
+/**
+ * An HTTP server answering like the worker, not yet listening.
+ * Rejects with the worker's message when the settings are invalid.
+ * @param {Object} settings - Output of loadSettings
+ * @returns {Promise<http.Server>}
+ */
+async function createServer(settings) {
+    const worker = (await import(pathToFileURL(WORKER_PATH).href)).default;
+
+    // The worker validates its settings on every request; fail at startup instead
+    const check = await worker.fetch(new Request('http://localhost/', { method: 'OPTIONS' }), settings);
+    if (check.status >= 500) {
+        throw new Error((await check.json()).error);
+    }
+
+    return http.createServer((req, res) => {
+        handleRequest(worker, settings, req, res).catch(err => {
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+            }
+            res.end(JSON.stringify({ error: err.message }));
+        });
+    });
+}
+
+/**
+ * Translate between Node's http module and the worker's fetch(Request) -> Response.
+ */
+async function handleRequest(worker, settings, req, res) {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(req.headers)) {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    }
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    const response = await worker.fetch(new Request(url, { method: req.method, headers }), settings);
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    // Streams ndjson progress as it comes; a closed connection cancels the worker's stream
+    pipeline(Readable.fromWeb(response.body), res, () => {});
+}
+
+async function main(argv) {
+    let options;
+    let server;
+    let settings;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return;
+        }
+        settings = loadSettings(options.config || process.env.SITEMAP_PROXY_CONFIG || null, process.env);
+        if (options.port !== null) settings.PORT = options.port;
+        if (options.host !== null) settings.HOST = options.host;
+        server = await createServer(settings);
+    } catch (err) {
+        process.stderr.write(err instanceof UsageError
+            ? `${err.message}\n\n${USAGE}`
+            : `sitemap-proxy: ${err.message}\n`);
+        process.exitCode = 1;
+        return;
+    }
+
+    server.on('error', err => {
+        process.stderr.write(`sitemap-proxy: ${err.message}\n`);
+        process.exitCode = 1;
+    });
+    server.listen(Number(settings.PORT), settings.HOST, () => {
+        const { address, port } = server.address();
+        process.stdout.write(`Sitemap proxy listening on http://${address}:${port}/ ` +
+            `(allowed origins: ${settings.ALLOWED_ORIGINS})\n`);
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { loadSettings, createServer };
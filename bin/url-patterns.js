@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+/**
+ * URL Pattern Analyzer - command-line interface
+ *
+ * Reads URLs from files or stdin (plain lists, sitemap XML, CSV/TSV columns,
+ * crawler and Search Console exports, access logs),
+ * runs UrlAnalyzer and prints the patterns as a table, JSON, CSV or Markdown.
+ * With --diff, compares the patterns of two inputs (before/after a migration).
+ *
+ * Exit codes: 0 = OK, 1 = usage or input error, 2 = a --max-* threshold was exceeded.
+ */
+
+const fs = require('node:fs');
+const UrlAnalyzer = require('../site/js/analyzer.js');
+const PatternDiff = require('../site/js/pattern-diff.js');
+const UrlImporter = require('../site/js/url-import.js');
+const ResultExporter = require('../site/js/result-exporter.js');
+const RobotsTxt = require('../site/js/robots.js');
+
+const USAGE = `Usage: url-patterns [options] [file...]
+       url-patterns --diff [options] <before> <after>
+
+Reads URLs from the given files, or from stdin when no file (or "-") is given.
+
+Input:
+  --input-format <fmt>     auto (default), text, sitemap, csv, tsv, screaming-frog,
+                           gsc, log (Apache/nginx access log)
+  --column <name|number>   CSV/TSV column with the URLs (default: auto-detect)
+  --base-url <url>         Scheme and host for the paths in access logs
+
+Analysis:
+  --config <file>          JSON file with UrlAnalyzer options, such as a profile saved
+                           on the page with its refinements (flags below override it)
+  --query-mode <mode>      ignore (default), keep, sort
+  --typed                  Typed placeholders ({id:int}, {slug}, ...) instead of …
+  --placeholder <text>     Placeholder for masked segments (default: …)
+  --masking <mode>         cardinality (default) or count
+  --min-siblings <n>       Mask only when at least n sibling values (default: 2)
+  --max-masked-count <n>   count masking: mask values seen in at most n URLs (default: 1)
+  --ignore-case            Lowercase paths before analysis
+  --trailing-slash         Treat /a and /a/ as different patterns
+  --strip-index            Treat /dir/index.html as /dir
+  --collapse-variants      Count pagination, trailing-slash, index.html, mixed-case (with
+                           --ignore-case) and http/https variants of a page once (table
+                           lists them)
+  --locales                Fold language variants (/en/, /de-de/, fr.example.com) into
+                           {locale}, with per-locale URL counts (json)
+  --keep-literal <list>    Comma-separated segments never masked (/regex/ allowed)
+  --force-mask <list>      Comma-separated segments always masked (/regex/ allowed)
+  --meaningful-subdomains <list>
+                           Comma-separated subdomains never masked (replaces the defaults)
+  --routes <list>          Comma-separated known routes, matched before discovery
+                           (/{lang}/products/{id:int}, /blog/*, /docs/**)
+
+Comparison:
+  --diff                   Compare the patterns of two inputs: appeared, disappeared,
+                           grew, shrank, and URLs whose pattern changed
+  --ignore-origin          With --diff, compare paths only (new domain, http -> https)
+
+robots.txt:
+  --robots <file>          Check every pattern's URLs against a robots.txt file, by path
+                           whatever their host (not used with --diff or --outliers)
+  --user-agent <agent>     User agent the --robots rules are checked for (default: *)
+
+Output:
+  -f, --format <fmt>       table (default), json, csv, markdown, or mapping (CSV of
+                           every URL with its pattern, not used with --diff)
+  --include-urls           Include member URLs (json, csv, markdown), or with --diff list
+                           the URLs whose pattern changed (table, markdown)
+  --outliers               List the URLs that don't fit their group, with a score and
+                           reasons, instead of the patterns (table, json, csv)
+  -o, --output <file>      Write to a file instead of stdout
+
+Thresholds (exit code 2 when exceeded, not used with --diff):
+  --max-patterns <n>       Maximum number of patterns
+  --max-pattern-urls <n>   Maximum number of URLs in a single pattern
+
+  -h, --help               Show this help
+`;
+
+// Flag name -> option key; flags that take a value are listed in VALUE_FLAGS
+const FLAGS = {
+    '--input-format': 'inputFormat',
+    '--column': 'column',
+    '--base-url': 'baseUrl',
+    '--config': 'config',
+    '--query-mode': 'queryMode',
+    '--typed': 'typed',
+    '--placeholder': 'placeholder',
+    '--masking': 'masking',
+    '--min-siblings': 'minSiblings',
+    '--max-masked-count': 'maxMaskedCount',
+    '--ignore-case': 'ignoreCase',
+    '--trailing-slash': 'trailingSlash',
+    '--strip-index': 'stripIndex',
+    '--collapse-variants': 'collapseVariants',
+    '--locales': 'locales',
+    '--keep-literal': 'keepLiteral',
+    '--force-mask': 'forceMask',
+    '--meaningful-subdomains': 'meaningfulSubdomains',
+    '--routes': 'routes',
+    '--diff': 'diff',
+    '--ignore-origin': 'ignoreOrigin',
+    '--robots': 'robots',
+    '--user-agent': 'userAgent',
+    '-f': 'format',
+    '--format': 'format',
+    '--include-urls': 'includeUrls',
+    '--outliers': 'outliers',
+    '-o': 'output',
+    '--output': 'output',
+    '--max-patterns': 'maxPatterns',
+    '--max-pattern-urls': 'maxPatternUrls',
+    '-h': 'help',
+    '--help': 'help'
+};
+const VALUE_FLAGS = new Set([
+    'inputFormat', 'column', 'baseUrl', 'config', 'queryMode', 'placeholder', 'masking', 'minSiblings', 'maxMaskedCount',
+    'keepLiteral', 'forceMask', 'meaningfulSubdomains', 'routes', 'robots', 'userAgent', 'format', 'output',
+    'maxPatterns', 'maxPatternUrls'
+]);
+const NUMBER_FLAGS = new Set(['minSiblings', 'maxMaskedCount', 'maxPatterns', 'maxPatternUrls']);
+const LIST_FLAGS = new Set(['keepLiteral', 'forceMask', 'meaningfulSubdomains', 'routes']);
+
+const CHOICES = {
+    inputFormat: ['auto', ...Object.keys(UrlImporter.FORMATS)],
+    queryMode: ['ignore', 'keep', 'sort'],
+    masking: ['cardinality', 'count'],
+    format: ['table', ...Object.keys(ResultExporter.FORMATS)]
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments.
+ * @param {string[]} argv - Arguments without "node" and the script path.
+ * @returns {{options: Object, files: string[]}}
+ */
+function parseArgs(argv) {
+    // Analysis options are null unless given, so they don't override --config
+    const options = {
+        inputFormat: 'auto',
+        column: null,
+        baseUrl: null,
+        config: null,
+        queryMode: null,
+        typed: null,
+        placeholder: null,
+        masking: null,
+        minSiblings: null,
+        maxMaskedCount: null,
+        ignoreCase: null,
+        trailingSlash: null,
+        stripIndex: null,
+        collapseVariants: null,
+        locales: null,
+        keepLiteral: null,
+        forceMask: null,
+        meaningfulSubdomains: null,
+        routes: null,
+        diff: false,
+        ignoreOrigin: false,
+        robots: null,
+        userAgent: '*',
+        format: 'table',
+        includeUrls: false,
+        outliers: false,
+        output: null,
+        maxPatterns: null,
+        maxPatternUrls: null,
+        help: false
+    };
+    const files = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value = null;
+
+        // --flag=value
+        const eq = arg.indexOf('=');
+        if (arg.startsWith('--') && eq !== -1) {
+            value = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+
+        if (arg === '-' || !arg.startsWith('-')) {
+            files.push(arg);
+            continue;
+        }
+
+        const key = FLAGS[arg];
+        if (!key) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+
+        if (!VALUE_FLAGS.has(key)) {
+            options[key] = true;
+            continue;
+        }
+
+        if (value === null) {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`Option ${arg} requires a value`);
+            }
+            value = argv[++i];
+        }
+
+        if (CHOICES[key] && !CHOICES[key].includes(value)) {
+            throw new UsageError(`Invalid value for ${arg}: ${value} (expected ${CHOICES[key].join(', ')})`);
+        }
+        if (NUMBER_FLAGS.has(key)) {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new UsageError(`Option ${arg} expects a non-negative integer`);
+            }
+            value = number;
+        }
+        if (LIST_FLAGS.has(key)) {
+            value = value.split(',').map(v => v.trim()).filter(v => v.length > 0);
+        }
+        options[key] = value;
+    }
+
+    return { options, files };
+}
+
+/**
+ * Read URLs from one input, as entries with the metrics of tables and logs.
+ */
+function readUrls(content, filename, options) {
+    const importer = new UrlImporter({
+        format: options.inputFormat,
+        column: options.column,
+        baseUrl: options.baseUrl
+    });
+    return importer.parse(content, filename).entries;
+}
+
+/**
+ * @param {Object[]} patterns
+ * @param {Object|null} [coverage] - UrlAnalyzer.coverage when routes were declared.
+ * @param {Object|null} [variants] - UrlAnalyzer.findVariants, listed when there are any.
+ */
+function formatTable(patterns, coverage = null, variants = null) {
+    const countWidth = Math.max(5, ...patterns.map(p => String(p.count).length));
+    const lines = [`${'COUNT'.padStart(countWidth)}  PATTERN`];
+    for (const p of patterns) {
+        const indent = p.depth > 0 ? '  '.repeat(p.depth - 1) + '└─ ' : '';
+        const source = coverage && p.source === 'declared' ? '  (declared)' : '';
+        const robots = p.robots ? `  [robots.txt: ${RobotsTxt.describeCheck(p.robots)}]` : '';
+        lines.push(`${String(p.count).padStart(countWidth)}  ${indent}${p.pattern}${source}${robots}`);
+    }
+    if (coverage) {
+        lines.push('', `Declared routes cover ${coverage.declared} of ${coverage.urls} URLs ` +
+            `(${Math.round(coverage.ratio * 100)}%)`);
+    }
+    if (variants && variants.families.length > 0) {
+        lines.push('', `Duplicates and pagination: ${variants.duplicates} variant URLs`);
+        for (const [kind, { families, urls }] of Object.entries(variants.kinds)) {
+            if (families === 0) continue;
+            const example = variants.families.find(f => f.kinds.includes(kind));
+            lines.push(`  ${kind.padEnd(14)}  ${families} families, ${urls} URLs, ` +
+                `e.g. ${example.examples[kind]} -> ${example.canonical}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+const DIFF_STATUSES = ['added', 'removed', 'grown', 'shrunk', 'unchanged'];
+
+function diffRows(diff) {
+    return DIFF_STATUSES.flatMap(status => diff[status].map(entry => ({ status, ...entry })));
+}
+
+function formatChange(change) {
+    return change > 0 ? `+${change}` : String(change);
+}
+
+function formatDiffTable(diff, includeUrls) {
+    const { before, after } = diff.totals;
+    const lines = [
+        `Before: ${before.patterns} patterns, ${before.urls} URLs`,
+        `After:  ${after.patterns} patterns, ${after.urls} URLs`,
+        ''
+    ];
+
+    const rows = diffRows(diff);
+    const width = Math.max(6, ...rows.map(r => Math.max(String(r.before).length, String(r.after).length)));
+    lines.push(`STATUS     ${'BEFORE'.padStart(width)}  ${'AFTER'.padStart(width)}  ${'CHANGE'.padStart(width)}  PATTERN`);
+    for (const row of rows) {
+        lines.push([
+            row.status.padEnd(9),
+            String(row.before).padStart(width),
+            String(row.after).padStart(width),
+            formatChange(row.change).padStart(width),
+            row.pattern
+        ].join('  '));
+    }
+
+    lines.push('', `${diff.changedUrls.length} URLs present in both inputs changed pattern`);
+    if (includeUrls) {
+        for (const entry of diff.changedUrls) {
+            lines.push(`  ${entry.url}`, `    ${entry.before} -> ${entry.after}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatDiffCsv(diff) {
+    const lines = ['status,pattern,before,after,change'];
+    for (const row of diffRows(diff)) {
+        lines.push([row.status, ResultExporter.csvCell(row.pattern), row.before, row.after, row.change].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatDiffMarkdown(diff, includeUrls) {
+    const escape = ResultExporter.escapeMarkdownCell;
+    const code = value => escape(ResultExporter.codeSpan(value));
+    const lines = ['| Status | Pattern | Before | After | Change |', '| --- | --- | ---: | ---: | ---: |'];
+    for (const row of diffRows(diff)) {
+        lines.push(`| ${row.status} | ${code(row.pattern)} | ${row.before} | ${row.after} | ${formatChange(row.change)} |`);
+    }
+    if (includeUrls && diff.changedUrls.length > 0) {
+        lines.push('', '| URL | Before | After |', '| --- | --- | --- |');
+        for (const entry of diff.changedUrls) {
+            lines.push(`| ${escape(entry.url)} | ${code(entry.before)} | ${code(entry.after)} |`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatDiff(diff, options) {
+    switch (options.format) {
+        case 'json': return JSON.stringify(diff, null, 2) + '\n';
+        case 'csv': return formatDiffCsv(diff);
+        case 'markdown': return formatDiffMarkdown(diff, options.includeUrls);
+        default: return formatDiffTable(diff, options.includeUrls);
+    }
+}
+
+/**
+ * @param {Object} outliers - UrlAnalyzer.findOutliers
+ * @param {string} format - table, json or csv
+ */
+function formatOutliers(outliers, format) {
+    if (format === 'json') {
+        return JSON.stringify(outliers.urls, null, 2) + '\n';
+    }
+    if (format === 'csv') {
+        const lines = ['url,pattern,score,reasons'];
+        for (const o of outliers.urls) {
+            lines.push([ResultExporter.csvCell(o.url), ResultExporter.csvCell(o.pattern), o.score,
+                o.reasons.map(r => r.code).join(' ')].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    const lines = ['SCORE  URL'];
+    for (const o of outliers.urls) {
+        lines.push(`${String(Math.round(o.score * 100)).padStart(5)}  ${o.url}`);
+        for (const reason of o.reasons) {
+            lines.push(`       - ${reason.message}`);
+        }
+    }
+    lines.push('', `${outliers.urls.length} outlier URLs in ${outliers.patterns.length} patterns`);
+    return lines.join('\n') + '\n';
+}
+
+function formatOutput(patterns, options, analyzer, urls) {
+    if (options.outliers) {
+        return formatOutliers(analyzer.findOutliers(patterns), options.format);
+    }
+    if (options.format === 'table') {
+        const coverage = analyzer.routes.length > 0 ? analyzer.coverage(patterns) : null;
+        // Another pass over all URLs, so only when variants were asked for
+        const variants = analyzer.collapseVariants ? analyzer.findVariants(urls) : null;
+        return formatTable(patterns, coverage, variants);
+    }
+    return new ResultExporter().export(patterns, options.format, { includeUrls: options.includeUrls });
+}
+
+/**
+ * Combine the --config file with analysis flags into UrlAnalyzer options.
+ */
+function buildAnalyzerOptions(options) {
+    let analyzerOptions = {};
+    if (options.config) {
+        try {
+            analyzerOptions = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read config ${options.config}: ${err.message}`);
+        }
+    }
+
+    const flags = {
+        queryMode: options.queryMode,
+        typedPlaceholders: options.typed,
+        placeholder: options.placeholder,
+        masking: options.masking,
+        minSiblings: options.minSiblings,
+        maxMaskedCount: options.maxMaskedCount,
+        caseSensitive: options.ignoreCase === null ? null : !options.ignoreCase,
+        ignoreTrailingSlash: options.trailingSlash === null ? null : !options.trailingSlash,
+        stripIndexPages: options.stripIndex,
+        collapseVariants: options.collapseVariants,
+        detectLocales: options.locales,
+        keepLiteral: options.keepLiteral,
+        forceMask: options.forceMask,
+        meaningfulSubdomains: options.meaningfulSubdomains,
+        routes: options.routes
+    };
+    for (const [key, value] of Object.entries(flags)) {
+        if (value !== null) {
+            analyzerOptions[key] = value;
+        }
+    }
+
+    return analyzerOptions;
+}
+
+/**
+ * Check the --max-* thresholds.
+ * @returns {string[]} - One message per exceeded threshold.
+ */
+function checkThresholds(patterns, options) {
+    const violations = [];
+    if (options.maxPatterns !== null && patterns.length > options.maxPatterns) {
+        violations.push(`${patterns.length} patterns found (maximum: ${options.maxPatterns})`);
+    }
+    if (options.maxPatternUrls !== null) {
+        for (const p of patterns) {
+            if (p.count > options.maxPatternUrls) {
+                violations.push(`${p.pattern} has ${p.count} URLs (maximum: ${options.maxPatternUrls})`);
+            }
+        }
+    }
+    return violations;
+}
+
+// Returns false (after reporting why) when the --output file can't be written
+function writeOutput(output, options) {
+    if (!options.output) {
+        process.stdout.write(output);
+        return true;
+    }
+    try {
+        fs.writeFileSync(options.output, output);
+    } catch (err) {
+        process.stderr.write(`url-patterns: cannot write ${options.output}: ${err.message}\n`);
+        return false;
+    }
+    return true;
+}
+
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        return 1;
+    }
+    const { options, files } = parsed;
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    if (options.diff && options.format === 'mapping') {
+        process.stderr.write(`--format mapping is not available with --diff\n\n${USAGE}`);
+        return 1;
+    }
+
+    if (options.outliers && !['table', 'json', 'csv'].includes(options.format)) {
+        process.stderr.write(`--format ${options.format} is not available with --outliers\n\n${USAGE}`);
+        return 1;
+    }
+
+    if (options.diff && files.length !== 2) {
+        process.stderr.write(`--diff expects exactly two inputs (before and after)\n\n${USAGE}`);
+        return 1;
+    }
+
+    const inputs = files.length > 0 ? files : ['-'];
+    const urlLists = [];
+    let analyzer;
+    let robots = null;
+    try {
+        analyzer = new UrlAnalyzer(buildAnalyzerOptions(options));
+        for (const file of inputs) {
+            const content = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+            urlLists.push(readUrls(content, file === '-' ? null : file, options));
+        }
+        if (options.robots) {
+            robots = new RobotsTxt(fs.readFileSync(options.robots, 'utf8'));
+        }
+    } catch (err) {
+        process.stderr.write(`url-patterns: ${err.message}\n`);
+        return 1;
+    }
+
+    if (options.diff) {
+        const diff = new PatternDiff({ ignoreOrigin: options.ignoreOrigin })
+            .diff(analyzer.analyze(urlLists[0]), analyzer.analyze(urlLists[1]));
+        return writeOutput(formatDiff(diff, options), options) ? 0 : 1;
+    }
+
+    const urls = urlLists.flat();
+    const patterns = analyzer.analyze(urls);
+    if (robots) {
+        robots.annotate(patterns, options.userAgent);
+    }
+    if (!writeOutput(formatOutput(patterns, options, analyzer, urls), options)) {
+        return 1;
+    }
+
+    const violations = checkThresholds(patterns, options);
+    for (const message of violations) {
+        process.stderr.write(`url-patterns: threshold exceeded: ${message}\n`);
+    }
+    return violations.length > 0 ? 2 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,126 @@
+/**
+ * Measures UrlAnalyzer throughput on a synthetic URL set.
+ *
+ * Usage:
+ *   node scripts/benchmark.js [--urls 200000] [--domains 2000] [--runs 3] [--seed 1]
+ *
+ * The set mixes product IDs, blog slugs, dated archives, category trees, query
+ * strings and one-off pages across many domains, so it yields tens of thousands
+ * of patterns like a noisy multi-site crawl. The same seed gives the same URLs.
+ */
+
+const UrlAnalyzer = require('../site/js/analyzer.js');
+
+const DEFAULTS = { urls: 200000, domains: 2000, runs: 3, seed: 1 };
+
+const WORDS = [
+    'red', 'blue', 'green', 'summer', 'winter', 'classic', 'modern', 'organic', 'premium', 'basic',
+    'shoe', 'shirt', 'dress', 'lamp', 'chair', 'table', 'guide', 'review', 'news', 'tips',
+    'how', 'to', 'best', 'new', 'sale', 'kids', 'women', 'men', 'home', 'garden'
+];
+const CATEGORIES = ['electronics', 'fashion', 'books', 'toys', 'sports', 'garden', 'beauty', 'food'];
+const PAGES = ['about', 'contact', 'faq', 'privacy', 'terms', 'careers', 'press', 'shipping'];
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in DEFAULTS)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        options[key] = Number(argv[++i]);
+        if (!Number.isInteger(options[key]) || options[key] < 1) {
+            throw new Error(`Option --${key} expects a positive integer`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32), so runs are comparable.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function generateUrls(count, domainCount, seed) {
+    const random = createRandom(seed);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const int = max => Math.floor(random() * max);
+    const slug = () => Array.from({ length: 2 + int(4) }, () => pick(WORDS)).join('-') + '-' + int(100000);
+
+    const urls = [];
+    for (let i = 0; i < count; i++) {
+        const host = `https://www.site${int(domainCount)}.com`;
+        const kind = random();
+
+        if (kind < 0.3) {
+            urls.push(`${host}/products/${int(1e6)}`);
+        } else if (kind < 0.45) {
+            urls.push(`${host}/blog/${slug()}`);
+        } else if (kind < 0.55) {
+            const month = String(1 + int(12)).padStart(2, '0');
+            urls.push(`${host}/news/${2015 + int(10)}/${month}/${slug()}`);
+        } else if (kind < 0.75) {
+            urls.push(`${host}/category/${pick(CATEGORIES)}/${pick(WORDS)}/${int(5000)}`);
+        } else if (kind < 0.85) {
+            urls.push(`${host}/search?q=${pick(WORDS)}&page=${1 + int(20)}`);
+        } else if (kind < 0.95) {
+            urls.push(`${host}/${pick(PAGES)}`);
+        } else {
+            urls.push(`${host}/${slug()}/${pick(WORDS)}`);
+        }
+    }
+    return urls;
+}
+
+function formatRate(count, ms) {
+    return `${Math.round(count / (ms / 1000)).toLocaleString('en-US')}/s`;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const urls = generateUrls(options.urls, options.domains, options.seed);
+    const analyzer = new UrlAnalyzer({ queryMode: 'keep' });
+
+    console.log(`${urls.length.toLocaleString('en-US')} URLs on ${options.domains} domains, ${options.runs} run(s)`);
+
+    for (let run = 1; run <= options.runs; run++) {
+        const stageStart = new Map();
+        const stageEnd = new Map();
+        const start = performance.now();
+
+        const patterns = analyzer.analyze(urls, {
+            onProgress: ({ stage }) => {
+                const now = performance.now();
+                if (!stageStart.has(stage)) stageStart.set(stage, now);
+                stageEnd.set(stage, now);
+            }
+        });
+
+        const total = performance.now() - start;
+        const stages = UrlAnalyzer.STAGES
+            .map(stage => `${stage} ${Math.round(stageEnd.get(stage) - stageStart.get(stage))} ms`)
+            .join(', ');
+        console.log(`run ${run}: ${Math.round(total)} ms (${formatRate(urls.length, total)} URLs), ` +
+            `${patterns.length.toLocaleString('en-US')} patterns - ${stages}`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { generateUrls };
@@ -0,0 +1,115 @@
+/**
+ * Regenerates site/js/public-suffix-data.js from the Public Suffix List.
+ *
+ * Usage:
+ *   node scripts/update-public-suffix-list.js            (downloads the current list)
+ *   node scripts/update-public-suffix-list.js list.dat   (uses a local copy)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { domainToASCII } = require('node:url');
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT_FILE = path.join(__dirname, '..', 'site', 'js', 'public-suffix-data.js');
+
+/**
+ * Parse the .dat format into ICANN and private rule lists.
+ * Rules are converted to punycode, because that's what URL.hostname returns.
+ * @param {string} text - Contents of public_suffix_list.dat.
+ * @returns {{icann: string[], private: string[]}}
+ */
+function parseList(text) {
+    const sections = { icann: [], private: [] };
+    let section = 'icann';
+
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (line.includes('===BEGIN PRIVATE DOMAINS===')) {
+            section = 'private';
+            continue;
+        }
+        if (line.length === 0 || line.startsWith('//')) continue;
+
+        // Rules end at the first whitespace
+        const rule = line.split(/\s/)[0];
+        const prefix = rule.startsWith('!') ? '!' : rule.startsWith('*.') ? '*.' : '';
+        const ascii = domainToASCII(rule.slice(prefix.length));
+        if (ascii) {
+            sections[section].push(prefix + ascii);
+        }
+    }
+
+    return sections;
+}
+
+/**
+ * Group rules by their top-level label, one line per TLD, to keep the file diffable.
+ */
+function formatRules(rules) {
+    const byTld = new Map();
+    for (const rule of rules) {
+        const tld = rule.slice(rule.lastIndexOf('.') + 1);
+        if (!byTld.has(tld)) byTld.set(tld, []);
+        byTld.get(tld).push(rule);
+    }
+
+    return [...byTld.keys()]
+        .sort()
+        .map(tld => `        '${byTld.get(tld).join(' ')}'`)
+        .join(',\n');
+}
+
+function render(sections) {
+    return `/**
+ * Public Suffix List data
+ *
+ * Generated by scripts/update-public-suffix-list.js - do not edit by hand.
+ * Source: ${LIST_URL}
+ * License: Mozilla Public License 2.0 (https://mozilla.org/MPL/2.0/)
+ *
+ * Rules are space-separated and grouped by top-level label.
+ */
+
+const PUBLIC_SUFFIX_DATA = {
+    icann: [
+${formatRules(sections.icann)}
+    ].join(' '),
+    private: [
+${formatRules(sections.private)}
+    ].join(' ')
+};
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.PUBLIC_SUFFIX_DATA = PUBLIC_SUFFIX_DATA;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PUBLIC_SUFFIX_DATA;
+}
+`;
+}
+
+async function main() {
+    const source = process.argv[2];
+    let text;
+    if (source) {
+        text = fs.readFileSync(source, 'utf8');
+    } else {
+        const response = await fetch(LIST_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to download ${LIST_URL}: HTTP ${response.status}`);
+        }
+        text = await response.text();
+    }
+
+    const sections = parseList(text);
+    fs.writeFileSync(OUTPUT_FILE, render(sections));
+    console.log(`Wrote ${sections.icann.length} ICANN and ${sections.private.length} private rules to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,34 @@
+/**
+ * Analysis Web Worker
+ *
+ * Runs UrlAnalyzer off the main thread so large URL lists don't freeze the page.
+ *
+ * Message in:  { urls: Array<string|Object>, options: Object } - URLs or entries, options for the UrlAnalyzer constructor
+ * Messages out:
+ *   { type: 'progress', stage, done, total } - see UrlAnalyzer.STAGES
+ *   { type: 'result', patterns, variants, outliers } - UrlAnalyzer.findVariants of the URLs,
+ *     UrlAnalyzer.findOutliers of the patterns
+ *   { type: 'error', message }
+ *
+ * Cancel by terminating the worker.
+ */
+
+importScripts('public-suffix-data.js', 'public-suffix.js', 'analyzer.js');
+
+self.onmessage = (event) => {
+    const { urls, options } = event.data;
+
+    try {
+        const analyzer = new UrlAnalyzer(options);
+        const onProgress = progress => self.postMessage({ type: 'progress', ...progress });
+        const patterns = analyzer.analyze(urls, { onProgress });
+        self.postMessage({
+            type: 'result',
+            patterns,
+            variants: analyzer.findVariants(urls, { onProgress }),
+            outliers: analyzer.findOutliers(patterns, { onProgress })
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -3,49 +3,648 @@
  */
 
 class UrlAnalyzer {
-    constructor() {
-        this.placeholder = '…';
-        // Subdomains that indicate distinct site sections - never mask these
-        this.meaningfulSubdomains = new Set([
-            'www', 'blog', 'shop', 'store', 'api', 'cdn', 'static', 'assets',
-            'mail', 'email', 'admin', 'app', 'dashboard', 'portal', 'support',
-            'help', 'docs', 'developer', 'developers', 'dev', 'staging', 'test',
-            'm', 'mobile', 'secure', 'account', 'accounts', 'auth', 'login',
-            'images', 'img', 'media', 'video', 'news', 'forum', 'community'
-        ]);
+    /**
+     * @param {Object} [options] - Overrides for UrlAnalyzer.DEFAULT_OPTIONS (see there for descriptions).
+     */
+    constructor(options = {}) {
+        for (const key of Object.keys(options)) {
+            if (!(key in UrlAnalyzer.DEFAULT_OPTIONS)) {
+                throw new Error(`Unknown UrlAnalyzer option: ${key}`);
+            }
+        }
+        const settings = { ...UrlAnalyzer.DEFAULT_OPTIONS, ...options };
+
+        this.placeholder = settings.placeholder;
+        this.typedPlaceholders = settings.typedPlaceholders;
+        this.maxPlaceholderSamples = settings.maxPlaceholderSamples;
+        this.queryMode = settings.queryMode;
+        this.maxEnumerableValues = settings.maxEnumerableValues;
+        this.minSiblings = settings.minSiblings;
+        this.masking = settings.masking;
+        this.maxMaskedCount = settings.maxMaskedCount;
+        this.routeCountFactor = settings.routeCountFactor;
+        this.minDistinctRatio = settings.minDistinctRatio;
+        this.minStructureSimilarity = settings.minStructureSimilarity;
+        this.caseSensitive = settings.caseSensitive;
+        this.ignoreTrailingSlash = settings.ignoreTrailingSlash;
+        this.stripIndexPages = settings.stripIndexPages;
+        this.detectLocales = settings.detectLocales;
+        this.collapseVariants = settings.collapseVariants;
+        this.meaningfulSubdomains = new Set(settings.meaningfulSubdomains.map(s => s.toLowerCase()));
+        this.keepLiteral = this.compileSegmentList(settings.keepLiteral);
+        this.forceMask = this.compileSegmentList(settings.forceMask);
+        this.refinements = this.indexRefinements(settings.refinements);
+        this.routes = settings.routes.map(route => this.compileRoute(route));
+
+        // Registrable domains come from the Public Suffix List (example.co.uk, user.github.io)
+        const SuffixList = typeof PublicSuffixList !== 'undefined'
+            ? PublicSuffixList
+            : require('./public-suffix.js');
+        this.publicSuffixList = new SuffixList({ includePrivate: settings.includePrivateSuffixes });
+    }
+
+    /**
+     * Normalize a keep-literal/force-mask list: strings written as "/regex/flags"
+     * become RegExps, other strings match a segment exactly.
+     * @param {Array<string|RegExp>} list
+     * @returns {Array<string|RegExp>}
+     */
+    compileSegmentList(list) {
+        return list.map(entry => {
+            if (entry instanceof RegExp) return entry;
+            const match = /^\/(.+)\/([a-z]*)$/.exec(entry);
+            return match ? new RegExp(match[1], match[2]) : entry;
+        });
+    }
+
+    matchesSegmentList(value, list) {
+        return list.some(entry => entry instanceof RegExp ? entry.test(value) : entry === value);
+    }
+
+    /**
+     * Group refinements by the position they apply to.
+     * @param {Object[]} refinements - See UrlAnalyzer.DEFAULT_OPTIONS.refinements.
+     * @returns {Map<string, Object>} - at -> { split, mask: Set, literal: Set, merges: Set[] }
+     */
+    indexRefinements(refinements) {
+        const index = new Map();
+        for (const rule of refinements) {
+            const valid = rule && UrlAnalyzer.REFINEMENT_ACTIONS.includes(rule.action) &&
+                typeof rule.at === 'string' &&
+                (rule.action === 'split' || (Array.isArray(rule.values) && rule.values.length > 0));
+            if (!valid) {
+                throw new Error(`Invalid refinement: ${JSON.stringify(rule)}`);
+            }
+
+            const at = UrlAnalyzer.normalizePosition(rule.at);
+            if (!index.has(at)) {
+                index.set(at, { split: false, mask: new Set(), literal: new Set(), merges: [] });
+            }
+            const position = index.get(at);
+            if (rule.action === 'split') position.split = true;
+            if (rule.action === 'mask') rule.values.forEach(value => position.mask.add(value));
+            if (rule.action === 'literal') rule.values.forEach(value => position.literal.add(value));
+            if (rule.action === 'merge') position.merges.push(new Set(rule.values));
+        }
+        return index;
+    }
+
+    /**
+     * Position of the children of a pattern prefix, as refinements name it:
+     * the prefix pattern with masked segments as "*" and no trailing slash.
+     */
+    positionKey(pathStack) {
+        const prefix = this.buildPatternString(pathStack.map(seg => seg.masked ? { ...seg, val: '*' } : seg));
+        return UrlAnalyzer.normalizePosition(prefix);
+    }
+
+    static normalizePosition(at) {
+        return at.replace(/\/+$/, '');
+    }
+
+    /**
+     * Is a segment or subdomain a BCP-47 locale: an ISO 639-1 language, optionally
+     * with a script and a region (en, en-us, de_DE, zh-Hant-TW, es-419).
+     */
+    static isLocaleCode(value) {
+        const match = /^([a-z]{2})(?:[-_][a-z]{4})?(?:[-_](?:[a-z]{2}|\d{3}))?$/i.exec(value);
+        return match !== null && UrlAnalyzer.LANGUAGE_CODES.has(match[1].toLowerCase());
+    }
+
+    // de_DE, de-de and DE-de are the same locale
+    static normalizeLocale(value) {
+        return value.toLowerCase().replace(/_/g, '-');
+    }
+
+    static escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    static decodeSegment(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Compile a declared route. Its path segments are literals, globs (* within a segment,
+     * ** for any number of segments) or parameters: {name}, {name:type} with a key of
+     * UrlAnalyzer.SEGMENT_TYPES, or :name. Without scheme and host it matches on every site.
+     * @param {string} route - e.g. "/{lang}/products/{id:int}", "https://*.example.com/docs/**"
+     * @returns {Object} - { route, origin, path, regex, params: [{ index, token, valueType }] }
+     */
+    compileRoute(route) {
+        const match = typeof route === 'string' &&
+            /^([a-z][a-z0-9+.-]*:\/\/[^/?#]+)?(\/[^?#]*)$/i.exec(route.trim());
+        if (!match) {
+            throw new Error(`Invalid route: ${JSON.stringify(route)}`);
+        }
+
+        const segments = match[2].split('/').filter(s => s.length > 0);
+        const params = [];
+        let source = '^';
+        segments.forEach((segment, index) => {
+            const param = /^(?:\{(\w+)(?::(\w+))?\}|:(\w+))$/.exec(segment);
+            if (segment === '**') {
+                source += '((?:/[^/]+)*)';
+                params.push({ index, token: segment, valueType: null });
+            } else if (param) {
+                const valueType = param[2] || null;
+                if (valueType && !UrlAnalyzer.SEGMENT_TYPES[valueType]) {
+                    throw new Error(`Unknown route parameter type: ${valueType} in ${route}`);
+                }
+                source += '/([^/]+)';
+                params.push({ index, token: segment, valueType });
+            } else if (segment.includes('*')) {
+                source += '/(' + segment.split('*').map(UrlAnalyzer.escapeRegex).join('[^/]*') + ')';
+                params.push({ index, token: segment, valueType: null });
+            } else {
+                source += '/' + UrlAnalyzer.escapeRegex(segment);
+            }
+        });
+
+        const flags = this.caseSensitive ? '' : 'i';
+        return {
+            route,
+            origin: match[1] || null,
+            originRegex: match[1]
+                ? new RegExp('^' + match[1].split('*').map(UrlAnalyzer.escapeRegex).join('[^/]*') + '$', 'i')
+                : null,
+            path: '/' + segments.join('/'),
+            regex: new RegExp(source + '$', flags),
+            params
+        };
+    }
+
+    /**
+     * The first declared route a parsed URL matches, with its parameter values.
+     * @returns {{route: Object, origin: string, values: string[]}|null}
+     */
+    matchRoute(parsed) {
+        const origin = `${parsed.scheme}://${parsed.hostSegments.join('.')}`;
+        const path = parsed.pathSegments.map(s => '/' + s).join('');
+
+        for (const route of this.routes) {
+            if (route.originRegex && !route.originRegex.test(origin)) continue;
+            const match = route.regex.exec(path);
+            if (!match) continue;
+
+            const values = route.params.map((param, i) => param.token === '**' ? match[i + 1].slice(1) : match[i + 1]);
+            const typed = route.params.every((param, i) => !param.valueType ||
+                UrlAnalyzer.SEGMENT_TYPES[param.valueType].test(UrlAnalyzer.decodeSegment(values[i])));
+            if (typed) {
+                return { route, origin, values };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find families of URLs that are variants of one page: pagination (/blog/page/2, ?p=3)
+     * when the first page (/blog) is in the list too, trailing-slash twins, index.html,
+     * mixed-case paths (with caseSensitive: false) and http/https duplicates.
+     * @param {Array<string|Object>} urls - URLs or entries, as for analyze().
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with { stage: 'variants', done, total }, as in analyze().
+     * @returns {Object} - { families, kinds, duplicates }: families [{ canonical, urls, kinds, examples }]
+     *   largest first, canonical being the member to keep and examples a variant URL per kind;
+     *   kinds maps each of
+     *   UrlAnalyzer.VARIANT_KINDS to { families, urls }, urls counting the variants besides
+     *   the canonical ones like duplicates does for all families.
+     */
+    findVariants(urls, { onProgress = null } = {}) {
+        const report = (done, total) => {
+            if (onProgress) onProgress({ stage: 'variants', done, total });
+        };
+
+        const variants = [];
+        const seen = new Set();
+        urls.forEach((item, i) => {
+            if (i % UrlAnalyzer.PROGRESS_INTERVAL === 0) report(i, urls.length);
+            const url = typeof item === 'string' ? item : item.loc;
+            if (seen.has(url)) return;
+            seen.add(url);
+
+            const variant = this.parseVariant(url);
+            if (variant !== null) variants.push(variant);
+        });
+
+        // /p/1001 or ?start=10 only paginate when the unpaginated page is there too
+        const firstPages = new Set(variants.filter(v => v.page === null).map(v => v.key));
+        const membersByKey = new Map(); // family key -> members
+        for (let variant of variants) {
+            if (variant.page !== null && !firstPages.has(variant.key)) {
+                variant = { ...variant, key: variant.pageKey, path: variant.pagePath, page: null };
+            }
+            if (!membersByKey.has(variant.key)) {
+                membersByKey.set(variant.key, []);
+            }
+            membersByKey.get(variant.key).push(variant);
+        }
+
+        const kinds = {};
+        for (const kind of UrlAnalyzer.VARIANT_KINDS) {
+            kinds[kind] = { families: 0, urls: 0 };
+        }
+        const families = [];
+        let duplicates = 0;
+        for (const members of membersByKey.values()) {
+            if (members.length < 2) continue;
+
+            // Keep https, the first page, the directory and lowercase paths
+            const score = m => (m.http ? 1 : 0) + (m.page !== null ? 1 : 0) + (m.indexPage ? 1 : 0) +
+                (m.path !== m.path.toLowerCase() ? 1 : 0);
+            const canonical = members.reduce((best, m) => score(m) < score(best) ? m : best);
+
+            // How a member differs from the canonical one, per kind
+            const differs = {
+                pagination: m => m.page !== null,
+                // /docs/index.html is no trailing-slash twin of /docs/
+                'trailing-slash': m => !m.indexPage && !canonical.indexPage && m.trailingSlash !== canonical.trailingSlash,
+                index: m => m.indexPage !== canonical.indexPage,
+                case: m => m.path !== canonical.path,
+                protocol: m => m.http !== canonical.http
+            };
+            const examples = {};
+            for (const kind of UrlAnalyzer.VARIANT_KINDS) {
+                const example = members.find(m => m !== canonical && differs[kind](m));
+                if (example) examples[kind] = example.url;
+            }
+            const familyKinds = Object.keys(examples);
+            for (const kind of familyKinds) {
+                kinds[kind].families++;
+                kinds[kind].urls += members.length - 1;
+            }
+
+            families.push({ canonical: canonical.url, urls: members.map(m => m.url), kinds: familyKinds, examples });
+            duplicates += members.length - 1;
+        }
+
+        families.sort((a, b) => b.urls.length - a.urls.length);
+        report(urls.length, urls.length);
+        return { families, kinds, duplicates };
+    }
+
+    /**
+     * What makes a URL a variant, and the key of its family: the URL as https without index page,
+     * trailing slash and pagination, its path lowercase unless caseSensitive (the query stays as is).
+     * @returns {Object|null} - { url, key, path, http, trailingSlash, indexPage, page }, and
+     *   pageKey and pagePath with the pagination kept, for pages whose first page is missing
+     */
+    parseVariant(urlStr) {
+        let url;
+        try {
+            url = new URL(urlStr);
+        } catch (e) {
+            return null;
+        }
+
+        let segments = url.pathname.split('/').filter(s => s.length > 0);
+        const trailingSlash = segments.length > 0 && url.pathname.endsWith('/');
+        const indexPage = segments.length > 0 && UrlAnalyzer.INDEX_PAGE.test(segments[segments.length - 1]);
+        if (indexPage) segments.pop();
+
+        const http = url.protocol === 'http:';
+        const toPath = (pathSegments, params) => {
+            const pathname = '/' + pathSegments.join('/');
+            const query = params.length > 0 ? '?' + new URLSearchParams(params) : '';
+            return {
+                path: pathname + query,
+                key: `${http ? 'https:' : url.protocol}//${url.host}` +
+                    (this.caseSensitive ? pathname : pathname.toLowerCase()) + query
+            };
+        };
+        const params = Array.from(url.searchParams.entries());
+        const paged = toPath(segments, params);
+
+        let page = null;
+        const last = segments.length - 1;
+        if (last >= 1 && UrlAnalyzer.PAGINATION_SEGMENTS.test(segments[last - 1]) && /^\d+$/.test(segments[last])) {
+            page = Number(segments[last]);
+            segments = segments.slice(0, -2);
+        }
+        const query = params.filter(([key, value]) => {
+            const paginates = UrlAnalyzer.PAGINATION_PARAMS.includes(key.toLowerCase()) && /^\d+$/.test(value);
+            if (paginates) page = Number(value);
+            return !paginates;
+        });
+
+        const { path, key } = toPath(segments, query);
+        return {
+            url: urlStr,
+            key,
+            pageKey: paged.key,
+            pagePath: paged.path,
+            path,
+            http,
+            trailingSlash,
+            indexPage,
+            page
+        };
+    }
+
+    /**
+     * Score how badly each URL fits its group: a singleton pattern next to a large masked
+     * sibling, unusual depth for its section, unusual characters, encoded junk, very long
+     * segments, test/backup page names and uppercase on a lowercase site.
+     * Reasons and their weights are in UrlAnalyzer.OUTLIER_REASONS; a score is their sum, at most 1.
+     * @param {Object[]} patterns - Output of analyze().
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with { stage: 'outliers', done, total }, as in analyze().
+     * @returns {{urls: Object[], patterns: Object[]}} - urls [{ url, pattern, score, reasons }] and
+     *   patterns [{ pattern, score, urls }] (score of its worst URL, number of outlier URLs),
+     *   highest score first; reasons are [{ code, message }].
+     */
+    findOutliers(patterns, { onProgress = null } = {}) {
+        const report = (done, total) => {
+            if (onProgress) onProgress({ stage: 'outliers', done, total });
+        };
+
+        const parsed = [];
+        for (const pattern of patterns) {
+            for (const url of pattern.urls) {
+                try {
+                    const { protocol, host, pathname } = new URL(url);
+                    const segments = pathname.split('/').filter(s => s.length > 0);
+                    parsed.push({ url, pattern, pathname, segments, section: `${protocol}//${host}/${segments[0] || ''}` });
+                } catch (e) {
+                    // Not a URL: analyze() skipped it too
+                }
+            }
+        }
+
+        // Typical depth per section (first path segment), and how lowercase the site is
+        const depthsBySection = new Map();
+        for (const item of parsed) {
+            if (!depthsBySection.has(item.section)) depthsBySection.set(item.section, []);
+            depthsBySection.get(item.section).push(item.segments.length);
+        }
+        const medianDepths = new Map();
+        for (const [section, depths] of depthsBySection) {
+            if (depths.length >= UrlAnalyzer.OUTLIER_MIN_GROUP) {
+                medianDepths.set(section, depths.sort((a, b) => a - b)[Math.floor(depths.length / 2)]);
+            }
+        }
+        // Hex digits of (double) percent-encoding don't count as uppercase
+        const isUppercase = pathname =>
+            /\p{Lu}/u.test(UrlAnalyzer.decodeSegment(pathname).replace(/%[0-9a-f]{2}/gi, ''));
+        const lowercase = parsed.filter(item => !isUppercase(item.pathname)).length;
+        const lowercaseSite = parsed.length >= UrlAnalyzer.OUTLIER_MIN_GROUP &&
+            lowercase / parsed.length >= UrlAnalyzer.OUTLIER_LOWERCASE_SHARE;
+
+        const singletons = this.findSingletonPatterns(patterns);
+        const segmentLengths = new Map(); // pattern -> median segment length per index
+
+        const urls = [];
+        parsed.forEach((item, index) => {
+            if (index % UrlAnalyzer.PROGRESS_INTERVAL === 0) report(index, parsed.length);
+            const reasons = [];
+            const add = (code, message) => reasons.push({ code, message });
+
+            if (singletons.has(item.pattern)) {
+                const sibling = singletons.get(item.pattern);
+                add('singleton', `Only URL of its pattern, next to ${sibling.count} URLs of ${sibling.pattern}`);
+            }
+
+            const medianDepth = medianDepths.get(item.section);
+            if (medianDepth !== undefined && Math.abs(item.segments.length - medianDepth) >= 2) {
+                add('depth', `${item.segments.length} segments deep where ${item.section} is usually ${medianDepth}`);
+            }
+
+            const decoded = UrlAnalyzer.decodeSegment(item.pathname);
+            const unusual = [...new Set(decoded.match(/[^\p{L}\p{N}\-._~/]/gu) || [])];
+            if (unusual.length > 0) {
+                add('characters', `Unusual characters: ${unusual.slice(0, 5).map(c => JSON.stringify(c)).join(' ')}`);
+            }
+            if (/%25[0-9a-f]{2}|%(?:[01][0-9a-f]|7f)/i.test(item.pathname) || decoded === item.pathname && /%/.test(item.pathname)) {
+                add('encoded', 'Double-encoded, control or malformed percent-encoding');
+            }
+
+            if (!segmentLengths.has(item.pattern)) {
+                segmentLengths.set(item.pattern, this.medianSegmentLengths(item.pattern));
+            }
+            const medians = segmentLengths.get(item.pattern);
+            const long = item.segments.find((segment, i) => segment.length > UrlAnalyzer.OUTLIER_MAX_SEGMENT ||
+                (segment.length > UrlAnalyzer.OUTLIER_LONG_SEGMENT && medians[i] && segment.length > 2.5 * medians[i]));
+            if (long) {
+                add('long-segment', `${long.length}-character segment`);
+            }
+
+            const testName = item.segments.find(segment => UrlAnalyzer.OUTLIER_TEST_NAME.test(segment));
+            if (testName) {
+                add('test-name', `"${UrlAnalyzer.decodeSegment(testName)}" looks like a test, backup or draft page`);
+            }
+
+            if (lowercaseSite && isUppercase(item.pathname)) {
+                add('case', 'Uppercase letters on an otherwise lowercase site');
+            }
+
+            if (reasons.length > 0) {
+                const score = Math.min(1, reasons.reduce((sum, r) => sum + UrlAnalyzer.OUTLIER_REASONS[r.code], 0));
+                urls.push({ url: item.url, pattern: item.pattern.pattern, score, reasons });
+            }
+        });
+        urls.sort((a, b) => b.score - a.score || a.url.localeCompare(b.url));
+
+        const byPattern = new Map();
+        for (const outlier of urls) {
+            if (!byPattern.has(outlier.pattern)) {
+                // URLs are sorted, so the first one is the worst
+                byPattern.set(outlier.pattern, { pattern: outlier.pattern, score: outlier.score, urls: 0 });
+            }
+            byPattern.get(outlier.pattern).urls++;
+        }
+
+        report(parsed.length, parsed.length);
+        return { urls, patterns: [...byPattern.values()] };
+    }
+
+    /**
+     * Patterns with a single URL next to a sibling pattern (same parent, last segment masked)
+     * with at least OUTLIER_MIN_GROUP URLs, e.g. /products/spring-landing next to /products/….
+     * @returns {Map<Object, Object>} - singleton pattern -> that sibling pattern
+     */
+    findSingletonPatterns(patterns) {
+        const lastSegment = p => {
+            const positions = this.segmentPositions(p);
+            return positions[positions.length - 1];
+        };
+
+        const groups = new Map(); // parent position -> largest pattern masking its last segment
+        for (const p of patterns) {
+            const last = lastSegment(p);
+            if (last && last.masked && p.count >= UrlAnalyzer.OUTLIER_MIN_GROUP &&
+                (!groups.has(last.at) || groups.get(last.at).count < p.count)) {
+                groups.set(last.at, p);
+            }
+        }
+
+        const singletons = new Map();
+        for (const p of patterns) {
+            const last = lastSegment(p);
+            if (p.count === 1 && last && groups.has(last.at)) {
+                singletons.set(p, groups.get(last.at));
+            }
+        }
+        return singletons;
+    }
+
+    /**
+     * Median length of each path segment over the URLs of a pattern (null with too few URLs).
+     */
+    medianSegmentLengths(pattern) {
+        if (pattern.urls.length < UrlAnalyzer.OUTLIER_MIN_GROUP) return [];
+        const lengths = [];
+        for (const url of pattern.urls) {
+            try {
+                new URL(url).pathname.split('/').filter(s => s.length > 0).forEach((segment, i) => {
+                    (lengths[i] = lengths[i] || []).push(segment.length);
+                });
+            } catch (e) {
+                // Skipped like in findOutliers
+            }
+        }
+        return lengths.map(list => list.sort((a, b) => a - b)[Math.floor(list.length / 2)]);
+    }
+
+    /**
+     * Share of the URLs that declared routes explain.
+     * @param {Object[]} patterns - Output of analyze().
+     * @returns {{urls: number, declared: number, ratio: number}}
+     */
+    coverage(patterns) {
+        let urls = 0;
+        let declared = 0;
+        for (const p of patterns) {
+            urls += p.count;
+            if (p.source === 'declared') declared += p.count;
+        }
+        return { urls, declared, ratio: urls > 0 ? declared / urls : 0 };
+    }
+
+    /**
+     * The path segments of a result pattern with their refinement positions,
+     * so a UI can offer refinements for a clicked segment.
+     * @param {Object} pattern - A pattern object from analyze().
+     * @returns {Object[]} - { index, value, masked, samples, at }; value is the segment as
+     *   shown in the pattern (the placeholder for masked ones).
+     */
+    segmentPositions(pattern) {
+        // Declared routes are matched as written; refinements apply to discovery only
+        if (pattern.source === 'declared') return [];
+
+        const match = /^([^:/]+):\/\/([^/]*)\/([^?]*)/.exec(pattern.pattern);
+        if (!match) return [];
+
+        let host = match[2];
+        if (pattern.placeholders.some(p => p.type === 'subdomain')) {
+            host = '*' + host.slice(host.indexOf('.'));
+        }
+        const path = match[3].replace(/\/$/, '');
+        if (path.length === 0) return [];
+
+        const masked = new Map(pattern.placeholders.filter(p => p.type === 'path').map(p => [p.index, p]));
+        const segments = path.split('/');
+        return segments.map((value, index) => ({
+            index,
+            value,
+            masked: masked.has(index),
+            samples: masked.has(index) ? masked.get(index).samples : [value],
+            at: UrlAnalyzer.normalizePosition(`${match[1]}://${host}/` +
+                segments.slice(0, index).map((s, i) => masked.has(i) ? '*' : s).join('/'))
+        }));
     }
 
     /**
      * Main entry point.
-     * @param {string[]} urls - List of absolute URLs.
-     * @returns {Object[]} - List of pattern objects { pattern, count, urls }.
+     * @param {Array<string|Object>} urls - List of absolute URLs, or sitemap entries
+     *   { loc, lastmod, changefreq, priority, alternates, images, videos, news, metrics } whose
+     *   metadata is summarized per pattern. metrics maps names to numbers (clicks, response
+     *   time) or strings (status code), e.g. { clicks: 120, status: '200' }.
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with { stage, done, total } as the analysis
+     *   moves through UrlAnalyzer.STAGES; done/total count URLs, or 0/1 and 1/1 for stages without a loop.
+     * @returns {Object[]} - List of pattern objects { pattern, count, urls, params, placeholders,
+     *   metadata, freshness, metrics, locales, source, depth }. source is 'declared' for the patterns
+     *   of declared routes (which also carry the route), listed first, and 'discovered' for the rest.
+     *   locales is null unless detectLocales folded the pattern's language variants (see summarizeLocales).
      */
-    analyze(urls) {
+    analyze(urls, { onProgress = null } = {}) {
+        const report = (stage, done, total) => {
+            if (onProgress) onProgress({ stage, done, total });
+        };
+
         // 1. Preprocessing
-        const uniqueUrls = [...new Set(urls.filter(u => u.trim().length > 0))];
+        const entriesByUrl = new Map(); // URL -> sitemap entry (first one wins)
+        for (const item of urls) {
+            const entry = typeof item === 'string' ? { loc: item } : item;
+            if (entry.loc.trim().length > 0 && !entriesByUrl.has(entry.loc)) {
+                entriesByUrl.set(entry.loc, entry);
+            }
+        }
+        let uniqueUrls = [...entriesByUrl.keys()];
         if (uniqueUrls.length === 0) return [];
 
-        const parsedUrls = uniqueUrls.map(u => this.parseUrl(u)).filter(u => u !== null);
+        // Variants of one page (pagination, trailing slash, index.html, case, http/https) count once
+        if (this.collapseVariants) {
+            const variants = new Set();
+            for (const family of this.findVariants(uniqueUrls).families) {
+                family.urls.filter(url => url !== family.canonical).forEach(url => variants.add(url));
+            }
+            uniqueUrls = uniqueUrls.filter(url => !variants.has(url));
+        }
+
+        // Declared routes claim their URLs first; only the rest goes through discovery
+        const parsedUrls = [];
+        const discoveredUrls = [];
+        const declaredMap = new Map(); // patternString -> { route, urls, values per parameter }
+        uniqueUrls.forEach((url, i) => {
+            if (i % UrlAnalyzer.PROGRESS_INTERVAL === 0) report('parsing', i, uniqueUrls.length);
+            const parsed = this.parseUrl(url);
+            if (parsed === null) return;
+            parsedUrls.push(parsed);
+
+            const match = this.routes.length > 0 ? this.matchRoute(parsed) : null;
+            if (match === null) {
+                discoveredUrls.push(parsed);
+                return;
+            }
+            const patternStr = (match.route.origin || match.origin) + match.route.path;
+            if (!declaredMap.has(patternStr)) {
+                declaredMap.set(patternStr, { route: match.route, urls: [], values: match.route.params.map(() => []) });
+            }
+            const declared = declaredMap.get(patternStr);
+            declared.urls.push(url);
+            match.values.forEach((value, j) => declared.values[j].push(value));
+        });
+        report('parsing', uniqueUrls.length, uniqueUrls.length);
 
         // 2. Build Trie
         const root = this.createNode();
 
-        for (const parsed of parsedUrls) {
+        discoveredUrls.forEach((parsed, i) => {
+            if (i % UrlAnalyzer.PROGRESS_INTERVAL === 0) report('building', i, discoveredUrls.length);
             let currentNode = root;
+            const hreflangs = this.detectLocales ? this.hreflangLocales(entriesByUrl.get(parsed.original)) : null;
 
             // Segments: Scheme -> Domain -> Subdomain -> Path
             // Domain first so URLs are grouped by domain, then subdomains can be masked within each domain
-            // e.g., "shop.example.com" -> domain:"example.com", subdomain:"shop"
-            const hostSegs = parsed.hostSegments;
-            const hasSubdomain = hostSegs.length > 2;
-
+            // e.g., "shop.example.co.uk" -> domain:"example.co.uk", subdomain:"shop"
             const sequence = [
                 { type: 'scheme', val: parsed.scheme },
-                // Base domain (last 2 segments) - marked as 'domain' so it's never masked
-                { type: 'domain', val: hostSegs.slice(-2).join('.') },
+                // Registrable domain - marked as 'domain' so it's never masked
+                { type: 'domain', val: parsed.domain },
                 // If there's a subdomain, mark it separately for potential masking
-                ...(hasSubdomain ? [{ type: 'subdomain', val: hostSegs.slice(0, -2).join('.') }] : []),
-                ...parsed.pathSegments.map(s => ({ type: 'path', val: s }))
+                ...(parsed.subdomain ? [{ type: 'subdomain', val: parsed.subdomain }] : []),
+                ...parsed.pathSegments.map(s => ({ type: 'path', val: s })),
+                // Significant trailing slash - never masked, so /a and /a/ are separate patterns
+                ...(parsed.trailingSlash ? [{ type: 'slash', val: '/' }] : []),
+                // Query keys are the last layer - never masked, so each key set is its own pattern
+                ...(this.queryMode !== 'ignore' && parsed.queryParams.length > 0
+                    ? [{ type: 'query', val: this.buildQuerySignature(parsed.queryParams) }]
+                    : [])
             ];
 
             for (const seg of sequence) {
@@ -55,74 +654,69 @@ class UrlAnalyzer {
                 }
                 currentNode = currentNode.children[key];
                 currentNode.count++;
+                if (hreflangs && hreflangs.has(UrlAnalyzer.normalizeLocale(seg.val))) {
+                    currentNode.hreflang = true;
+                }
             }
             currentNode.urls.push(parsed.original);
-        }
+        });
+        report('building', discoveredUrls.length, discoveredUrls.length);
 
         // 3. Pattern Extraction (Collapse Trie)
+        report('collapsing', 0, 1);
         const patternsMap = new Map(); // patternString -> { count, urls }
 
         this.collectPatterns(root, [], patternsMap);
+        report('collapsing', 1, 1);
 
         // 4. Convert Map to Array and Sort
-        const patterns = Array.from(patternsMap.entries()).map(([pattern, data]) => ({
+        report('sorting', 0, 1);
+        const parsedByUrl = new Map(parsedUrls.map(p => [p.original, p]));
+        const createPattern = (pattern, urls, placeholders, source) => ({
             pattern,
-            count: data.urls.length,
-            urls: data.urls
-        }));
+            count: urls.length,
+            urls,
+            params: this.summarizeParams(urls.map(u => parsedByUrl.get(u).queryParams)),
+            placeholders,
+            metadata: this.summarizeMetadata(urls.map(u => entriesByUrl.get(u))),
+            freshness: this.summarizeFreshness(urls.map(u => entriesByUrl.get(u))),
+            metrics: this.summarizeMetrics(urls.map(u => entriesByUrl.get(u))),
+            locales: null,
+            source
+        });
+        const patterns = Array.from(patternsMap.entries())
+            .map(([pattern, data]) => createPattern(pattern, data.urls, data.placeholders, 'discovered'));
+
+        // Declared patterns in the order of their routes, then by count
+        const declaredPatterns = Array.from(declaredMap.entries())
+            .map(([pattern, data]) => ({
+                ...createPattern(pattern, data.urls, this.describeRouteParams(data.route, data.values), 'declared'),
+                route: data.route.route,
+                depth: 0
+            }))
+            .sort((a, b) => this.routes.findIndex(r => r.route === a.route) -
+                this.routes.findIndex(r => r.route === b.route) || b.count - a.count);
 
         // Hierarchical sort: groups by frequency, hierarchy within groups
-        // 1. Build parent-child relationships and calculate group totals
-        const patternMap = new Map(patterns.map(p => [p.pattern, p]));
-        const groupTotals = new Map(); // root pattern -> total count
+        // 1. Root, depth and group totals from a prefix index: the ancestors of a pattern
+        //    are the patterns equal to its prefixes that end before a '/' or '?'
+        const patternSet = new Set(patterns.map(p => p.pattern));
         const roots = new Map(); // pattern -> its root pattern
+        const depths = new Map(); // pattern -> number of ancestors (for UI indentation)
+        const groupTotals = new Map(); // root pattern -> total count
 
-        // Sort alphabetically first to process parents before children
-        patterns.sort((a, b) => a.pattern.localeCompare(b.pattern));
-
-        for (const p of patterns) {
-            // Find parent: longest pattern that is prefix + '/'
-            let parent = null;
-            for (const other of patterns) {
-                if (other.pattern !== p.pattern &&
-                    p.pattern.startsWith(other.pattern) &&
-                    p.pattern[other.pattern.length] === '/') {
-                    if (!parent || other.pattern.length > parent.pattern.length) {
-                        parent = other;
-                    }
-                }
-            }
-
-            if (parent) {
-                // Inherit root from parent
-                roots.set(p.pattern, roots.get(parent.pattern));
-            } else {
-                // This is a root
-                roots.set(p.pattern, p.pattern);
-            }
+        // Shorter patterns first, so parents are resolved before their children
+        const byLength = [...patterns].sort((a, b) => a.pattern.length - b.pattern.length);
+        for (const p of byLength) {
+            const parent = this.findParentPattern(p.pattern, patternSet);
+            roots.set(p.pattern, parent === null ? p.pattern : roots.get(parent));
+            depths.set(p.pattern, parent === null ? 0 : depths.get(parent) + 1);
 
-            // Add count to group total
             const root = roots.get(p.pattern);
             groupTotals.set(root, (groupTotals.get(root) || 0) + p.count);
         }
 
-        // 2. Calculate depth for each pattern (for UI indentation)
-        const depths = new Map();
-        for (const p of patterns) {
-            let depth = 0;
-            let current = p.pattern;
-            // Count ancestors
-            for (const other of patterns) {
-                if (other.pattern !== current &&
-                    current.startsWith(other.pattern) &&
-                    current[other.pattern.length] === '/') {
-                    depth++;
-                }
-            }
-            depths.set(p.pattern, depth);
-        }
-
-        // 3. Sort: group total (desc), then parent before child, then alphabetical
+        // 2. Sort: group total (desc), then parent before child, then alphabetical
         patterns.sort((a, b) => {
             const aRoot = roots.get(a.pattern);
             const bRoot = roots.get(b.pattern);
@@ -136,10 +730,10 @@ class UrlAnalyzer {
             }
 
             // Same group: parent before child
-            if (b.pattern.startsWith(a.pattern) && b.pattern[a.pattern.length] === '/') {
+            if (this.isChildPattern(b.pattern, a.pattern)) {
                 return -1;
             }
-            if (a.pattern.startsWith(b.pattern) && a.pattern[b.pattern.length] === '/') {
+            if (this.isChildPattern(a.pattern, b.pattern)) {
                 return 1;
             }
 
@@ -147,16 +741,123 @@ class UrlAnalyzer {
             return a.pattern.localeCompare(b.pattern);
         });
 
-        // 4. Add depth to each pattern object
+        // 3. Add depth to each pattern object
         for (const p of patterns) {
             p.depth = depths.get(p.pattern);
         }
+        report('sorting', 1, 1);
 
-        return patterns;
+        const result = [...declaredPatterns, ...patterns];
+        if (this.detectLocales) {
+            this.summarizeLocales(result, parsedByUrl);
+        }
+        return result;
+    }
+
+    /**
+     * Locales of the hreflang alternates of a sitemap entry, with and without region (de-at, de).
+     * @returns {Set<string>|null} - null without alternates.
+     */
+    hreflangLocales(entry) {
+        if (!entry.alternates || entry.alternates.length === 0) return null;
+        const locales = new Set();
+        for (const { hreflang } of entry.alternates) {
+            if (!hreflang || !UrlAnalyzer.isLocaleCode(hreflang)) continue;
+            const locale = UrlAnalyzer.normalizeLocale(hreflang);
+            locales.add(locale);
+            locales.add(locale.split('-')[0]);
+        }
+        return locales;
+    }
+
+    /**
+     * Per-locale URL counts of the patterns with a {locale} dimension, and the locales each
+     * lacks compared with the patterns that share its locale position (the pattern up to
+     * {locale}). Sets pattern.locales to { values: [{ value, count }], missing: string[] }.
+     * @param {Object[]} patterns
+     * @param {Map<string, Object>} parsedByUrl - URL -> parseUrl() result.
+     */
+    summarizeLocales(patterns, parsedByUrl) {
+        const localesByPosition = new Map(); // position -> Set of locales
+        const positions = new Map(); // pattern -> position
+
+        for (const pattern of patterns) {
+            // A declared {lang:locale} after ** has no fixed position to read the locale from
+            const placeholder = pattern.placeholders.find(p => p.valueType === 'locale' && p.index !== null);
+            if (!placeholder) continue;
+
+            const counts = new Map();
+            for (const url of pattern.urls) {
+                const parsed = parsedByUrl.get(url);
+                const value = placeholder.type === 'subdomain'
+                    ? parsed.subdomain
+                    : parsed.pathSegments[placeholder.index];
+                const locale = UrlAnalyzer.normalizeLocale(value);
+                counts.set(locale, (counts.get(locale) || 0) + 1);
+            }
+            pattern.locales = {
+                values: [...counts].map(([value, count]) => ({ value, count }))
+                    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+                missing: []
+            };
+
+            const position = pattern.pattern.slice(0, pattern.pattern.indexOf(placeholder.token) + placeholder.token.length);
+            positions.set(pattern, position);
+            if (!localesByPosition.has(position)) {
+                localesByPosition.set(position, new Set());
+            }
+            counts.forEach((count, locale) => localesByPosition.get(position).add(locale));
+        }
+
+        for (const [pattern, position] of positions) {
+            const own = new Set(pattern.locales.values.map(v => v.value));
+            pattern.locales.missing = [...localesByPosition.get(position)].filter(l => !own.has(l)).sort();
+        }
+    }
+
+    /**
+     * Placeholders of a declared pattern, like describePlaceholders: one per parameter
+     * or glob segment, typed as declared or by its values. index is the URL path segment,
+     * or null after a ** whose URLs have the parameter at different positions.
+     */
+    describeRouteParams(route, values) {
+        const glob = route.params.findIndex(param => param.token === '**');
+        return route.params.map((param, i) => ({
+            type: 'path',
+            index: glob === -1 || i <= glob ? param.index : null,
+            valueType: param.valueType || this.classifySegmentValues(values[i]),
+            token: param.token,
+            samples: [...new Set(values[i])].slice(0, this.maxPlaceholderSamples)
+        }));
+    }
+
+    /**
+     * A pattern is a child of another if it extends it by a path segment or a query string.
+     * e.g. ".../search/…" and ".../search?q=…" are both children of ".../search"
+     */
+    isChildPattern(child, parent) {
+        if (child === parent || !child.startsWith(parent)) return false;
+        const next = child[parent.length];
+        return next === '/' || next === '?';
+    }
+
+    /**
+     * Longest pattern in the set that the given pattern is a child of, or null.
+     * Same relation as isChildPattern, but looked up per prefix instead of per pattern.
+     */
+    findParentPattern(pattern, patternSet) {
+        for (let i = pattern.length - 1; i > 0; i--) {
+            const char = pattern[i];
+            if ((char === '/' || char === '?') && patternSet.has(pattern.slice(0, i))) {
+                return pattern.slice(0, i);
+            }
+        }
+        return null;
     }
 
     createNode(value = null, type = null) {
-        return { children: {}, count: 0, urls: [], value, type };
+        // hreflang: the segment is a locale the sitemap entries of its URLs declare alternates for
+        return { children: {}, count: 0, urls: [], value, type, hreflang: false };
     }
 
     /**
@@ -171,7 +872,7 @@ class UrlAnalyzer {
         if (node.urls.length > 0) {
             const patternStr = this.buildPatternString(pathStack);
             if (!patternsMap.has(patternStr)) {
-                patternsMap.set(patternStr, { urls: [] });
+                patternsMap.set(patternStr, { urls: [], placeholders: this.describePlaceholders(pathStack) });
             }
             patternsMap.get(patternStr).urls.push(...node.urls);
         }
@@ -192,7 +893,14 @@ class UrlAnalyzer {
             // 'scheme' and 'domain' are never masked
             const canMask = type === 'subdomain' || type === 'path';
 
-            if (children.length === 1) {
+            const refinement = type === 'path' && this.refinements.size > 0
+                ? this.refinements.get(this.positionKey(pathStack)) || null
+                : null;
+            const forced = type === 'path'
+                ? children.filter(c => this.isForcedMask(c.value, refinement))
+                : [];
+
+            if (children.length === 1 && forced.length === 0) {
                 // Single child -> keep literal
                 const child = children[0];
                 this.collectPatterns(
@@ -201,7 +909,7 @@ class UrlAnalyzer {
                     patternsMap
                 );
             } else if (!canMask) {
-                // Multiple children but can't mask (scheme/domain) -> process each separately
+                // Multiple children but can't mask (scheme/domain/query/slash) -> process each separately
                 for (const child of children) {
                     this.collectPatterns(
                         child,
@@ -210,14 +918,25 @@ class UrlAnalyzer {
                     );
                 }
             } else if (type === 'subdomain') {
+                // Locale subdomains (en.example.com, de.example.com) are folded into {locale}
+                const localeGroup = this.findLocaleGroup(children);
+                if (localeGroup.length > 0) {
+                    this.collectPatterns(
+                        this.mergeNodes(localeGroup),
+                        [...pathStack, this.createMaskedSegment(type, localeGroup, true)],
+                        patternsMap
+                    );
+                }
+                const others = children.filter(c => !localeGroup.includes(c));
+
                 // Check if any subdomain is "meaningful" (www, blog, api, etc.)
-                const hasMeaningful = children.some(c =>
+                const hasMeaningful = others.some(c =>
                     this.meaningfulSubdomains.has(c.value.toLowerCase())
                 );
 
-                if (hasMeaningful) {
+                if (hasMeaningful || others.length < this.minSiblings) {
                     // Keep meaningful subdomains separate
-                    for (const child of children) {
+                    for (const child of others) {
                         this.collectPatterns(
                             child,
                             [...pathStack, { val: child.value, type: child.type }],
@@ -226,22 +945,18 @@ class UrlAnalyzer {
                     }
                 } else {
                     // Tenant-like subdomains (tenant1, tenant2) - mask them
-                    const mergedNode = this.mergeNodes(children);
+                    const mergedNode = this.mergeNodes(others);
                     this.collectPatterns(
                         mergedNode,
-                        [...pathStack, { val: this.placeholder, type }],
+                        [...pathStack, this.createMaskedSegment(type, others)],
                         patternsMap
                     );
                 }
             } else if (type === 'path') {
-                // Paths: split into unique (count=1) and repeated (count>1)
-                // Unique values are likely IDs/slugs -> mask and merge
-                // Repeated values are likely route names -> keep separate
-                const uniqueChildren = children.filter(c => c.count === 1);
-                const repeatedChildren = children.filter(c => c.count > 1);
-
-                // Process repeated children separately (route names)
-                for (const child of repeatedChildren) {
+                // Paths: decide which siblings are route names (kept) and which are IDs/slugs (masked)
+                const { literals, maskGroups, localeGroup } = this.partitionSiblings(children, forced, refinement);
+
+                for (const child of literals) {
                     this.collectPatterns(
                         child,
                         [...pathStack, { val: child.value, type: child.type }],
@@ -249,19 +964,11 @@ class UrlAnalyzer {
                     );
                 }
 
-                // Mask and merge unique children (IDs/slugs)
-                if (uniqueChildren.length > 1) {
-                    const mergedNode = this.mergeNodes(uniqueChildren);
+                for (const group of maskGroups) {
+                    const mergedNode = this.mergeNodes(group);
                     this.collectPatterns(
                         mergedNode,
-                        [...pathStack, { val: this.placeholder, type }],
-                        patternsMap
-                    );
-                } else if (uniqueChildren.length === 1) {
-                    const child = uniqueChildren[0];
-                    this.collectPatterns(
-                        child,
-                        [...pathStack, { val: child.value, type: child.type }],
+                        [...pathStack, this.createMaskedSegment(type, group, group === localeGroup)],
                         patternsMap
                     );
                 }
@@ -269,6 +976,262 @@ class UrlAnalyzer {
         }
     }
 
+    /**
+     * Is a path value always masked: by a mask refinement at its position or by
+     * forceMask, unless its position is split or pins it as a literal.
+     */
+    isForcedMask(value, refinement) {
+        if (refinement) {
+            if (refinement.split || refinement.literal.has(value)) return false;
+            if (refinement.mask.has(value)) return true;
+        }
+        return this.matchesSegmentList(value, this.forceMask);
+    }
+
+    /**
+     * Split path siblings into literals and groups to mask.
+     * User rules win: refinements of this position first, then forceMask values
+     * are always masked and keepLiteral values never.
+     * @param {Object[]} children - Sibling path nodes.
+     * @param {Object[]} forced - The siblings to mask (see isForcedMask).
+     * @param {Object|null} [refinement=null] - Refinements of this position (see indexRefinements).
+     * @returns {{literals: Object[], maskGroups: Object[][], localeGroup: Object[]}} - localeGroup is
+     *   the mask group of folded locales (see findLocaleGroup), unless a merge refinement extended it.
+     */
+    partitionSiblings(children, forced, refinement = null) {
+        if (refinement && refinement.split) {
+            return { literals: children, maskGroups: [] };
+        }
+
+        const kept = children.filter(c => !forced.includes(c) &&
+            ((refinement && refinement.literal.has(c.value)) || this.matchesSegmentList(c.value, this.keepLiteral)));
+        const localeGroup = this.findLocaleGroup(children.filter(c => !forced.includes(c) && !kept.includes(c)));
+        const candidates = children.filter(c => !forced.includes(c) && !kept.includes(c) && !localeGroup.includes(c));
+
+        const { literals, maskGroups } = this.masking === 'count'
+            ? this.partitionByCount(candidates)
+            : this.partitionByCardinality(candidates);
+
+        if (forced.length > 0) {
+            if (maskGroups.length > 0) {
+                maskGroups[0] = [...forced, ...maskGroups[0]];
+            } else {
+                maskGroups.push(forced);
+            }
+        }
+        if (localeGroup.length > 0) {
+            maskGroups.push(localeGroup);
+        }
+
+        let allLiterals = [...kept, ...literals];
+        for (const values of (refinement ? refinement.merges : [])) {
+            allLiterals = this.mergeSiblings(values, allLiterals, maskGroups);
+        }
+
+        return { literals: allLiterals, maskGroups, localeGroup };
+    }
+
+    /**
+     * detectLocales: siblings that are locale codes, masked together as one {locale}
+     * whatever their URL counts. Two-letter codes are also words (/my/, /no/, /it/), so the
+     * group needs evidence: two siblings with a region (en-us) or named by the hreflang
+     * annotations of their sitemap entries, or at least three with the same child routes.
+     * @returns {Object[]} - The locale siblings, or [] for none.
+     */
+    findLocaleGroup(children) {
+        if (!this.detectLocales) return [];
+        const locales = children.filter(c => UrlAnalyzer.isLocaleCode(c.value));
+        if (locales.length < 2) return [];
+
+        const confirmed = locales.filter(c => c.hreflang || c.value.length > 2);
+        if (confirmed.length >= 2) return locales;
+        return locales.length >= 3 && this.structureSimilarity(locales) >= this.minStructureSimilarity ? locales : [];
+    }
+
+    /**
+     * Merge refinement: the named values, with the mask groups they are in, become
+     * one mask group. Updates maskGroups in place.
+     * @param {Set<string>} values
+     * @returns {Object[]} - The literals left.
+     */
+    mergeSiblings(values, literals, maskGroups) {
+        const named = literals.filter(c => values.has(c.value));
+        const groups = maskGroups.filter(group => group.some(c => values.has(c.value)));
+        const merged = [...groups.flat(), ...named];
+        if (merged.length < 2) return literals;
+
+        for (const group of groups) {
+            maskGroups.splice(maskGroups.indexOf(group), 1);
+        }
+        maskGroups.push(merged);
+        return literals.filter(c => !named.includes(c));
+    }
+
+    /**
+     * Legacy rule: values seen in at most maxMaskedCount URLs are IDs/slugs,
+     * values that repeat are route names.
+     */
+    partitionByCount(candidates) {
+        const unique = candidates.filter(c => c.count <= this.maxMaskedCount);
+        const repeated = candidates.filter(c => c.count > this.maxMaskedCount);
+
+        if (unique.length >= this.minSiblings) {
+            return { literals: repeated, maskGroups: [unique] };
+        }
+        return { literals: candidates, maskGroups: [] };
+    }
+
+    /**
+     * Decide per sibling set, not per value:
+     * 1. Siblings with far more URLs than the typical sibling are route names
+     *    (/blog with 50 posts next to one-off landing pages).
+     * 2. ID-shaped values (numbers, UUIDs, hashes, dates) are masked by shape,
+     *    however many descendants each one has.
+     * 3. The rest is masked as a whole if the sibling set has high cardinality (most
+     *    values are distinct relative to the URLs below the parent), or if the siblings
+     *    share the same child routes (/products/red-shoe/reviews + /products/blue-hat/reviews).
+     *    Otherwise they are kept - a few one-URL pages next to big sections are routes.
+     */
+    partitionByCardinality(candidates) {
+        const literals = [];
+        const maskGroups = [];
+
+        // 1. Route names by URL count
+        const counts = candidates.map(c => c.count).sort((a, b) => a - b);
+        const median = counts[Math.floor((counts.length - 1) / 2)];
+        const routeThreshold = Math.max(2, this.routeCountFactor * median);
+        const rest = [];
+        for (const child of candidates) {
+            if (child.count >= routeThreshold) {
+                literals.push(child);
+            } else {
+                rest.push(child);
+            }
+        }
+
+        // 2. ID-shaped values, one group per shape
+        const byShape = new Map();
+        for (const child of rest) {
+            const shape = this.classifySegmentValues([child.value]);
+            if (!byShape.has(shape)) byShape.set(shape, []);
+            byShape.get(shape).push(child);
+        }
+        const remaining = [];
+        for (const [shape, group] of byShape) {
+            if (UrlAnalyzer.ID_TYPES.has(shape) && group.length >= this.minSiblings) {
+                maskGroups.push(group);
+            } else {
+                remaining.push(...group);
+            }
+        }
+
+        // 3. Cardinality of the whole sibling set and shared structure of what's left
+        if (remaining.length >= this.minSiblings) {
+            const urlCount = candidates.reduce((sum, c) => sum + c.count, 0);
+            const distinctRatio = candidates.length / urlCount;
+            if (distinctRatio >= this.minDistinctRatio ||
+                this.structureSimilarity(remaining) >= this.minStructureSimilarity) {
+                maskGroups.push(remaining);
+                return { literals, maskGroups };
+            }
+        }
+        literals.push(...remaining);
+
+        return { literals, maskGroups };
+    }
+
+    /**
+     * How much the siblings look like instances of the same route:
+     * the average share of each sibling's literal child segments that another sibling has too.
+     * ID-shaped children are ignored - every collection has those.
+     * @param {Object[]} nodes - Sibling nodes.
+     * @returns {number} - 0 (nothing in common) to 1 (identical child routes).
+     */
+    structureSimilarity(nodes) {
+        const childKeys = nodes.map(node => Object.values(node.children)
+            .filter(c => c.type === 'path' && !UrlAnalyzer.ID_TYPES.has(this.classifySegmentValues([c.value])))
+            .map(c => c.value));
+
+        const frequency = new Map();
+        for (const keys of childKeys) {
+            for (const key of keys) {
+                frequency.set(key, (frequency.get(key) || 0) + 1);
+            }
+        }
+
+        let total = 0;
+        for (const keys of childKeys) {
+            if (keys.length > 0) {
+                total += keys.filter(k => frequency.get(k) > 1).length / keys.length;
+            }
+        }
+        return total / nodes.length;
+    }
+
+    /**
+     * Create the pattern segment that replaces a group of masked sibling nodes.
+     * @param {string} type - 'subdomain' or 'path'.
+     * @param {Object[]} nodes - The sibling nodes being masked.
+     * @returns {Object} - Segment { val, type, masked, valueType, samples }.
+     */
+    createMaskedSegment(type, nodes, locale = false) {
+        const values = nodes.map(n => n.value);
+        // Folded language variants (see findLocaleGroup) are always {locale}, also without typed placeholders
+        const valueType = locale ? 'locale' : this.classifySegmentValues(values);
+        const token = UrlAnalyzer.TYPED_TOKENS[valueType];
+
+        return {
+            val: (this.typedPlaceholders || locale) && token ? token : this.placeholder,
+            type,
+            masked: true,
+            valueType,
+            samples: values.slice(0, this.maxPlaceholderSamples)
+        };
+    }
+
+    /**
+     * Infer the type shared by all values of a masked segment.
+     * Checked from most to least specific, e.g. "2024-01-31" is a date, not a slug.
+     * @param {string[]} values
+     * @returns {string} - A key of UrlAnalyzer.SEGMENT_TYPES, or 'mixed'.
+     */
+    classifySegmentValues(values) {
+        const decoded = values.map(UrlAnalyzer.decodeSegment);
+        for (const [valueType, regex] of Object.entries(UrlAnalyzer.SEGMENT_TYPES)) {
+            if (decoded.every(v => regex.test(v))) {
+                return valueType;
+            }
+        }
+        return 'mixed';
+    }
+
+    /**
+     * Describe the masked segments of a pattern (for routing docs and the UI).
+     * @param {Object[]} pathStack - Pattern segments.
+     * @returns {Object[]} - { type, index, valueType, token, samples }, index counts segments of the same type.
+     */
+    describePlaceholders(pathStack) {
+        const placeholders = [];
+        const indexByType = {};
+
+        for (const seg of pathStack) {
+            const index = indexByType[seg.type] || 0;
+            indexByType[seg.type] = index + 1;
+
+            if (seg.masked) {
+                placeholders.push({
+                    type: seg.type,
+                    index,
+                    valueType: seg.valueType,
+                    token: seg.val,
+                    samples: seg.samples
+                });
+            }
+        }
+
+        return placeholders;
+    }
+
     /**
      * Merge multiple nodes into a single virtual node.
      * Combines their children and URLs.
@@ -283,7 +1246,8 @@ class UrlAnalyzer {
             children: {},
             urls: [],
             value: mergedValue,
-            type: nodes[0].type
+            type: nodes[0].type,
+            hreflang: nodes.some(n => n.hreflang)
         };
 
         for (const node of nodes) {
@@ -300,12 +1264,14 @@ class UrlAnalyzer {
                         urls: [...child.urls],
                         value: child.value,
                         type: child.type,
-                        count: child.count
+                        count: child.count,
+                        hreflang: child.hreflang
                     };
                 } else {
                     // Already have this child key - merge into it
                     merged.children[key].urls.push(...child.urls);
                     merged.children[key].count += child.count;
+                    merged.children[key].hreflang = merged.children[key].hreflang || child.hreflang;
                     // Recursively merge grandchildren
                     for (const grandKey in child.children) {
                         if (!merged.children[key].children[grandKey]) {
@@ -334,6 +1300,8 @@ class UrlAnalyzer {
         const subdomain = segments.find(s => s.type === 'subdomain');
         const domain = segments.find(s => s.type === 'domain');
         const pathSegments = segments.filter(s => s.type === 'path');
+        const query = segments.find(s => s.type === 'query');
+        const slash = segments.find(s => s.type === 'slash');
 
         // Build the host part
         let host = '';
@@ -350,11 +1318,239 @@ class UrlAnalyzer {
         result += '/';
         if (pathSegments.length > 0) {
             result += pathSegments.map(s => s.val).join('/');
+            if (slash) {
+                result += '/';
+            }
+        }
+        if (query) {
+            result += '?' + query.val.split('&').map(key => `${key}=${this.placeholder}`).join('&');
         }
 
         return result;
     }
 
+    /**
+     * Build the trie value for a query string: its distinct keys joined by '&'.
+     * Keys are escaped so they can't be confused with the separators.
+     * @param {Array<[string, string]>} queryParams - Key/value pairs in URL order.
+     * @returns {string} - e.g. "q&page"
+     */
+    buildQuerySignature(queryParams) {
+        const keys = [...new Set(queryParams.map(([key]) => key.replace(/[%&=]/g, encodeURIComponent)))];
+        if (this.queryMode === 'sort') {
+            keys.sort();
+        }
+        return keys.join('&');
+    }
+
+    /**
+     * Summarize query parameters across the URLs of one pattern.
+     * @param {Array<Array<[string, string]>>} paramLists - Key/value pairs of each URL.
+     * @returns {Object[]} - { key, count, frequency, distinctValues, valueType, topValues }, most frequent first.
+     */
+    summarizeParams(paramLists) {
+        const stats = new Map(); // key -> { count, values: Map(value -> occurrences) }
+
+        for (const params of paramLists) {
+            const seenKeys = new Set();
+            for (const [key, value] of params) {
+                if (!stats.has(key)) {
+                    stats.set(key, { count: 0, values: new Map() });
+                }
+                const keyStats = stats.get(key);
+                // Count URLs, not occurrences (?color=red&color=blue counts once)
+                if (!seenKeys.has(key)) {
+                    keyStats.count++;
+                    seenKeys.add(key);
+                }
+                keyStats.values.set(value, (keyStats.values.get(value) || 0) + 1);
+            }
+        }
+
+        return Array.from(stats.entries())
+            .map(([key, { count, values }]) => ({
+                key,
+                count,
+                frequency: count / paramLists.length,
+                distinctValues: values.size,
+                valueType: this.classifyParamValues(values),
+                topValues: Array.from(values.entries())
+                    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                    .slice(0, this.maxEnumerableValues)
+                    .map(([value, valueCount]) => ({ value, count: valueCount }))
+            }))
+            .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Summarize the sitemap metadata of a pattern's entries.
+     * lastmod is summarized separately, see summarizeFreshness.
+     * @param {Object[]} entries - Sitemap entries (plain URLs are { loc }).
+     * @returns {Object|null} - { changefreq: [{ value, count }], priority: { count, min, max, mean } | null,
+     *   hreflang: [{ value, count }], images, videos, news } or null without any metadata.
+     */
+    summarizeMetadata(entries) {
+        const priorities = [];
+        const changefreqs = new Map();
+        const hreflangs = new Map();
+        let images = 0;
+        let videos = 0;
+        let news = 0;
+
+        for (const entry of entries) {
+            if (typeof entry.priority === 'number') priorities.push(entry.priority);
+            if (entry.changefreq) changefreqs.set(entry.changefreq, (changefreqs.get(entry.changefreq) || 0) + 1);
+            for (const alternate of entry.alternates || []) {
+                hreflangs.set(alternate.hreflang, (hreflangs.get(alternate.hreflang) || 0) + 1);
+            }
+            images += (entry.images || []).length;
+            videos += (entry.videos || []).length;
+            if (entry.news) news++;
+        }
+
+        if (priorities.length === 0 && changefreqs.size === 0 &&
+            hreflangs.size === 0 && images + videos + news === 0) {
+            return null;
+        }
+
+        const topValues = counts => Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([value, count]) => ({ value, count }));
+
+        return {
+            changefreq: topValues(changefreqs),
+            priority: priorities.length > 0
+                ? {
+                    count: priorities.length,
+                    min: priorities.reduce((min, p) => Math.min(min, p)),
+                    max: priorities.reduce((max, p) => Math.max(max, p)),
+                    mean: priorities.reduce((sum, p) => sum + p, 0) / priorities.length
+                }
+                : null,
+            hreflang: topValues(hreflangs),
+            images,
+            videos,
+            news
+        };
+    }
+
+    /**
+     * How recently a pattern's pages were modified, from sitemap lastmod (dates in UTC).
+     * @param {Object[]} entries - Sitemap entries (plain URLs are { loc }).
+     * @returns {Object|null} - { count, min, max, median: 'yyyy-mm-dd',
+     *   histogram: [{ month: 'yyyy-mm', count }], older } with every month from min to max,
+     *   but at most the last FRESHNESS_MONTHS up to max; older counts the lastmods before
+     *   the first month (a bogus 0001-01-01 shouldn't make thousands of empty months).
+     *   null when no entry has a valid lastmod.
+     */
+    summarizeFreshness(entries) {
+        const times = entries
+            .map(entry => entry.lastmod ? Date.parse(entry.lastmod) : NaN)
+            .filter(time => !Number.isNaN(time))
+            .sort((a, b) => a - b);
+        if (times.length === 0) return null;
+
+        const middle = Math.floor(times.length / 2);
+        const median = times.length % 2 === 1 ? times[middle] : (times[middle - 1] + times[middle]) / 2;
+        const toDate = time => new Date(time).toISOString().slice(0, 10);
+
+        // Months counted from year 0, so consecutive months are consecutive numbers
+        const monthIndex = time => new Date(time).getUTCFullYear() * 12 + new Date(time).getUTCMonth();
+        const counts = new Map();
+        for (const time of times) {
+            counts.set(monthIndex(time), (counts.get(monthIndex(time)) || 0) + 1);
+        }
+        const last = monthIndex(times[times.length - 1]);
+        const first = Math.max(monthIndex(times[0]), last - UrlAnalyzer.FRESHNESS_MONTHS + 1);
+        const histogram = [];
+        for (let i = first; i <= last; i++) {
+            const month = `${String(Math.floor(i / 12)).padStart(4, '0')}-${String(i % 12 + 1).padStart(2, '0')}`;
+            histogram.push({ month, count: counts.get(i) || 0 });
+        }
+
+        return {
+            count: times.length,
+            min: toDate(times[0]),
+            max: toDate(times[times.length - 1]),
+            median: toDate(median),
+            histogram,
+            older: times.filter(time => monthIndex(time) < first).length
+        };
+    }
+
+    /**
+     * Aggregate the metrics of a pattern's entries. A metric with only numeric
+     * values is a number, otherwise a category (status codes, content types).
+     * @param {Object[]} entries - Entries with an optional metrics object.
+     * @returns {Object|null} - name -> { type: 'number', count, sum, mean, median, min, max }
+     *   or { type: 'category', count, values: [{ value, count }] }, in order of first appearance;
+     *   count is the number of URLs with a value. null when no entry has metrics.
+     */
+    summarizeMetrics(entries) {
+        const valuesByName = new Map();
+        for (const entry of entries) {
+            for (const [name, value] of Object.entries(entry.metrics || {})) {
+                if (value === null || value === undefined || value === '' || Number.isNaN(value)) continue;
+                if (!valuesByName.has(name)) valuesByName.set(name, []);
+                valuesByName.get(name).push(value);
+            }
+        }
+        if (valuesByName.size === 0) return null;
+
+        const metrics = {};
+        for (const [name, values] of valuesByName) {
+            if (values.every(value => typeof value === 'number')) {
+                const sorted = [...values].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                const sum = sorted.reduce((total, value) => total + value, 0);
+                metrics[name] = {
+                    type: 'number',
+                    count: sorted.length,
+                    sum,
+                    mean: sum / sorted.length,
+                    median: sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+                    min: sorted[0],
+                    max: sorted[sorted.length - 1]
+                };
+            } else {
+                const counts = new Map();
+                for (const value of values.map(String)) {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                }
+                metrics[name] = {
+                    type: 'category',
+                    count: values.length,
+                    values: Array.from(counts.entries())
+                        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                        .map(([value, count]) => ({ value, count }))
+                };
+            }
+        }
+        return metrics;
+    }
+
+    /**
+     * Classify parameter values:
+     * - 'constant'   - always the same value (e.g. utm_source=newsletter)
+     * - 'enumerable' - a small set of repeating values (e.g. sort=price|name, page=1..5)
+     * - 'id'         - mostly unique values (e.g. product IDs, search terms)
+     * @param {Map<string, number>} values - Value -> number of occurrences.
+     * @returns {string}
+     */
+    classifyParamValues(values) {
+        if (values.size === 1) return 'constant';
+
+        let occurrences = 0;
+        for (const count of values.values()) {
+            occurrences += count;
+        }
+
+        if (values.size <= this.maxEnumerableValues && values.size <= occurrences / 2) {
+            return 'enumerable';
+        }
+        return 'id';
+    }
+
     /**
      * Parses a URL into segments.
      */
@@ -364,13 +1560,27 @@ class UrlAnalyzer {
             const scheme = url.protocol.replace(':', '');
 
             const hostSegments = url.hostname.split('.');
-            const pathSegments = url.pathname.split('/').filter(s => s.length > 0);
+            const { domain, subdomain } = this.publicSuffixList.split(url.hostname);
+            const pathname = this.caseSensitive ? url.pathname : url.pathname.toLowerCase();
+            const pathSegments = pathname.split('/').filter(s => s.length > 0);
+            // index.html, index.php, default.aspx, ... -> the directory itself
+            if (this.stripIndexPages && pathSegments.length > 0 &&
+                UrlAnalyzer.INDEX_PAGE.test(pathSegments[pathSegments.length - 1])) {
+                pathSegments.pop();
+            }
+            const trailingSlash = !this.ignoreTrailingSlash && pathSegments.length > 0 &&
+                pathname.endsWith('/');
+            const queryParams = Array.from(url.searchParams.entries());
 
             return {
                 original: urlStr,
                 scheme,
                 hostSegments,
-                pathSegments
+                domain,
+                subdomain,
+                pathSegments,
+                trailingSlash,
+                queryParams
             };
         } catch (e) {
             return null;
@@ -378,6 +1588,143 @@ class UrlAnalyzer {
     }
 }
 
+UrlAnalyzer.DEFAULT_OPTIONS = {
+    // Replaces masked segments
+    placeholder: '…',
+    // Replace masked segments with typed tokens ({id:int}, {uuid}, {slug}, ...) instead of the placeholder
+    typedPlaceholders: false,
+    // Number of sample values kept for each masked segment
+    maxPlaceholderSamples: 5,
+    // How query strings affect patterns:
+    // 'ignore' - not part of the pattern, 'keep' - parameter keys in URL order,
+    // 'sort' - parameter keys sorted, so ?b=1&a=2 and ?a=2&b=1 share a pattern
+    queryMode: 'ignore',
+    // Parameters with at most this many distinct values are reported as enumerable
+    maxEnumerableValues: 10,
+    // Use the private section of the Public Suffix List (github.io, blogspot.com, ...)
+    includePrivateSuffixes: true,
+    // Minimum number of sibling values before they are masked
+    minSiblings: 2,
+    // How path siblings are masked:
+    // 'cardinality' - per sibling set, by URL counts, value shape and shared child routes
+    // 'count' - values seen in at most maxMaskedCount URLs are IDs/slugs, the rest route names
+    masking: 'cardinality',
+    // 'count' masking: path values seen in at most this many URLs are masked
+    maxMaskedCount: 1,
+    // 'cardinality' masking: siblings with this many times the median URL count are route names
+    routeCountFactor: 3,
+    // 'cardinality' masking: mask when distinct values / URLs reaches this ratio...
+    minDistinctRatio: 0.8,
+    // ...or when the siblings share this much of their child routes (0-1)
+    minStructureSimilarity: 0.5,
+    // false = lowercase paths, so /About and /about share a pattern
+    caseSensitive: true,
+    // false = /a and /a/ are separate patterns
+    ignoreTrailingSlash: true,
+    // Treat /dir/index.html (index.php, default.aspx, ...) as /dir
+    stripIndexPages: false,
+    // Keep one URL of each variant family (see findVariants) before the analysis
+    collapseVariants: false,
+    // Fold language variants: locale path segments and subdomains (en, en-us, de_DE) are
+    // masked together as {locale}, with per-locale URL counts for each pattern
+    detectLocales: false,
+    // Subdomains that indicate distinct site sections - never mask these
+    meaningfulSubdomains: [
+        'www', 'blog', 'shop', 'store', 'api', 'cdn', 'static', 'assets',
+        'mail', 'email', 'admin', 'app', 'dashboard', 'portal', 'support',
+        'help', 'docs', 'developer', 'developers', 'dev', 'staging', 'test',
+        'm', 'mobile', 'secure', 'account', 'accounts', 'auth', 'login',
+        'images', 'img', 'media', 'video', 'news', 'forum', 'community'
+    ],
+    // Path segments that are never masked / always masked ("/regex/" strings are regular expressions)
+    keepLiteral: [],
+    forceMask: [],
+    // Rules for the path segments at one position, which win over all of the above:
+    // { action, at, values } with action 'mask' (always mask these values), 'literal' (never
+    // mask them), 'merge' (mask them together, with the groups they are in) or 'split' (no
+    // values: mask nothing). at is the pattern before the segment with masked segments
+    // as "*", e.g. "https://example.com/products/*" for the segment after a product ID.
+    refinements: [],
+    // Known routes, matched before discovery: "/{lang}/products/{id:int}", "/blog/*", "/docs/**",
+    // optionally with scheme and host ("https://shop.example.com/cart"); the first match wins
+    routes: []
+};
+
+UrlAnalyzer.REFINEMENT_ACTIONS = ['mask', 'literal', 'merge', 'split'];
+
+// ISO 639-1 language codes, the first subtag of the locales detectLocales folds
+UrlAnalyzer.LANGUAGE_CODES = new Set((
+    'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+    'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+    'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+    'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+    'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+    'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// Variant families reported by findVariants, in order
+UrlAnalyzer.VARIANT_KINDS = ['pagination', 'trailing-slash', 'index', 'case', 'protocol'];
+
+// Pagination: /blog/page/2 (a segment followed by the page number) and ?p=3
+UrlAnalyzer.PAGINATION_SEGMENTS = /^(page|seite|pagina|strana|strona)$/i;
+UrlAnalyzer.PAGINATION_PARAMS = ['page', 'p', 'pg', 'paged', 'pagenum', 'start', 'offset'];
+
+// Outlier reasons and how much each adds to the score of a URL (see findOutliers)
+UrlAnalyzer.OUTLIER_REASONS = {
+    singleton: 0.4,
+    depth: 0.2,
+    characters: 0.3,
+    encoded: 0.3,
+    'long-segment': 0.2,
+    'test-name': 0.3,
+    case: 0.2
+};
+// Groups (sections, patterns) need this many URLs before their typical shape counts
+UrlAnalyzer.OUTLIER_MIN_GROUP = 10;
+// Segments longer than this always stand out; longer than OUTLIER_LONG_SEGMENT when 2.5x their pattern's median
+UrlAnalyzer.OUTLIER_MAX_SEGMENT = 100;
+UrlAnalyzer.OUTLIER_LONG_SEGMENT = 40;
+// A site is lowercase when this share of its paths is
+UrlAnalyzer.OUTLIER_LOWERCASE_SHARE = 0.9;
+UrlAnalyzer.OUTLIER_TEST_NAME = /(^|[-_.])(test|tmp|temp|old|copy|backup|bak|draft|staging|debug|asdf|untitled)\d*($|[-_.])/i;
+
+UrlAnalyzer.INDEX_PAGE = /^(index|default)\.(html?|php|aspx?|jsp|cfm)$/i;
+
+// Segment value types, in the order they are tested
+UrlAnalyzer.SEGMENT_TYPES = {
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    month: /^\d{4}-(0[1-9]|1[0-2])$/,
+    int: /^\d+$/,
+    hex: /^[0-9a-f]{8,}$/i,
+    // Same check as locale folding: a known language code, not any two letters
+    locale: { test: value => UrlAnalyzer.isLocaleCode(value) },
+    slug: /^[\p{L}\p{N}]+(?:[-_][\p{L}\p{N}]+)*$/u
+};
+
+// Value types that identify records rather than name routes
+UrlAnalyzer.ID_TYPES = new Set(['uuid', 'date', 'month', 'int', 'hex']);
+
+// Tokens for typed placeholders ('mixed' values keep the plain placeholder)
+UrlAnalyzer.TYPED_TOKENS = {
+    uuid: '{uuid}',
+    date: '{date:yyyy-mm-dd}',
+    month: '{date:yyyy-mm}',
+    int: '{id:int}',
+    hex: '{hex}',
+    locale: '{locale}',
+    slug: '{slug}'
+};
+
+// Progress stages reported by analyze(), then findVariants() and findOutliers(), in order
+UrlAnalyzer.STAGES = ['parsing', 'building', 'collapsing', 'sorting', 'variants', 'outliers'];
+
+// Report progress of the per-URL stages every N URLs
+UrlAnalyzer.PROGRESS_INTERVAL = 10000;
+
+// Months in a freshness histogram at most (10 years)
+UrlAnalyzer.FRESHNESS_MONTHS = 120;
+
 // Browser
 if (typeof window !== 'undefined') {
     window.UrlAnalyzer = UrlAnalyzer;
@@ -3,25 +3,130 @@ const analyzeBtn = document.getElementById('analyzeBtn');
 const resultsSection = document.getElementById('resultsSection');
 const patternsList = document.getElementById('patternsList');
 const patternCount = document.getElementById('patternCount');
+const routeCoverage = document.getElementById('routeCoverage');
 const inputSection = document.getElementById('inputSection');
 const collapsedInputSection = document.getElementById('collapsedInputSection');
 const editInputBtn = document.getElementById('editInputBtn');
 const urlCountSummary = document.getElementById('urlCountSummary');
 
+// File import UI elements
+const importDropZone = document.getElementById('importDropZone');
+const importFileInput = document.getElementById('importFileInput');
+const importOptions = document.getElementById('importOptions');
+const importFormatSelect = document.getElementById('importFormatSelect');
+const importColumnLabel = document.getElementById('importColumnLabel');
+const importColumnSelect = document.getElementById('importColumnSelect');
+const importBaseUrlLabel = document.getElementById('importBaseUrlLabel');
+const importBaseUrlInput = document.getElementById('importBaseUrlInput');
+const importSummary = document.getElementById('importSummary');
+
+// Settings UI elements
+const queryModeSelect = document.getElementById('queryModeSelect');
+const typedPlaceholdersCheckbox = document.getElementById('typedPlaceholdersCheckbox');
+const placeholderInput = document.getElementById('placeholderInput');
+const maskingSelect = document.getElementById('maskingSelect');
+const minSiblingsInput = document.getElementById('minSiblingsInput');
+const maxMaskedCountInput = document.getElementById('maxMaskedCountInput');
+const ignoreCaseCheckbox = document.getElementById('ignoreCaseCheckbox');
+const trailingSlashCheckbox = document.getElementById('trailingSlashCheckbox');
+const stripIndexCheckbox = document.getElementById('stripIndexCheckbox');
+const detectLocalesCheckbox = document.getElementById('detectLocalesCheckbox');
+const collapseVariantsCheckbox = document.getElementById('collapseVariantsCheckbox');
+const keepLiteralInput = document.getElementById('keepLiteralInput');
+const forceMaskInput = document.getElementById('forceMaskInput');
+const routesInput = document.getElementById('routesInput');
+const meaningfulSubdomainsInput = document.getElementById('meaningfulSubdomainsInput');
+const profileFileInput = document.getElementById('profileFileInput');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const profileStatus = document.getElementById('profileStatus');
+
+// Progress UI elements
+const analysisProgress = document.getElementById('analysisProgress');
+const analysisProgressBar = document.getElementById('analysisProgressBar');
+const analysisProgressText = document.getElementById('analysisProgressText');
+const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+
+// Export UI elements
+const resultFormatSelect = document.getElementById('resultFormatSelect');
+const includeUrlsCheckbox = document.getElementById('includeUrlsCheckbox');
+const copyResultsBtn = document.getElementById('copyResultsBtn');
+const downloadResultsBtn = document.getElementById('downloadResultsBtn');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const copyExportBtn = document.getElementById('copyExportBtn');
+const downloadExportBtn = document.getElementById('downloadExportBtn');
+
+// Refinement UI elements
+const refinementBar = document.getElementById('refinementBar');
+const refinementHint = document.getElementById('refinementHint');
+const refinementList = document.getElementById('refinementList');
+const reanalyzeBtn = document.getElementById('reanalyzeBtn');
+const saveRefinementsBtn = document.getElementById('saveRefinementsBtn');
+const clearRefinementsBtn = document.getElementById('clearRefinementsBtn');
+
+// Locale UI elements
+const localeActions = document.getElementById('localeActions');
+const foldLocalesCheckbox = document.getElementById('foldLocalesCheckbox');
+const localeSummary = document.getElementById('localeSummary');
+
+// Variant UI elements
+const variantsPanel = document.getElementById('variantsPanel');
+const variantCount = document.getElementById('variantCount');
+const collapseFamiliesCheckbox = document.getElementById('collapseFamiliesCheckbox');
+const variantSummary = document.getElementById('variantSummary');
+const variantList = document.getElementById('variantList');
+
+// Result views: patterns and outliers
+const patternsViewTab = document.getElementById('patternsViewTab');
+const outliersViewTab = document.getElementById('outliersViewTab');
+const patternsView = document.getElementById('patternsView');
+const outliersView = document.getElementById('outliersView');
+const outlierCount = document.getElementById('outlierCount');
+const outlierSummary = document.getElementById('outlierSummary');
+const outliersList = document.getElementById('outliersList');
+
+// Metric UI elements
+const metricActions = document.getElementById('metricActions');
+const metricAggregateSelect = document.getElementById('metricAggregateSelect');
+
+// robots.txt UI elements
+const robotsActions = document.getElementById('robotsActions');
+const robotsAgentInput = document.getElementById('robotsAgentInput');
+const robotsAgentList = document.getElementById('robotsAgentList');
+const robotsSummary = document.getElementById('robotsSummary');
+
+// Comparison UI elements
+const beforeInput = document.getElementById('beforeInput');
+const afterInput = document.getElementById('afterInput');
+const ignoreOriginCheckbox = document.getElementById('ignoreOriginCheckbox');
+const compareBtn = document.getElementById('compareBtn');
+const diffSection = document.getElementById('diffSection');
+const diffCount = document.getElementById('diffCount');
+const diffTotals = document.getElementById('diffTotals');
+const diffList = document.getElementById('diffList');
+
 // Sitemap UI elements
 const urlsTab = document.getElementById('urlsTab');
 const sitemapTab = document.getElementById('sitemapTab');
+const compareTab = document.getElementById('compareTab');
 const urlsPanel = document.getElementById('urlsPanel');
 const sitemapPanel = document.getElementById('sitemapPanel');
+const comparePanel = document.getElementById('comparePanel');
 const sitemapUrlInput = document.getElementById('sitemapUrlInput');
 const fetchSitemapBtn = document.getElementById('fetchSitemapBtn');
 const sitemapStatus = document.getElementById('sitemapStatus');
 const statusMessage = document.getElementById('statusMessage');
+const sitemapList = document.getElementById('sitemapList');
 const errorList = document.getElementById('errorList');
 const analyzeSitemapBtn = document.getElementById('analyzeSitemapBtn');
 
-// Sitemap proxy URL (Cloudflare Worker)
-const SITEMAP_PROXY_URL = 'https://sitemap-proxy.mprokop.workers.dev';
+// Sitemap proxy URL: the Cloudflare Worker, unless index.html points
+// <meta name="sitemap-proxy-url"> at another deployment or a local proxy server
+const DEFAULT_SITEMAP_PROXY_URL = 'https://sitemap-proxy.mprokop.workers.dev';
+const sitemapProxyMeta = document.querySelector('meta[name="sitemap-proxy-url"]');
+const SITEMAP_PROXY_URL = (sitemapProxyMeta && sitemapProxyMeta.content.trim()) || DEFAULT_SITEMAP_PROXY_URL;
+
+// Web Worker that runs UrlAnalyzer off the main thread
+const ANALYSIS_WORKER_URL = 'js/analysis-worker.js';
 
 // Validate required DOM elements
 if (!urlInput || !analyzeBtn || !resultsSection || !patternsList ||
@@ -30,101 +135,228 @@ if (!urlInput || !analyzeBtn || !resultsSection || !patternsList ||
     throw new Error('Required DOM elements not found. Check HTML element IDs.');
 }
 
-const analyzer = new UrlAnalyzer();
+let analyzer = new UrlAnalyzer();
+const exporter = new RouteExporter();
+const resultExporter = new ResultExporter();
+let currentPatterns = []; // Patterns shown in the results table
 let fetchedUrls = []; // Store URLs fetched from sitemap
+let fetchedEntries = []; // The same URLs with their sitemap metadata
+let fetchedRobots = null; // robots.txt of the fetched site (RobotsTxt)
+let currentRobots = null; // robots.txt the shown patterns are checked against
+let currentSort = null; // { key, descending } of the results table, null for the pattern hierarchy
+let lastAnalyzedUrls = null; // URL list of the shown patterns, analyzed again when refinements change
+let refinements = []; // User rules from clicked segments (UrlAnalyzer option refinements)
+let profileOptions = {}; // Options of a loaded profile that the settings panel has no field for
 let currentTab = 'urls';
+let cancelCurrentAnalysis = null; // Set while an analysis is running
 
-analyzeBtn.addEventListener('click', () => {
+analyzeBtn.addEventListener('click', async () => {
     const text = urlInput.value;
     if (!text.trim()) return;
 
-    // Show loading state
-    const btnText = analyzeBtn.querySelector('.btn-text');
-    const originalText = btnText.textContent;
-    btnText.textContent = 'Analyzing...';
-    analyzeBtn.disabled = true;
-
-    // Use setTimeout to allow UI to update before processing
-    setTimeout(() => {
-        const urls = text.split('\n').filter(u => u.trim().length > 0);
-        const patterns = analyzer.analyze(urls);
-
-        renderResults(patterns);
+    // Imported entries carry the metrics of their files, as long as the list isn't edited
+    const urls = importedEntries && text === importedText
+        ? importedEntries
+        : text.split('\n').filter(u => u.trim().length > 0);
+    const results = await analyzeWithProgress(analyzeBtn, [urls]);
+    if (!results) return;
 
-        // Collapse Input
-        inputSection.classList.add('hidden');
-        collapsedInputSection.classList.remove('hidden');
-        urlCountSummary.textContent = `${urls.length} URLs`;
+    lastAnalyzedUrls = urls;
+    renderResults(results[0].patterns);
+    renderVariants(results[0].variants);
+    renderOutliers(results[0].outliers);
 
-        // Restore button state
-        btnText.textContent = originalText;
-        analyzeBtn.disabled = false;
-    }, 10);
+    // Collapse Input
+    inputSection.classList.add('hidden');
+    collapsedInputSection.classList.remove('hidden');
+    urlCountSummary.textContent = `${urls.length} URLs`;
 });
 
 editInputBtn.addEventListener('click', () => {
     inputSection.classList.remove('hidden');
     collapsedInputSection.classList.add('hidden');
     resultsSection.classList.add('hidden');
+    diffSection.classList.add('hidden');
     // Restore to the tab that was used
     switchTab(currentTab);
 });
 
 // Tab switching
-urlsTab.addEventListener('click', () => switchTab('urls'));
-sitemapTab.addEventListener('click', () => switchTab('sitemap'));
+const tabs = {
+    urls: { button: urlsTab, panel: urlsPanel, focus: urlInput },
+    sitemap: { button: sitemapTab, panel: sitemapPanel, focus: sitemapUrlInput },
+    compare: { button: compareTab, panel: comparePanel, focus: beforeInput }
+};
+
+for (const [name, { button }] of Object.entries(tabs)) {
+    button.addEventListener('click', () => switchTab(name));
+}
 
 function switchTab(tab) {
     currentTab = tab;
-    if (tab === 'urls') {
-        urlsTab.classList.add('active');
-        sitemapTab.classList.remove('active');
-        urlsPanel.classList.remove('hidden');
-        sitemapPanel.classList.add('hidden');
-        urlInput.focus();
-    } else {
-        sitemapTab.classList.add('active');
-        urlsTab.classList.remove('active');
-        sitemapPanel.classList.remove('hidden');
-        urlsPanel.classList.add('hidden');
-        sitemapUrlInput.focus();
+    for (const [name, { button, panel }] of Object.entries(tabs)) {
+        button.classList.toggle('active', name === tab);
+        panel.classList.toggle('hidden', name !== tab);
     }
+    tabs[tab].focus.focus();
 }
 
 // Focus input on load
 urlInput.focus();
 
+// File import: parsed into the URL list; the files are kept so that changing
+// the format, column or log site parses them again
+let importedFiles = []; // [{ name, content }]
+let importedEntries = null; // Parsed entries with their metrics
+let importedText = null; // The URL list shown for importedEntries
+
+for (const [format, { label }] of Object.entries({ auto: { label: 'Detect' }, ...UrlImporter.FORMATS })) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    importFormatSelect.appendChild(option);
+}
+
+importFileInput.addEventListener('change', () => {
+    importFiles(importFileInput.files);
+    importFileInput.value = '';
+});
+
+importDropZone.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    importDropZone.classList.add('dragover');
+});
+
+importDropZone.addEventListener('dragleave', (event) => {
+    if (!importDropZone.contains(event.relatedTarget)) {
+        importDropZone.classList.remove('dragover');
+    }
+});
+
+importDropZone.addEventListener('drop', (event) => {
+    importDropZone.classList.remove('dragover');
+    if (event.dataTransfer.files.length === 0) return;
+    event.preventDefault();
+    importFiles(event.dataTransfer.files);
+});
+
+importFormatSelect.addEventListener('change', () => {
+    // Columns of another format don't carry over
+    importColumnSelect.value = '';
+    parseImportedFiles();
+});
+importColumnSelect.addEventListener('change', parseImportedFiles);
+importBaseUrlInput.addEventListener('change', parseImportedFiles);
+
+async function importFiles(fileList) {
+    const files = [...fileList];
+    importedFiles = await Promise.all(files.map(async file => ({ name: file.name, content: await file.text() })));
+    importColumnSelect.value = '';
+    parseImportedFiles();
+}
+
+function parseImportedFiles() {
+    const detector = new UrlImporter();
+    const entries = [];
+    const metrics = new Set();
+    const problems = [];
+    let columns = null;
+    let column = null;
+    let hasLog = false;
+
+    for (const file of importedFiles) {
+        const format = importFormatSelect.value === 'auto'
+            ? detector.detectFormat(file.content, file.name)
+            : importFormatSelect.value;
+        hasLog = hasLog || format === 'log';
+
+        const importer = new UrlImporter({
+            format,
+            column: importColumnSelect.value || null,
+            baseUrl: importBaseUrlInput.value.trim() || null
+        });
+        try {
+            const result = importer.parse(file.content, file.name);
+            entries.push(...result.entries);
+            result.metrics.forEach(name => metrics.add(name));
+            if (result.columns && !columns) {
+                columns = result.columns;
+                column = result.column;
+            }
+            if (result.skipped > 0) {
+                problems.push(`${file.name}: ${result.skipped.toLocaleString()} lines skipped`);
+            }
+        } catch (error) {
+            problems.push(`${file.name}: ${error.message}`);
+        }
+    }
+
+    // Column picker for the first CSV/TSV file; the choice (1-based) applies to all
+    const picked = importColumnSelect.value;
+    importColumnSelect.innerHTML = '';
+    (columns || []).forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = String(index + 1);
+        option.textContent = name || `Column ${index + 1}`;
+        importColumnSelect.appendChild(option);
+    });
+    if (columns) {
+        importColumnSelect.value = picked || String(column + 1);
+    }
+    importColumnLabel.classList.toggle('hidden', !columns);
+    importBaseUrlLabel.classList.toggle('hidden', !hasLog);
+
+    importedEntries = entries;
+    importedText = entries.map(entry => entry.loc).join('\n');
+    urlInput.value = importedText;
+
+    const fileCount = importedFiles.length === 1 ? importedFiles[0].name : `${importedFiles.length} files`;
+    const found = `${entries.length.toLocaleString()} URLs from ${fileCount}` +
+        (metrics.size > 0 ? ` with ${[...metrics].join(', ')}` : '');
+    importSummary.textContent = [found, ...problems].join(' · ');
+    importSummary.classList.toggle('error', problems.length > 0);
+    importOptions.classList.remove('hidden');
+}
+
 // Sitemap fetch handler
 fetchSitemapBtn.addEventListener('click', async () => {
     const inputUrl = sitemapUrlInput.value.trim();
 
     if (!inputUrl) {
+        sitemapList.classList.add('hidden');
         updateSitemapStatus('error', 'Please enter a URL');
         return;
     }
 
     // Reset state
     fetchedUrls = [];
+    fetchedEntries = [];
+    fetchedRobots = null;
     analyzeSitemapBtn.disabled = true;
     fetchSitemapBtn.disabled = true;
     updateSitemapStatus('loading', 'Fetching sitemaps...');
 
     try {
         const fetcher = new SitemapFetcher(SITEMAP_PROXY_URL);
-        const result = await fetcher.fetchUrls(inputUrl);
+        const result = await fetcher.fetchUrls(inputUrl, { onProgress: createSitemapProgress() });
 
         fetchedUrls = result.urls;
+        fetchedEntries = result.entries;
+        fetchedRobots = result.robots;
 
         // Show final status
         const hasLimitWarning = result.errors.some(e =>
             e.url === 'limit' || (typeof e.error === 'string' && e.error.includes('limit'))
         );
 
+        const traversalNotes = describeTraversal(result);
+
         if (result.errors.length > 0 && result.urls.length > 0) {
             const message = hasLimitWarning
                 ? `Found ${result.urls.length.toLocaleString()} URLs (some skipped due to size limits).`
                 : `Found ${result.urls.length.toLocaleString()} URLs from ${result.sitemapCount} sitemap(s). Some failed:`;
-            updateSitemapStatus('warning', message, result.errors);
+            updateSitemapStatus('warning', message, [...result.errors, ...traversalNotes]);
         } else if (result.errors.length > 0) {
             updateSitemapStatus('error',
                 'Failed to fetch sitemap.',
@@ -132,8 +364,9 @@ fetchSitemapBtn.addEventListener('click', async () => {
             );
         } else {
             const sitemapText = result.sitemapCount === 1 ? 'sitemap' : 'sitemaps';
-            updateSitemapStatus('success',
-                `Found ${result.urls.length} URLs from ${result.sitemapCount} ${sitemapText}`
+            updateSitemapStatus(traversalNotes.length > 0 ? 'warning' : 'success',
+                `Found ${result.urls.length} URLs from ${result.sitemapCount} ${sitemapText}`,
+                traversalNotes
             );
         }
 
@@ -146,6 +379,84 @@ fetchSitemapBtn.addEventListener('click', async () => {
     }
 });
 
+/**
+ * Live list of the sitemaps the proxy reports, with running totals in the status message.
+ * @returns {Function} - onProgress handler for SitemapFetcher.fetchUrls
+ */
+function createSitemapProgress() {
+    sitemapList.innerHTML = '';
+    sitemapList.classList.remove('hidden');
+
+    const items = new Map(); // sitemap URL -> li
+    let fetched = 0;
+    let urlCount = 0;
+
+    const itemFor = (url) => {
+        if (!items.has(url)) {
+            const li = document.createElement('li');
+            li.className = 'pending';
+            const code = document.createElement('code');
+            code.textContent = url;
+            li.append(code, document.createElement('span'));
+            sitemapList.appendChild(li);
+            items.set(url, li);
+        }
+        return items.get(url);
+    };
+
+    return (event) => {
+        if (event.type === 'discovered') {
+            itemFor(event.url);
+        } else if (event.type === 'sitemap') {
+            const li = itemFor(event.url);
+            li.className = 'done';
+            if (event.kind === 'sitemapindex') {
+                li.lastChild.textContent = ` index of ${event.count.toLocaleString()} sitemaps`;
+            } else {
+                li.lastChild.textContent = ` ${event.count.toLocaleString()} URLs`;
+                urlCount += event.count;
+            }
+            fetched++;
+        } else if (event.type === 'error' && items.has(event.url)) {
+            const li = items.get(event.url);
+            li.className = 'failed';
+            li.lastChild.textContent = ` ${event.error}`;
+            fetched++;
+        } else {
+            return;
+        }
+
+        statusMessage.textContent = `Fetching sitemaps... ${fetched} of ${items.size} done, ` +
+            `${urlCount.toLocaleString()} URLs so far`;
+    };
+}
+
+/**
+ * Sitemaps the proxy left out while following indexes, as status list items.
+ */
+function describeTraversal(result) {
+    const notes = result.sampled.map(index => ({
+        url: index.url,
+        error: `index lists ${index.total.toLocaleString()} sitemaps, sampled ${index.fetched} spread over the list`
+    }));
+
+    const { duplicates, cycles, tooDeep, overLimit } = result.skipped;
+    const reasons = [
+        [overLimit, 'over the sitemap limit'],
+        [tooDeep, 'nested too deep'],
+        [cycles, 'listed by their own descendants'],
+        [duplicates, 'listed more than once']
+    ].filter(([count]) => count > 0);
+    if (reasons.length > 0) {
+        notes.push({
+            url: 'skipped',
+            error: reasons.map(([count, reason]) => `${count.toLocaleString()} ${reason}`).join(', ')
+        });
+    }
+
+    return notes;
+}
+
 function updateSitemapStatus(type, message, errors = []) {
     sitemapStatus.classList.remove('hidden', 'loading', 'success', 'error', 'warning');
     sitemapStatus.classList.add(type);
@@ -153,10 +464,16 @@ function updateSitemapStatus(type, message, errors = []) {
 
     if (errors.length > 0) {
         errorList.classList.remove('hidden');
-        errorList.innerHTML = errors.map(e => {
+        // Built from text nodes: URLs and messages come from whichever proxy is configured
+        errorList.innerHTML = '';
+        errors.forEach(e => {
             const errorMsg = typeof e.error === 'string' ? e.error : e.error.message;
-            return `<li><code>${e.url}</code>: ${errorMsg}</li>`;
-        }).join('');
+            const li = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = e.url;
+            li.append(code, `: ${errorMsg}`);
+            errorList.appendChild(li);
+        });
     } else {
         errorList.classList.add('hidden');
         errorList.innerHTML = '';
@@ -164,33 +481,503 @@ function updateSitemapStatus(type, message, errors = []) {
 }
 
 // Sitemap analyze button handler
-analyzeSitemapBtn.addEventListener('click', () => {
+analyzeSitemapBtn.addEventListener('click', async () => {
     if (fetchedUrls.length === 0) return;
 
-    const btnText = analyzeSitemapBtn.querySelector('.btn-text');
+    const results = await analyzeWithProgress(analyzeSitemapBtn, [fetchedEntries]);
+    if (!results) return;
+
+    lastAnalyzedUrls = fetchedEntries;
+    renderResults(results[0].patterns, fetchedRobots);
+    renderVariants(results[0].variants);
+    renderOutliers(results[0].outliers);
+
+    // Collapse input
+    inputSection.classList.add('hidden');
+    collapsedInputSection.classList.remove('hidden');
+    urlCountSummary.textContent = `${fetchedUrls.length} URLs (from sitemap)`;
+});
+
+// Settings start from the analyzer defaults
+const defaults = UrlAnalyzer.DEFAULT_OPTIONS;
+typedPlaceholdersCheckbox.checked = defaults.typedPlaceholders;
+placeholderInput.value = defaults.placeholder;
+maskingSelect.value = defaults.masking;
+minSiblingsInput.value = defaults.minSiblings;
+maxMaskedCountInput.value = defaults.maxMaskedCount;
+meaningfulSubdomainsInput.value = defaults.meaningfulSubdomains.join(', ');
+
+function readLines(textarea) {
+    return textarea.value.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+function readAnalyzerOptions() {
+    return {
+        ...profileOptions,
+        queryMode: queryModeSelect.value,
+        typedPlaceholders: typedPlaceholdersCheckbox.checked,
+        placeholder: placeholderInput.value || defaults.placeholder,
+        masking: maskingSelect.value,
+        minSiblings: Math.max(1, parseInt(minSiblingsInput.value, 10) || defaults.minSiblings),
+        maxMaskedCount: Math.max(1, parseInt(maxMaskedCountInput.value, 10) || defaults.maxMaskedCount),
+        caseSensitive: !ignoreCaseCheckbox.checked,
+        ignoreTrailingSlash: !trailingSlashCheckbox.checked,
+        stripIndexPages: stripIndexCheckbox.checked,
+        collapseVariants: collapseVariantsCheckbox.checked,
+        detectLocales: detectLocalesCheckbox.checked,
+        keepLiteral: readLines(keepLiteralInput),
+        forceMask: readLines(forceMaskInput),
+        routes: readLines(routesInput),
+        meaningfulSubdomains: meaningfulSubdomainsInput.value.split(',')
+            .map(s => s.trim())
+            .filter(s => s.length > 0),
+        refinements
+    };
+}
+
+/**
+ * Fill the settings panel from analyzer options, e.g. a loaded profile.
+ * Missing options fall back to the analyzer defaults.
+ */
+function writeAnalyzerOptions(options) {
+    const settings = { ...defaults, ...options };
+    queryModeSelect.value = settings.queryMode;
+    typedPlaceholdersCheckbox.checked = settings.typedPlaceholders;
+    placeholderInput.value = settings.placeholder;
+    maskingSelect.value = settings.masking;
+    minSiblingsInput.value = settings.minSiblings;
+    maxMaskedCountInput.value = settings.maxMaskedCount;
+    ignoreCaseCheckbox.checked = !settings.caseSensitive;
+    trailingSlashCheckbox.checked = !settings.ignoreTrailingSlash;
+    stripIndexCheckbox.checked = settings.stripIndexPages;
+    collapseVariantsCheckbox.checked = settings.collapseVariants;
+    detectLocalesCheckbox.checked = settings.detectLocales;
+    keepLiteralInput.value = settings.keepLiteral.join('\n');
+    forceMaskInput.value = settings.forceMask.join('\n');
+    routesInput.value = settings.routes.join('\n');
+    meaningfulSubdomainsInput.value = settings.meaningfulSubdomains.join(', ');
+    refinements = settings.refinements;
+
+    profileOptions = {};
+    const shown = readAnalyzerOptions();
+    for (const [name, value] of Object.entries(options)) {
+        if (!(name in shown)) profileOptions[name] = value;
+    }
+}
+
+// Profile: the analyzer options as JSON, for the next session or the command line (--config)
+function saveProfile() {
+    const profile = JSON.stringify(readAnalyzerOptions(), null, 2) + '\n';
+    downloadFile('url-patterns-profile.json', profile, 'application/json;charset=utf-8');
+}
+
+saveProfileBtn.addEventListener('click', saveProfile);
+saveRefinementsBtn.addEventListener('click', saveProfile);
+
+profileFileInput.addEventListener('change', async () => {
+    const file = profileFileInput.files[0];
+    profileFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const profile = JSON.parse(await file.text());
+        new UrlAnalyzer(profile); // Throws on invalid refinements
+        writeAnalyzerOptions(profile);
+        renderRefinements();
+        profileStatus.classList.remove('error');
+        profileStatus.textContent = `Loaded ${file.name}`;
+    } catch (error) {
+        profileStatus.classList.add('error');
+        profileStatus.textContent = `Cannot load ${file.name}: ${error.message}`;
+    }
+});
+
+function applyAnalysisOptions() {
+    analyzer = new UrlAnalyzer(readAnalyzerOptions());
+}
+
+// Analysis in a Web Worker
+const STAGE_LABELS = {
+    parsing: 'Parsing URLs',
+    building: 'Building trie',
+    collapsing: 'Collapsing patterns',
+    sorting: 'Sorting patterns',
+    variants: 'Finding URL variants',
+    outliers: 'Finding outliers'
+};
+
+/**
+ * Analyze one or more URL lists in turn, showing progress and a cancel button.
+ * The button that started the analysis shows 'Analyzing...' meanwhile.
+ * @param {HTMLButtonElement} button
+ * @param {string[][]} urlLists
+ * @param {string[]} [labels] - Shown in front of the progress text, one per list.
+ * @returns {Promise<Object[]|null>} - { patterns, variants, outliers } for each list (see runAnalysis),
+ *   or null when cancelled or failed.
+ */
+async function analyzeWithProgress(button, urlLists, labels = []) {
+    const btnText = button.querySelector('.btn-text');
     const originalText = btnText.textContent;
     btnText.textContent = 'Analyzing...';
-    analyzeSitemapBtn.disabled = true;
+    button.disabled = true;
+    analysisProgress.classList.remove('hidden', 'error');
+    cancelAnalysisBtn.classList.remove('hidden');
 
-    setTimeout(() => {
-        const patterns = analyzer.analyze(fetchedUrls);
+    try {
+        applyAnalysisOptions();
+        const results = [];
+        for (let i = 0; i < urlLists.length; i++) {
+            const prefix = labels[i] ? `${labels[i]}: ` : '';
+            results.push(await runAnalysis(urlLists[i], progress => showProgress(prefix, progress)));
+        }
+        analysisProgress.classList.add('hidden');
+        return results;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            analysisProgress.classList.add('hidden');
+        } else {
+            analysisProgress.classList.add('error');
+            analysisProgressText.textContent = `Analysis failed: ${error.message}`;
+            cancelAnalysisBtn.classList.add('hidden');
+        }
+        return null;
+    } finally {
+        btnText.textContent = originalText;
+        button.disabled = false;
+    }
+}
 
-        renderResults(patterns);
+function showProgress(prefix, { stage, done, total }) {
+    const stageIndex = UrlAnalyzer.STAGES.indexOf(stage);
+    analysisProgressBar.value = (stageIndex + (total > 0 ? done / total : 1)) / UrlAnalyzer.STAGES.length;
 
-        // Collapse input
-        inputSection.classList.add('hidden');
-        collapsedInputSection.classList.remove('hidden');
-        urlCountSummary.textContent = `${fetchedUrls.length} URLs (from sitemap)`;
+    let text = `${prefix}${STAGE_LABELS[stage]}`;
+    if (total > 1) {
+        text += ` (${done.toLocaleString()} / ${total.toLocaleString()} URLs)`;
+    }
+    analysisProgressText.textContent = text + '...';
+}
 
-        btnText.textContent = originalText;
-        analyzeSitemapBtn.disabled = false;
-    }, 10);
+/**
+ * Run UrlAnalyzer in a Web Worker. Pages opened from file:// can't start
+ * workers, so the analysis falls back to the main thread there, as it does
+ * when the worker script fails to load.
+ * @returns {Promise<Object[]>} - Rejects with an AbortError when cancelled, and with
+ *   the error when the analysis fails.
+ */
+function runAnalysis(urls, onProgress) {
+    return new Promise((resolve, reject) => {
+        const runOnMainThread = () => {
+            cancelAnalysisBtn.classList.add('hidden');
+            // Let the UI update before blocking it
+            setTimeout(() => {
+                try {
+                    const patterns = analyzer.analyze(urls, { onProgress });
+                    resolve({
+                        patterns,
+                        variants: analyzer.findVariants(urls, { onProgress }),
+                        outliers: analyzer.findOutliers(patterns, { onProgress })
+                    });
+                } catch (error) {
+                    reject(error);
+                }
+            }, 10);
+        };
+
+        let worker;
+        try {
+            worker = new Worker(ANALYSIS_WORKER_URL);
+        } catch (error) {
+            runOnMainThread();
+            return;
+        }
+
+        const finish = () => {
+            worker.terminate();
+            cancelCurrentAnalysis = null;
+        };
+        cancelCurrentAnalysis = () => {
+            finish();
+            reject(new DOMException('Analysis cancelled', 'AbortError'));
+        };
+
+        let started = false; // the worker has posted its first message
+        worker.onmessage = (event) => {
+            started = true;
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message);
+            } else if (message.type === 'result') {
+                finish();
+                resolve({ patterns: message.patterns, variants: message.variants, outliers: message.outliers });
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+        // Before the first message, the worker script failed to load; after it, the analysis threw
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish();
+            if (started) {
+                reject(new Error(event.message || 'Analysis worker failed'));
+            } else {
+                runOnMainThread();
+            }
+        };
+
+        worker.postMessage({ urls, options: readAnalyzerOptions() });
+    });
+}
+
+cancelAnalysisBtn.addEventListener('click', () => {
+    if (cancelCurrentAnalysis) cancelCurrentAnalysis();
+});
+
+// Before/after comparison
+compareBtn.addEventListener('click', async () => {
+    const before = beforeInput.value.split('\n').filter(u => u.trim().length > 0);
+    const after = afterInput.value.split('\n').filter(u => u.trim().length > 0);
+    if (before.length === 0 || after.length === 0) return;
+
+    const results = await analyzeWithProgress(compareBtn, [before, after], ['Before', 'After']);
+    if (!results) return;
+
+    lastAnalyzedUrls = null;
+    const differ = new PatternDiff({ ignoreOrigin: ignoreOriginCheckbox.checked });
+    renderDiff(differ.diff(results[0].patterns, results[1].patterns));
+
+    inputSection.classList.add('hidden');
+    collapsedInputSection.classList.remove('hidden');
+    urlCountSummary.textContent = `${before.length} URLs before, ${after.length} URLs after`;
+});
+
+function renderDiff(diff) {
+    resultsSection.classList.add('hidden');
+    diffSection.classList.remove('hidden');
+    diffList.innerHTML = '';
+
+    const changed = diff.added.length + diff.removed.length + diff.grown.length + diff.shrunk.length;
+    diffCount.textContent = changed;
+    diffTotals.textContent = `${diff.totals.before.patterns} → ${diff.totals.after.patterns} patterns, ` +
+        `${diff.totals.before.urls} → ${diff.totals.after.urls} URLs`;
+
+    const groups = [
+        ['Appeared', diff.added],
+        ['Disappeared', diff.removed],
+        ['Grew', diff.grown],
+        ['Shrank', diff.shrunk]
+    ];
+    for (const [title, entries] of groups) {
+        if (entries.length > 0) {
+            diffList.appendChild(renderDiffGroup(title, entries));
+        }
+    }
+    if (diff.changedUrls.length > 0) {
+        diffList.appendChild(renderChangedUrls(diff.changedUrls));
+    }
+    if (diffList.children.length === 0) {
+        diffList.innerHTML = '<p class="no-results">No pattern changes found.</p>';
+    }
+}
+
+function renderDiffGroup(title, entries) {
+    const group = document.createElement('div');
+    group.className = 'diff-group';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${entries.length})`;
+    group.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th class="col-pattern">Pattern</th>
+                <th class="col-count">Before</th>
+                <th class="col-count">After</th>
+                <th class="col-count">Change</th>
+            </tr>
+        </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = 'pattern-row';
+
+        const patternCell = document.createElement('td');
+        patternCell.className = 'col-pattern';
+        const code = document.createElement('code');
+        code.textContent = entry.pattern;
+        patternCell.appendChild(code);
+        row.appendChild(patternCell);
+
+        for (const value of [entry.before, entry.after]) {
+            const cell = document.createElement('td');
+            cell.className = 'col-count';
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+
+        const changeCell = document.createElement('td');
+        changeCell.className = 'col-count diff-change ' + (entry.change > 0 ? 'positive' : 'negative');
+        changeCell.textContent = entry.change > 0 ? `+${entry.change}` : entry.change;
+        row.appendChild(changeCell);
+
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    group.appendChild(table);
+
+    return group;
+}
+
+function renderChangedUrls(changedUrls) {
+    const group = document.createElement('div');
+    group.className = 'diff-group';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `URLs whose pattern changed (${changedUrls.length})`;
+    group.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>URL</th>
+                <th class="col-pattern">Before</th>
+                <th class="col-pattern">After</th>
+            </tr>
+        </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    const MAX_DISPLAY = 100;
+    changedUrls.slice(0, MAX_DISPLAY).forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = 'pattern-row';
+
+        const urlCell = document.createElement('td');
+        urlCell.textContent = entry.url;
+        row.appendChild(urlCell);
+
+        for (const pattern of [entry.before, entry.after]) {
+            const cell = document.createElement('td');
+            cell.className = 'col-pattern';
+            const code = document.createElement('code');
+            code.textContent = pattern;
+            cell.appendChild(code);
+            row.appendChild(cell);
+        }
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    group.appendChild(table);
+
+    if (changedUrls.length > MAX_DISPLAY) {
+        const more = document.createElement('div');
+        more.className = 'more-urls';
+        more.textContent = `...and ${changedUrls.length - MAX_DISPLAY} more`;
+        group.appendChild(more);
+    }
+
+    return group;
+}
+
+// Result export: the pattern list in the order of the analysis, or every URL with its pattern
+for (const [format, { label }] of Object.entries(ResultExporter.FORMATS)) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    resultFormatSelect.appendChild(option);
+}
+
+resultFormatSelect.addEventListener('change', () => {
+    includeUrlsCheckbox.disabled = !ResultExporter.FORMATS[resultFormatSelect.value].urls;
 });
 
-function renderResults(patterns) {
+function exportResults() {
+    return resultExporter.export(currentPatterns, resultFormatSelect.value, {
+        includeUrls: includeUrlsCheckbox.checked
+    });
+}
+
+copyResultsBtn.addEventListener('click', async () => {
+    try {
+        await navigator.clipboard.writeText(exportResults());
+        flashButtonText(copyResultsBtn, 'Copied!');
+    } catch (error) {
+        flashButtonText(copyResultsBtn, 'Copy failed');
+    }
+});
+
+downloadResultsBtn.addEventListener('click', () => {
+    const { filename, type } = ResultExporter.FORMATS[resultFormatSelect.value];
+    // A byte order mark makes Excel open CSV files as UTF-8
+    const content = type === 'text/csv' ? '\uFEFF' + exportResults() : exportResults();
+    downloadFile(filename, content, `${type};charset=utf-8`);
+});
+
+// Route export
+for (const [format, { label }] of Object.entries(RouteExporter.FORMATS)) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = label;
+    exportFormatSelect.appendChild(option);
+}
+
+copyExportBtn.addEventListener('click', async () => {
+    const content = exporter.export(currentPatterns, exportFormatSelect.value);
+    try {
+        await navigator.clipboard.writeText(content);
+        flashButtonText(copyExportBtn, 'Copied!');
+    } catch (error) {
+        flashButtonText(copyExportBtn, 'Copy failed');
+    }
+});
+
+downloadExportBtn.addEventListener('click', () => {
+    const format = exportFormatSelect.value;
+    downloadFile(RouteExporter.FORMATS[format].filename, exporter.export(currentPatterns, format));
+});
+
+function downloadFile(filename, content, type = 'text/plain;charset=utf-8') {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function flashButtonText(btn, text) {
+    const originalText = btn.textContent;
+    btn.textContent = text;
+    setTimeout(() => {
+        btn.textContent = originalText;
+    }, 1500);
+}
+
+/**
+ * @param {Object[]} patterns - Output of UrlAnalyzer.analyze
+ * @param {RobotsTxt|null} [robots] - Check the patterns' URLs against it (fetched sitemaps only)
+ */
+function renderResults(patterns, robots = null) {
+    currentPatterns = patterns;
+    currentRobots = robots;
+    diffSection.classList.add('hidden');
     patternsList.innerHTML = '';
     patternCount.textContent = patterns.length;
     resultsSection.classList.remove('hidden');
+    robotsActions.classList.add('hidden');
+    metricActions.classList.add('hidden');
+    refinementBar.classList.toggle('hidden', lastAnalyzedUrls === null);
+    renderRefinements();
+    renderCoverage(patterns);
+    renderLocaleSummary(patterns);
 
     if (patterns.length === 0) {
         patternsList.innerHTML = '<p class="no-results">No patterns found.</p>';
@@ -200,22 +987,54 @@ function renderResults(patterns) {
     const table = document.createElement('table');
     table.className = 'results-table';
 
+    // Freshness only for sitemaps with lastmod
+    const hasFreshness = patterns.some(p => p.freshness);
+    if (robots) checkRobots(patterns, robots);
+    const hasLocales = patterns.some(p => p.locales);
+    const metrics = collectMetrics(patterns);
+    if (currentSort && currentSort.key.startsWith('metric:') &&
+        !metrics.some(metric => currentSort.key === `metric:${metric.name}`)) {
+        currentSort = null;
+    }
+    if (metrics.some(metric => metric.type === 'number')) {
+        metricActions.classList.remove('hidden');
+    }
+
+    // Header cells are built as nodes: metric names come from the imported files
     const thead = document.createElement('thead');
-    thead.innerHTML = `
-        <tr>
-            <th class="col-pattern">Pattern</th>
-            <th class="col-count">Count</th>
-            <th class="col-actions"></th>
-        </tr>
-    `;
+    const headerRow = document.createElement('tr');
+    const addHeader = (className, text, sortKey = null) => {
+        const th = document.createElement('th');
+        th.className = className;
+        th.textContent = text;
+        if (sortKey) {
+            th.classList.add('sortable');
+            th.title = 'Sort by ' + text;
+            if (currentSort && currentSort.key === sortKey) {
+                th.classList.add(currentSort.descending ? 'sorted-desc' : 'sorted-asc');
+            }
+            th.addEventListener('click', () => sortResults(sortKey));
+        }
+        headerRow.appendChild(th);
+    };
+    addHeader('col-pattern', 'Pattern', 'pattern');
+    addHeader('col-count', 'Count', 'count');
+    metrics.forEach(metric => addHeader(`col-metric ${metric.type}`, metric.name, `metric:${metric.name}`));
+    if (hasFreshness) addHeader('col-freshness', 'Last modified');
+    if (robots) addHeader('col-robots', 'robots.txt');
+    if (hasLocales) addHeader('col-locales', 'Locales');
+    addHeader('col-actions', '');
+    thead.appendChild(headerRow);
     table.appendChild(thead);
 
     const tbody = document.createElement('tbody');
 
-    patterns.forEach(pattern => {
+    // Sorted by a column, the rows are a flat list without the hierarchy
+    const rows = currentSort ? sortPatterns(patterns, currentSort) : patterns;
+    rows.forEach(pattern => {
         const row = document.createElement('tr');
         row.className = 'pattern-row';
-        if (pattern.depth > 0) {
+        if (pattern.depth > 0 && !currentSort) {
             row.classList.add('nested');
             row.dataset.depth = pattern.depth;
         }
@@ -224,7 +1043,7 @@ function renderResults(patterns) {
         patternCell.className = 'col-pattern';
 
         // Add indentation for nested patterns
-        if (pattern.depth > 0) {
+        if (pattern.depth > 0 && !currentSort) {
             const indent = document.createElement('span');
             indent.className = 'indent';
             indent.style.paddingLeft = (pattern.depth * 20) + 'px';
@@ -232,9 +1051,14 @@ function renderResults(patterns) {
             patternCell.appendChild(indent);
         }
 
-        const code = document.createElement('code');
-        code.textContent = pattern.pattern;
-        patternCell.appendChild(code);
+        patternCell.appendChild(createPatternCode(pattern));
+        if (pattern.source === 'declared') {
+            const badge = document.createElement('span');
+            badge.className = 'source-badge';
+            badge.textContent = 'declared';
+            badge.title = `Matches the declared route ${pattern.route}`;
+            patternCell.appendChild(badge);
+        }
 
         const countCell = document.createElement('td');
         countCell.className = 'col-count';
@@ -246,11 +1070,22 @@ function renderResults(patterns) {
         toggleBtn.className = 'btn-icon';
         toggleBtn.innerHTML = '<span class="icon-chevron">▼</span>';
         toggleBtn.title = 'Show URLs';
-        toggleBtn.onclick = () => toggleDetails(row, pattern.urls, toggleBtn);
+        toggleBtn.onclick = () => toggleDetails(row, pattern, toggleBtn, robots && pattern.robots);
         actionsCell.appendChild(toggleBtn);
 
         row.appendChild(patternCell);
         row.appendChild(countCell);
+        metrics.forEach(metric => row.appendChild(createMetricCell(metric, pattern.metrics && pattern.metrics[metric.name])));
+        if (hasFreshness) {
+            row.appendChild(createFreshnessCell(pattern.freshness));
+        }
+        if (robots) {
+            row.appendChild(createRobotsCell(pattern.robots));
+        }
+        if (hasLocales) {
+            row.appendChild(createLocalesCell(pattern.locales));
+            row.classList.toggle('locale-gap', Boolean(pattern.locales && pattern.locales.missing.length > 0));
+        }
         row.appendChild(actionsCell);
 
         tbody.appendChild(row);
@@ -260,7 +1095,8 @@ function renderResults(patterns) {
     patternsList.appendChild(table);
 }
 
-function toggleDetails(row, urls, btn) {
+function toggleDetails(row, pattern, btn, robotsCheck = null) {
+    const urls = pattern.urls;
     const nextRow = row.nextElementSibling;
     const icon = btn.querySelector('.icon-chevron');
 
@@ -273,11 +1109,30 @@ function toggleDetails(row, urls, btn) {
         detailsRow.className = 'details-row';
 
         const detailsCell = document.createElement('td');
-        detailsCell.colSpan = 3;
+        detailsCell.colSpan = row.children.length;
 
         const container = document.createElement('div');
         container.className = 'url-list-container';
 
+        if (pattern.placeholders.length > 0) {
+            container.appendChild(renderPlaceholders(pattern.placeholders));
+        }
+        if (pattern.params.length > 0) {
+            container.appendChild(renderParams(pattern.params));
+        }
+        if (pattern.freshness) {
+            container.appendChild(renderFreshness(pattern.freshness));
+        }
+        if (pattern.metadata) {
+            container.appendChild(renderMetadata(pattern.metadata));
+        }
+        if (pattern.metrics) {
+            container.appendChild(renderMetrics(pattern.metrics));
+        }
+        if (robotsCheck && robotsCheck.blocked > 0) {
+            container.appendChild(renderRobotsRules(robotsCheck));
+        }
+
         const list = document.createElement('ul');
         const MAX_DISPLAY = 100;
         const displayUrls = urls.slice(0, MAX_DISPLAY);
@@ -304,3 +1159,709 @@ function toggleDetails(row, urls, btn) {
         if (icon) icon.style.transform = 'rotate(180deg)';
     }
 }
+
+// Declared routes: how many of the URLs they explain
+function renderCoverage(patterns) {
+    const hasRoutes = analyzer.routes.length > 0;
+    routeCoverage.classList.toggle('hidden', !hasRoutes);
+    if (!hasRoutes) return;
+
+    const { urls, declared, ratio } = analyzer.coverage(patterns);
+    routeCoverage.textContent = `Declared routes cover ${Math.round(ratio * 100)}% of URLs ` +
+        `(${declared.toLocaleString()} of ${urls.toLocaleString()})`;
+}
+
+// Duplicates and pagination: families of URL variants, counted once when collapsed
+const VARIANT_LABELS = {
+    pagination: 'Pagination',
+    'trailing-slash': 'Trailing slash twins',
+    index: 'Index pages',
+    case: 'Mixed case',
+    protocol: 'http and https'
+};
+const VARIANT_EXAMPLES = 10; // Families listed per kind
+const VARIANT_URLS = 3; // Variant URLs listed per family
+
+collapseFamiliesCheckbox.addEventListener('change', () => {
+    collapseVariantsCheckbox.checked = collapseFamiliesCheckbox.checked;
+    reanalyze();
+});
+
+/**
+ * @param {Object} variants - Output of UrlAnalyzer.findVariants
+ */
+function renderVariants(variants) {
+    variantList.innerHTML = '';
+    variantsPanel.classList.toggle('hidden', variants.families.length === 0);
+    if (variants.families.length === 0) return;
+
+    variantCount.textContent = variants.duplicates;
+    collapseFamiliesCheckbox.checked = analyzer.collapseVariants;
+    variantSummary.textContent = analyzer.collapseVariants
+        ? `${variants.duplicates} variant URLs are left out of the patterns, keeping one URL of each family.`
+        : `${variants.duplicates} URLs are variants of another URL and inflate the pattern counts.`;
+
+    for (const kind of UrlAnalyzer.VARIANT_KINDS) {
+        const { families, urls } = variants.kinds[kind];
+        if (families === 0) continue;
+
+        const group = document.createElement('div');
+        group.className = 'variant-group';
+        group.appendChild(createDetailsSummary(`${VARIANT_LABELS[kind]}: ${families} families, ${urls} URLs`));
+
+        const list = document.createElement('ul');
+        variants.families.filter(family => family.kinds.includes(kind)).slice(0, VARIANT_EXAMPLES).forEach(family => {
+            const li = document.createElement('li');
+            const canonical = document.createElement('code');
+            canonical.textContent = family.canonical;
+            li.appendChild(canonical);
+
+            const others = family.urls.filter(url => url !== family.canonical);
+            li.appendChild(document.createTextNode(' ← '));
+            others.slice(0, VARIANT_URLS).forEach((url, i) => {
+                if (i > 0) li.appendChild(document.createTextNode(', '));
+                const variant = document.createElement('code');
+                variant.className = 'variant-url';
+                variant.textContent = url;
+                li.appendChild(variant);
+            });
+            if (others.length > VARIANT_URLS) {
+                li.appendChild(document.createTextNode(` and ${others.length - VARIANT_URLS} more`));
+            }
+            list.appendChild(li);
+        });
+        group.appendChild(list);
+        variantList.appendChild(group);
+    }
+}
+
+// Outliers: URLs that don't fit their group, in a view of their own
+const OUTLIER_ROWS = 200; // Outlier URLs listed, worst first
+const OUTLIER_HIGH_SCORE = 0.6; // Scores shown as errors rather than warnings
+
+const resultViews = {
+    patterns: { button: patternsViewTab, panel: patternsView },
+    outliers: { button: outliersViewTab, panel: outliersView }
+};
+
+for (const [name, { button }] of Object.entries(resultViews)) {
+    button.addEventListener('click', () => switchResultView(name));
+}
+
+function switchResultView(view) {
+    for (const [name, { button, panel }] of Object.entries(resultViews)) {
+        button.classList.toggle('active', name === view);
+        panel.classList.toggle('hidden', name !== view);
+    }
+}
+
+/**
+ * @param {Object} outliers - Output of UrlAnalyzer.findOutliers
+ */
+function renderOutliers(outliers) {
+    outliersList.innerHTML = '';
+    outlierCount.textContent = outliers.urls.length;
+
+    if (outliers.urls.length === 0) {
+        outlierSummary.textContent = 'Every URL fits its pattern and section.';
+        return;
+    }
+    outlierSummary.textContent = `${outliers.urls.length} URLs in ${outliers.patterns.length} patterns ` +
+        'stand out from their group, worst first.' +
+        (outliers.urls.length > OUTLIER_ROWS ? ` The first ${OUTLIER_ROWS} are listed.` : '');
+
+    const table = document.createElement('table');
+    table.className = 'results-table outliers-table';
+    const head = table.createTHead().insertRow();
+    for (const label of ['Score', 'URL', 'Pattern', 'Reasons']) {
+        const th = document.createElement('th');
+        th.textContent = label;
+        head.appendChild(th);
+    }
+
+    const body = table.createTBody();
+    for (const outlier of outliers.urls.slice(0, OUTLIER_ROWS)) {
+        const row = body.insertRow();
+
+        const score = row.insertCell();
+        score.className = outlier.score >= OUTLIER_HIGH_SCORE ? 'outlier-score high' : 'outlier-score';
+        score.textContent = Math.round(outlier.score * 100);
+
+        const url = document.createElement('code');
+        url.textContent = outlier.url;
+        row.insertCell().appendChild(url);
+
+        const pattern = document.createElement('code');
+        pattern.textContent = outlier.pattern;
+        row.insertCell().appendChild(pattern);
+
+        const reasons = document.createElement('ul');
+        reasons.className = 'outlier-reasons';
+        for (const reason of outlier.reasons) {
+            const li = document.createElement('li');
+            li.dataset.code = reason.code;
+            li.textContent = reason.message;
+            reasons.appendChild(li);
+        }
+        row.insertCell().appendChild(reasons);
+    }
+    outliersList.appendChild(table);
+}
+
+// Locales: folding language variants is an analysis option, so toggling it analyzes again
+foldLocalesCheckbox.addEventListener('change', () => {
+    detectLocalesCheckbox.checked = foldLocalesCheckbox.checked;
+    reanalyze();
+});
+
+function renderLocaleSummary(patterns) {
+    const localized = patterns.filter(p => p.locales);
+    // Offer folding where locale codes show up in the patterns (literal or among masked values)
+    const hasVariants = localized.length > 0 || patterns.some(pattern =>
+        analyzer.segmentPositions(pattern).some(position => position.samples.some(UrlAnalyzer.isLocaleCode)));
+    localeActions.classList.toggle('hidden', lastAnalyzedUrls === null || !hasVariants);
+    foldLocalesCheckbox.checked = analyzer.detectLocales;
+
+    const locales = new Set(localized.flatMap(p => p.locales.values.map(v => v.value)));
+    const gaps = localized.filter(p => p.locales.missing.length > 0).length;
+    localeSummary.textContent = locales.size === 0
+        ? ''
+        : `${locales.size} locales, ${gaps} ${gaps === 1 ? 'pattern' : 'patterns'} missing in some`;
+    localeSummary.classList.toggle('gaps', gaps > 0);
+}
+
+function createLocalesCell(locales) {
+    const cell = document.createElement('td');
+    cell.className = 'col-locales';
+    if (!locales) return cell;
+
+    for (const { value, count } of locales.values) {
+        const locale = document.createElement('span');
+        locale.className = 'locale-count';
+        locale.textContent = `${value} ${count}`;
+        cell.appendChild(locale);
+    }
+    for (const value of locales.missing) {
+        const missing = document.createElement('span');
+        missing.className = 'locale-count missing';
+        missing.textContent = value;
+        missing.title = `No ${value} variant`;
+        cell.appendChild(missing);
+    }
+    return cell;
+}
+
+// Refinements: clicking a path segment opens a menu of rules for its position;
+// every rule change analyzes the same URLs again
+const segmentMenu = document.createElement('div');
+segmentMenu.className = 'segment-menu hidden';
+document.body.appendChild(segmentMenu);
+
+document.addEventListener('click', (event) => {
+    if (!segmentMenu.contains(event.target)) segmentMenu.classList.add('hidden');
+});
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') segmentMenu.classList.add('hidden');
+});
+
+/**
+ * The pattern with clickable path segments, or plain text where refinements don't apply.
+ */
+function createPatternCode(pattern) {
+    const code = document.createElement('code');
+    const positions = lastAnalyzedUrls ? analyzer.segmentPositions(pattern) : [];
+    if (positions.length === 0) {
+        code.textContent = pattern.pattern;
+        return code;
+    }
+
+    const origin = /^[^:/]+:\/\/[^/]*\//.exec(pattern.pattern)[0];
+    code.appendChild(document.createTextNode(origin));
+    positions.forEach((position, i) => {
+        if (i > 0) code.appendChild(document.createTextNode('/'));
+        const segment = document.createElement('span');
+        segment.className = position.masked ? 'segment masked' : 'segment';
+        segment.textContent = position.value;
+        segment.title = position.masked ? 'Split or keep values literal' : 'Mask, keep literal or merge';
+        segment.addEventListener('click', (event) => {
+            event.stopPropagation();
+            showSegmentMenu(segment, position);
+        });
+        code.appendChild(segment);
+    });
+    const shownLength = origin.length + positions.map(p => p.value).join('/').length;
+    code.appendChild(document.createTextNode(pattern.pattern.slice(shownLength)));
+    return code;
+}
+
+function showSegmentMenu(target, position) {
+    segmentMenu.innerHTML = '';
+    const addAction = (text, rule) => {
+        const button = document.createElement('button');
+        button.className = 'segment-action';
+        button.textContent = text;
+        button.addEventListener('click', () => addRefinement(rule));
+        segmentMenu.appendChild(button);
+    };
+    const { at, value } = position;
+
+    if (position.masked) {
+        addAction('Split into distinct values', { action: 'split', at });
+        position.samples.forEach(sample => {
+            addAction(`Keep “${sample}” literal`, { action: 'literal', at, values: [sample] });
+        });
+    } else {
+        addAction(`Mask “${value}”`, { action: 'mask', at, values: [value] });
+        addAction(`Always keep “${value}” literal`, { action: 'literal', at, values: [value] });
+
+        const siblings = siblingValues(position);
+        if (siblings.length > 0) {
+            const merge = document.createElement('div');
+            merge.className = 'segment-merge';
+            const title = document.createElement('div');
+            title.className = 'segment-menu-title';
+            title.textContent = `Merge “${value}” with:`;
+            merge.appendChild(title);
+            const checkboxes = siblings.map(sibling => {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = sibling;
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(sibling));
+                merge.appendChild(label);
+                return checkbox;
+            });
+            const mergeBtn = document.createElement('button');
+            mergeBtn.className = 'btn-secondary';
+            mergeBtn.textContent = 'Merge';
+            mergeBtn.addEventListener('click', () => {
+                const values = checkboxes.filter(c => c.checked).map(c => c.value);
+                if (values.length > 0) addRefinement({ action: 'merge', at, values: [value, ...values] });
+            });
+            merge.appendChild(mergeBtn);
+            segmentMenu.appendChild(merge);
+        }
+    }
+
+    const rect = target.getBoundingClientRect();
+    segmentMenu.style.left = `${rect.left + window.scrollX}px`;
+    segmentMenu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    segmentMenu.classList.remove('hidden');
+}
+
+/**
+ * Literal values of the shown patterns at the same position, i.e. what a segment can merge with.
+ */
+function siblingValues(position) {
+    const values = new Set();
+    for (const pattern of currentPatterns) {
+        for (const other of analyzer.segmentPositions(pattern)) {
+            if (other.at === position.at && !other.masked && other.value !== position.value) {
+                values.add(other.value);
+            }
+        }
+    }
+    return [...values].sort();
+}
+
+function addRefinement(rule) {
+    segmentMenu.classList.add('hidden');
+
+    // The new rule wins over older mask/literal rules for the same values, and a
+    // mask, merge or split over an older split of the position
+    refinements = refinements
+        .map(r => r.at === rule.at && rule.values && (r.action === 'mask' || r.action === 'literal')
+            ? { ...r, values: r.values.filter(v => !rule.values.includes(v)) }
+            : r)
+        .filter(r => r.action === 'split'
+            ? !(r.at === rule.at && rule.action !== 'literal')
+            : r.values.length > 0);
+    refinements.push(rule);
+    reanalyze();
+}
+
+function renderRefinements() {
+    refinementList.innerHTML = '';
+    refinementHint.classList.toggle('hidden', refinements.length > 0);
+    clearRefinementsBtn.disabled = refinements.length === 0;
+
+    refinements.forEach((rule, index) => {
+        const item = document.createElement('li');
+        item.className = 'refinement-chip';
+        const action = document.createElement('span');
+        action.className = 'refinement-action';
+        action.textContent = rule.action;
+        item.appendChild(action);
+        if (rule.values) {
+            const values = document.createElement('code');
+            values.textContent = rule.values.join(', ');
+            item.appendChild(values);
+        }
+        item.appendChild(document.createTextNode(' at '));
+        const at = document.createElement('code');
+        at.textContent = rule.at + '/';
+        item.appendChild(at);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-icon';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove rule';
+        removeBtn.addEventListener('click', () => {
+            refinements.splice(index, 1);
+            reanalyze();
+        });
+        item.appendChild(removeBtn);
+        refinementList.appendChild(item);
+    });
+}
+
+async function reanalyze() {
+    renderRefinements();
+    if (!lastAnalyzedUrls) return;
+
+    const results = await analyzeWithProgress(reanalyzeBtn, [lastAnalyzedUrls]);
+    if (!results) return;
+    renderResults(results[0].patterns, currentRobots);
+    renderVariants(results[0].variants);
+    renderOutliers(results[0].outliers);
+}
+
+reanalyzeBtn.addEventListener('click', reanalyze);
+
+clearRefinementsBtn.addEventListener('click', () => {
+    refinements = [];
+    reanalyze();
+});
+
+// Metrics: numbers show the chosen aggregate, categories their most common value
+metricAggregateSelect.addEventListener('change', () => {
+    renderResults(currentPatterns, currentRobots);
+});
+
+/**
+ * Metrics of any pattern, in order of first appearance.
+ * @returns {{ name: string, type: string }[]}
+ */
+function collectMetrics(patterns) {
+    const metrics = new Map();
+    for (const pattern of patterns) {
+        for (const [name, summary] of Object.entries(pattern.metrics || {})) {
+            if (!metrics.has(name)) metrics.set(name, { name, type: summary.type });
+        }
+    }
+    return [...metrics.values()];
+}
+
+/**
+ * Click on a column header: sort by it (descending, patterns A-Z first),
+ * then reverse, then back to the pattern hierarchy.
+ */
+function sortResults(key) {
+    const firstDescending = key !== 'pattern';
+    if (!currentSort || currentSort.key !== key) {
+        currentSort = { key, descending: firstDescending };
+    } else if (currentSort.descending === firstDescending) {
+        currentSort = { key, descending: !firstDescending };
+    } else {
+        currentSort = null;
+    }
+    renderResults(currentPatterns, currentRobots);
+}
+
+/**
+ * Patterns ordered by a column. Patterns without the metric come last either way;
+ * categories sort by their most common value, then its share.
+ */
+function sortPatterns(patterns, { key, descending }) {
+    const direction = descending ? -1 : 1;
+    const aggregate = metricAggregateSelect.value;
+    const name = key.startsWith('metric:') ? key.slice('metric:'.length) : null;
+    const metricOf = pattern => (name && pattern.metrics && pattern.metrics[name]) || null;
+
+    return [...patterns].sort((a, b) => {
+        if (key === 'pattern') return direction * a.pattern.localeCompare(b.pattern);
+        if (key === 'count') return direction * (a.count - b.count) || a.pattern.localeCompare(b.pattern);
+
+        const metricA = metricOf(a);
+        const metricB = metricOf(b);
+        if (!metricA || !metricB) {
+            return (metricB ? 1 : 0) - (metricA ? 1 : 0) || a.pattern.localeCompare(b.pattern);
+        }
+
+        if (metricA.type === 'number') {
+            return direction * (metricA[aggregate] - metricB[aggregate]) || a.pattern.localeCompare(b.pattern);
+        }
+        const [topA] = metricA.values;
+        const [topB] = metricB.values;
+        return direction * (topA.value.localeCompare(topB.value, undefined, { numeric: true }) ||
+            topA.count / metricA.count - topB.count / metricB.count) || a.pattern.localeCompare(b.pattern);
+    });
+}
+
+function formatMetricValue(value) {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function createMetricCell(metric, summary) {
+    const cell = document.createElement('td');
+    cell.className = `col-metric ${metric.type}`;
+    if (!summary) return cell;
+
+    if (summary.type === 'number') {
+        cell.textContent = formatMetricValue(summary[metricAggregateSelect.value]);
+        cell.title = `${summary.count} URLs: sum ${formatMetricValue(summary.sum)}, ` +
+            `mean ${formatMetricValue(summary.mean)}, median ${formatMetricValue(summary.median)}, ` +
+            `${formatMetricValue(summary.min)} – ${formatMetricValue(summary.max)}`;
+    } else {
+        const [top] = summary.values;
+        cell.textContent = summary.values.length === 1
+            ? top.value
+            : `${top.value} (${Math.round(top.count / summary.count * 100)}%)`;
+        cell.title = summary.values.map(v => `${v.value}: ${v.count}`).join('\n');
+    }
+
+    return cell;
+}
+
+function renderMetrics(metrics) {
+    const summary = createDetailsSummary('Metrics');
+
+    const list = document.createElement('ul');
+    for (const [name, metric] of Object.entries(metrics)) {
+        const li = document.createElement('li');
+        li.textContent = metric.type === 'number'
+            ? `${name}: sum ${formatMetricValue(metric.sum)}, mean ${formatMetricValue(metric.mean)}, ` +
+                `median ${formatMetricValue(metric.median)}, ${formatMetricValue(metric.min)} – ` +
+                `${formatMetricValue(metric.max)} (${metric.count} URLs)`
+            : `${name}: ` + metric.values.map(v => `${v.value} (${v.count})`).join(', ');
+        list.appendChild(li);
+    }
+    summary.appendChild(list);
+
+    return summary;
+}
+
+// robots.txt: which pattern URLs the chosen user agent may crawl
+robotsAgentInput.addEventListener('change', () => {
+    if (currentRobots) {
+        renderResults(currentPatterns, currentRobots);
+    }
+});
+
+/**
+ * Check every pattern's URLs (see RobotsTxt.annotate, so exports carry the result too)
+ * and show the totals and user agent picker.
+ */
+function checkRobots(patterns, robots) {
+    const blocked = robots.annotate(patterns, robotsAgentInput.value.trim() || '*');
+
+    robotsAgentList.innerHTML = '';
+    new Set([...robots.userAgents(), 'Googlebot', 'Bingbot']).forEach(agent => {
+        const option = document.createElement('option');
+        option.value = agent;
+        robotsAgentList.appendChild(option);
+    });
+    robotsSummary.textContent = blocked === 0
+        ? 'all URLs allowed'
+        : `${blocked.toLocaleString()} URLs blocked`;
+    robotsSummary.classList.toggle('blocked', blocked > 0);
+    robotsActions.classList.remove('hidden');
+}
+
+function createRobotsCell(check) {
+    const cell = document.createElement('td');
+    cell.className = 'col-robots';
+
+    cell.textContent = RobotsTxt.describeCheck(check);
+    if (check.allowed + check.blocked === 0) {
+        cell.title = 'Other host than the robots.txt';
+    } else if (check.blocked > 0) {
+        cell.classList.add(check.allowed === 0 ? 'blocked' : 'partial');
+        cell.title = check.rules.map(rule => `Disallow: ${rule.pattern} (line ${rule.line})`).join('\n');
+    }
+
+    return cell;
+}
+
+function renderRobotsRules(check) {
+    const summary = createDetailsSummary('Blocked by robots.txt');
+
+    const list = document.createElement('ul');
+    check.rules.forEach(rule => {
+        const li = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = `Disallow: ${rule.pattern}`;
+        li.appendChild(code);
+        li.appendChild(document.createTextNode(` (line ${rule.line}) blocks ${rule.count} URLs`));
+        list.appendChild(li);
+    });
+    summary.appendChild(list);
+
+    return summary;
+}
+
+// Freshness: latest lastmod within FRESH_DAYS is fresh, older than STALE_DAYS is stale
+const FRESH_DAYS = 90;
+const STALE_DAYS = 365;
+
+function createFreshnessCell(freshness) {
+    const cell = document.createElement('td');
+    cell.className = 'col-freshness';
+    if (!freshness) return cell;
+
+    const ageDays = (Date.now() - Date.parse(freshness.max)) / 86400000;
+    if (ageDays <= FRESH_DAYS) cell.classList.add('fresh');
+    else if (ageDays > STALE_DAYS) cell.classList.add('stale');
+
+    cell.appendChild(createSparkline(freshness.histogram));
+    const date = document.createElement('span');
+    date.className = 'freshness-date';
+    date.textContent = freshness.max;
+    cell.appendChild(date);
+    cell.title = `${freshness.count} URLs with lastmod: ${freshness.min} – ${freshness.max}, median ${freshness.median}`;
+
+    return cell;
+}
+
+/**
+ * Bar chart of URLs per month, oldest month on the left.
+ */
+function createSparkline(histogram) {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const width = 80;
+    const height = 16;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'sparkline');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const maxCount = histogram.reduce((max, h) => Math.max(max, h.count), 0);
+    const barWidth = width / histogram.length;
+    histogram.forEach((h, i) => {
+        if (h.count === 0) return;
+        const barHeight = Math.max(1, (h.count / maxCount) * height);
+        const bar = document.createElementNS(SVG_NS, 'rect');
+        bar.setAttribute('x', i * barWidth);
+        bar.setAttribute('y', height - barHeight);
+        bar.setAttribute('width', Math.max(barWidth * 0.8, 0.5));
+        bar.setAttribute('height', barHeight);
+        svg.appendChild(bar);
+    });
+
+    return svg;
+}
+
+function renderFreshness(freshness) {
+    const summary = createDetailsSummary('Last modified');
+
+    const list = document.createElement('ul');
+    [
+        `${freshness.count} URLs with lastmod`,
+        `oldest ${freshness.min}, median ${freshness.median}, newest ${freshness.max}`,
+        ...(freshness.older > 0 ? [`${freshness.older} older than the chart (${freshness.histogram[0].month})`] : [])
+    ].forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    summary.appendChild(list);
+
+    return summary;
+}
+
+function createDetailsSummary(titleText) {
+    const summary = document.createElement('div');
+    summary.className = 'details-summary';
+
+    const title = document.createElement('div');
+    title.className = 'details-title';
+    title.textContent = titleText;
+    summary.appendChild(title);
+
+    return summary;
+}
+
+function renderPlaceholders(placeholders) {
+    const summary = createDetailsSummary('Placeholders');
+
+    const list = document.createElement('ul');
+    placeholders.forEach(placeholder => {
+        const li = document.createElement('li');
+
+        const token = document.createElement('code');
+        token.textContent = placeholder.token;
+        li.appendChild(token);
+
+        const position = placeholder.type === 'subdomain' ? 'subdomain'
+            : placeholder.index === null ? 'path segment after **'
+                : `path segment ${placeholder.index + 1}`;
+        li.appendChild(document.createTextNode(
+            ` ${position}, ${placeholder.valueType}, e.g. ${placeholder.samples.join(', ')}`
+        ));
+        list.appendChild(li);
+    });
+    summary.appendChild(list);
+
+    return summary;
+}
+
+function renderParams(params) {
+    const summary = createDetailsSummary('Query parameters');
+
+    const list = document.createElement('ul');
+    params.forEach(param => {
+        const li = document.createElement('li');
+
+        const key = document.createElement('code');
+        key.textContent = param.key;
+        li.appendChild(key);
+
+        const percent = Math.round(param.frequency * 100);
+        let details = ` ${percent}% of URLs, ${param.valueType}`;
+        if (param.valueType !== 'id') {
+            details += ': ' + param.topValues.map(v => v.value || '(empty)').join(', ');
+        } else {
+            details += ` (${param.distinctValues} distinct values)`;
+        }
+        li.appendChild(document.createTextNode(details));
+        list.appendChild(li);
+    });
+    summary.appendChild(list);
+
+    return summary;
+}
+
+function renderMetadata(metadata) {
+    const summary = createDetailsSummary('Sitemap metadata');
+
+    const items = [];
+    if (metadata.changefreq.length > 0) {
+        items.push('changefreq: ' + metadata.changefreq.map(c => `${c.value} (${c.count})`).join(', '));
+    }
+    if (metadata.priority) {
+        const { min, max, mean } = metadata.priority;
+        items.push(`priority: ${min} – ${max}, mean ${mean.toFixed(2)}`);
+    }
+    if (metadata.hreflang.length > 0) {
+        items.push('hreflang: ' + metadata.hreflang.map(h => `${h.value} (${h.count})`).join(', '));
+    }
+    const media = [['images', metadata.images], ['videos', metadata.videos], ['news entries', metadata.news]]
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => `${count} ${label}`);
+    if (media.length > 0) {
+        items.push(media.join(', '));
+    }
+
+    const list = document.createElement('ul');
+    items.forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    summary.appendChild(list);
+
+    return summary;
+}
@@ -0,0 +1,300 @@
+/**
+ * Route Exporter
+ *
+ * Turns patterns from UrlAnalyzer.analyze into route definitions:
+ * Express paths, a Next.js app/ tree, nginx location blocks and regular expressions.
+ * Only the path is exported - scheme, host and query string are dropped,
+ * and patterns that end up with the same route are merged.
+ */
+
+class RouteExporter {
+    constructor() {
+        // Regex fragment for each placeholder value type (see UrlAnalyzer.SEGMENT_TYPES)
+        this.valuePatterns = {
+            uuid: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+            date: '\\d{4}-\\d{2}-\\d{2}',
+            month: '\\d{4}-\\d{2}',
+            int: '\\d+',
+            hex: '[0-9a-fA-F]+',
+            locale: '[a-zA-Z]{2}(?:[-_][a-zA-Z]{4})?(?:[-_](?:[a-zA-Z]{2}|\\d{3}))?',
+            slug: '[^/]+',
+            mixed: '[^/]+'
+        };
+    }
+
+    /**
+     * Convert patterns into routes with named parameters.
+     * @param {Object[]} patterns - Output of UrlAnalyzer.analyze.
+     * @returns {Object[]} - { path, segments: [{ literal } | { param, valueType, glob, rest }], count, examples }
+     */
+    toRoutes(patterns) {
+        const routes = new Map(); // route key -> route
+
+        for (const pattern of patterns) {
+            const segments = this.routeSegments(pattern);
+            const key = segments.map(s => s.rest ? '**' : s.param ? `:${s.glob || s.valueType}` : s.literal).join('/');
+
+            if (!routes.has(key)) {
+                routes.set(key, {
+                    path: '/' + segments.map(s => s.rest ? '*' : s.param ? ':' + s.param : s.literal).join('/'),
+                    segments,
+                    count: 0,
+                    examples: []
+                });
+            }
+            const route = routes.get(key);
+            route.count += pattern.count;
+            if (route.examples.length < 3) {
+                route.examples.push(...pattern.urls.slice(0, 3 - route.examples.length));
+            }
+        }
+
+        return Array.from(routes.values());
+    }
+
+    /**
+     * Split a pattern into path segments, naming the masked ones after the
+     * literal segment in front of them: /products/… -> /products/:productId
+     */
+    routeSegments(pattern) {
+        const path = pattern.pattern
+            .replace(/^[^:]+:\/\/[^/]*/, '')
+            .replace(/\?.*$/, '');
+        const values = path.split('/').filter(s => s.length > 0);
+        if (pattern.source === 'declared') {
+            return this.declaredSegments(values, pattern.placeholders);
+        }
+        const masked = new Map(
+            pattern.placeholders
+                .filter(p => p.type === 'path')
+                .map(p => [p.index, p.valueType])
+        );
+
+        const usedNames = new Set();
+        return values.map((value, index) => {
+            if (!masked.has(index)) {
+                return { literal: value };
+            }
+            const valueType = masked.get(index);
+            const previous = index > 0 && !masked.has(index - 1) ? values[index - 1] : null;
+            const name = this.uniqueName(this.paramName(previous, valueType, index), usedNames);
+            return { param: name, valueType };
+        });
+    }
+
+    /**
+     * Segments of a declared route, keeping its parameter names: {id:int} and :id -> id,
+     * ** -> rest (any number of segments), globs such as post-* -> a generated name.
+     * @param {string[]} values - Route path segments.
+     * @param {Object[]} placeholders - One per parameter or glob segment, in route order.
+     */
+    declaredSegments(values, placeholders) {
+        const usedNames = new Set();
+        let next = 0;
+        return values.map((value, index) => {
+            const declared = /^(?:\{(\w+)(?::\w+)?\}|:(\w+))$/.exec(value);
+            if (!declared && !value.includes('*')) {
+                return { literal: value };
+            }
+            const { valueType } = placeholders[next++];
+            if (value === '**') {
+                return { param: this.uniqueName('rest', usedNames), valueType, rest: true };
+            }
+            if (declared) {
+                return { param: this.uniqueName(declared[1] || declared[2], usedNames), valueType };
+            }
+            const previous = index > 0 ? values[index - 1] : null;
+            return { param: this.uniqueName(this.paramName(previous, valueType, index), usedNames), valueType, glob: value };
+        });
+    }
+
+    /**
+     * Derive a parameter name from its position, e.g.
+     * ("products", int) -> "productId", ("blog", slug) -> "blogSlug", (null, int) -> "param1"
+     */
+    paramName(previousLiteral, valueType, index) {
+        if (valueType === 'locale') return 'locale';
+
+        const suffixes = { int: 'Id', uuid: 'Id', hex: 'Id', date: 'Date', month: 'Month', slug: 'Slug' };
+        const suffix = suffixes[valueType] || 'Param';
+
+        const base = previousLiteral ? this.toIdentifier(this.singularize(previousLiteral)) : '';
+        if (!base) return `param${index + 1}`;
+        return base + suffix;
+    }
+
+    uniqueName(name, usedNames) {
+        let unique = name;
+        for (let i = 2; usedNames.has(unique); i++) {
+            unique = name + i;
+        }
+        usedNames.add(unique);
+        return unique;
+    }
+
+    singularize(word) {
+        if (/ies$/i.test(word) && word.length > 4) return word.slice(0, -3) + 'y';
+        if (/[^s]s$/i.test(word) && word.length > 3) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * "blog-posts" -> "blogPosts"; returns '' if nothing usable is left.
+     */
+    toIdentifier(value) {
+        const words = this.decodeSegment(value).split(/[^A-Za-z0-9]+/).filter(w => w.length > 0);
+        if (words.length === 0 || /^\d/.test(words[0])) return '';
+
+        return words
+            .map((w, i) => i === 0
+                ? w.charAt(0).toLowerCase() + w.slice(1)
+                : w.charAt(0).toUpperCase() + w.slice(1))
+            .join('');
+    }
+
+    decodeSegment(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Anchored regular expression with named capture groups, e.g.
+     * ^/products/(?<productId>\d+)/reviews/?$; a declared ** captures the rest: (?<rest>.+)
+     */
+    routeRegex(route) {
+        const body = route.segments
+            .map(s => {
+                if (!s.param) return this.escapeRegex(s.literal);
+                if (s.rest) return `(?<${s.param}>.+)`;
+                if (s.glob) return `(?<${s.param}>${s.glob.split('*').map(part => this.escapeRegex(part)).join('[^/]*')})`;
+                return `(?<${s.param}>${this.valuePatterns[s.valueType] || '[^/]+'})`;
+            })
+            .join('/');
+        return route.segments.length > 0 ? `^/${body}/?$` : '^/$';
+    }
+
+    /**
+     * @returns {string} - Express route definitions.
+     */
+    toExpress(patterns) {
+        return this.toRoutes(patterns)
+            .map(route => `app.get('${route.path}', handler); // ${this.countLabel(route.count)}`)
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Next.js (app router) directory tree. Dynamic segments become [name] folders and a declared **
+     * a [...name] catch-all; sibling dynamic segments share one folder, because Next.js allows only one per level.
+     * @returns {string}
+     */
+    toNextJs(patterns) {
+        const root = { children: new Map(), isPage: false };
+
+        for (const route of this.toRoutes(patterns)) {
+            let node = root;
+            for (const segment of route.segments) {
+                let name = segment.rest ? `[...${segment.param}]`
+                    : segment.param ? `[${segment.param}]` : this.decodeSegment(segment.literal);
+                if (segment.param) {
+                    const existing = Array.from(node.children.keys()).find(k => k.startsWith('['));
+                    if (existing) name = existing;
+                }
+                if (!node.children.has(name)) {
+                    node.children.set(name, { children: new Map(), isPage: false });
+                }
+                node = node.children.get(name);
+            }
+            node.isPage = true;
+        }
+
+        const lines = ['app/'];
+        this.renderTree(root, '', lines);
+        return lines.join('\n') + '\n';
+    }
+
+    renderTree(node, prefix, lines) {
+        const entries = Array.from(node.children.entries())
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([name, child]) => ({ name: name + '/', child }));
+        if (node.isPage) {
+            entries.push({ name: 'page.js', child: null });
+        }
+
+        entries.forEach((entry, i) => {
+            const last = i === entries.length - 1;
+            lines.push(prefix + (last ? '└── ' : '├── ') + entry.name);
+            if (entry.child) {
+                this.renderTree(entry.child, prefix + (last ? '    ' : '│   '), lines);
+            }
+        });
+    }
+
+    /**
+     * @returns {string} - nginx regex location blocks with named captures.
+     */
+    toNginx(patterns) {
+        return this.toRoutes(patterns)
+            .map(route => [
+                `# ${route.path} (${this.countLabel(route.count)})`,
+                // Quoted, because nginx treats unquoted { as the start of the block;
+                // inside the quotes nginx unescapes \" and \\
+                `location ~ "${this.routeRegex(route).replace(/\\\\/g, '\\\\\\\\').replace(/"/g, '\\"')}" {`,
+                ...route.examples.map(url => `    # e.g. ${url}`),
+                '}'
+            ].join('\n'))
+            .join('\n\n') + '\n';
+    }
+
+    /**
+     * @returns {string} - One anchored regular expression per route.
+     */
+    toRegex(patterns) {
+        return this.toRoutes(patterns)
+            .map(route => this.routeRegex(route))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Export in one of RouteExporter.FORMATS.
+     * @param {Object[]} patterns
+     * @param {string} format - 'express', 'nextjs', 'nginx' or 'regex'.
+     * @returns {string}
+     */
+    export(patterns, format) {
+        switch (format) {
+            case 'express': return this.toExpress(patterns);
+            case 'nextjs': return this.toNextJs(patterns);
+            case 'nginx': return this.toNginx(patterns);
+            case 'regex': return this.toRegex(patterns);
+            default: throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    countLabel(count) {
+        return count === 1 ? '1 URL' : `${count} URLs`;
+    }
+}
+
+// Supported formats with labels and download file names (used by the UI)
+RouteExporter.FORMATS = {
+    express: { label: 'Express', filename: 'routes-express.js' },
+    nextjs: { label: 'Next.js', filename: 'routes-nextjs.txt' },
+    nginx: { label: 'nginx', filename: 'routes-nginx.conf' },
+    regex: { label: 'Regex', filename: 'routes-regex.txt' }
+};
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.RouteExporter = RouteExporter;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteExporter;
+}
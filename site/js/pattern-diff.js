@@ -0,0 +1,101 @@
+/**
+ * Pattern Diff
+ *
+ * Compares two results of UrlAnalyzer.analyze, e.g. the old and the new sitemap
+ * of a site migration: patterns that appeared, disappeared, grew or shrank, and
+ * URLs present in both sets whose pattern changed.
+ */
+
+class PatternDiff {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.ignoreOrigin=false] - Compare patterns and URLs without
+     *   scheme and host, for migrations to a new domain or from http to https.
+     */
+    constructor({ ignoreOrigin = false } = {}) {
+        this.ignoreOrigin = ignoreOrigin;
+    }
+
+    /**
+     * @param {Object[]} patternsA - Patterns before (output of UrlAnalyzer.analyze).
+     * @param {Object[]} patternsB - Patterns after.
+     * @returns {Object} - {
+     *   added, removed, grown, shrunk, unchanged: [{ pattern, before, after, change }],
+     *   changedUrls: [{ url, before, after }],
+     *   totals: { before: { patterns, urls }, after: { patterns, urls } }
+     * }
+     */
+    diff(patternsA, patternsB) {
+        const before = this.indexPatterns(patternsA);
+        const after = this.indexPatterns(patternsB);
+
+        const result = { added: [], removed: [], grown: [], shrunk: [], unchanged: [] };
+        const keys = new Set([...before.counts.keys(), ...after.counts.keys()]);
+
+        for (const key of keys) {
+            const countBefore = before.counts.get(key) || 0;
+            const countAfter = after.counts.get(key) || 0;
+            const entry = { pattern: key, before: countBefore, after: countAfter, change: countAfter - countBefore };
+
+            if (countBefore === 0) result.added.push(entry);
+            else if (countAfter === 0) result.removed.push(entry);
+            else if (entry.change > 0) result.grown.push(entry);
+            else if (entry.change < 0) result.shrunk.push(entry);
+            else result.unchanged.push(entry);
+        }
+
+        // Biggest changes first
+        const byChange = (a, b) => Math.abs(b.change) - Math.abs(a.change) || a.pattern.localeCompare(b.pattern);
+        for (const list of Object.values(result)) {
+            list.sort(byChange);
+        }
+
+        result.changedUrls = [];
+        for (const [url, patternBefore] of before.urls) {
+            const patternAfter = after.urls.get(url);
+            if (patternAfter !== undefined && patternAfter !== patternBefore) {
+                result.changedUrls.push({ url, before: patternBefore, after: patternAfter });
+            }
+        }
+
+        result.totals = {
+            before: { patterns: before.counts.size, urls: before.urls.size },
+            after: { patterns: after.counts.size, urls: after.urls.size }
+        };
+
+        return result;
+    }
+
+    /**
+     * @returns {{ counts: Map<string, number>, urls: Map<string, string> }} -
+     *   pattern key -> URL count, URL key -> pattern key
+     */
+    indexPatterns(patterns) {
+        const counts = new Map();
+        const urls = new Map();
+
+        for (const pattern of patterns) {
+            const key = this.key(pattern.pattern);
+            counts.set(key, (counts.get(key) || 0) + pattern.count);
+            for (const url of pattern.urls) {
+                urls.set(this.key(url), key);
+            }
+        }
+
+        return { counts, urls };
+    }
+
+    key(value) {
+        if (!this.ignoreOrigin) return value;
+        return value.replace(/^[^:/?#]+:\/\/[^/?#]*/, '') || '/';
+    }
+}
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.PatternDiff = PatternDiff;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternDiff;
+}
@@ -0,0 +1,114 @@
+/**
+ * Public Suffix List lookup
+ *
+ * Splits hostnames into registrable domain and subdomain, so that
+ * "shop.example.co.uk" becomes domain "example.co.uk" + subdomain "shop".
+ * See https://publicsuffix.org/list/ for the matching rules.
+ */
+
+class PublicSuffixList {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.includePrivate=true] - Also use the private section
+     *   (github.io, blogspot.com, ...), so each hosted site is its own domain.
+     * @param {{icann: string, private: string}} [options.data] - Rule data, defaults to the embedded list.
+     */
+    constructor(options = {}) {
+        const { includePrivate = true, data = PublicSuffixList.defaultData() } = options;
+
+        this.rules = new Set();      // "co.uk"
+        this.wildcards = new Set();  // "*.ck" stored as "ck"
+        this.exceptions = new Set(); // "!www.ck" stored as "www.ck"
+
+        this.addRules(data.icann);
+        if (includePrivate) {
+            this.addRules(data.private);
+        }
+    }
+
+    static defaultData() {
+        if (typeof PUBLIC_SUFFIX_DATA !== 'undefined') {
+            return PUBLIC_SUFFIX_DATA;
+        }
+        return require('./public-suffix-data.js');
+    }
+
+    addRules(ruleString) {
+        for (const rule of ruleString.split(' ')) {
+            if (rule.startsWith('!')) {
+                this.exceptions.add(rule.slice(1));
+            } else if (rule.startsWith('*.')) {
+                this.wildcards.add(rule.slice(2));
+            } else if (rule.length > 0) {
+                this.rules.add(rule);
+            }
+        }
+    }
+
+    /**
+     * Find the public suffix of a hostname (longest matching rule wins,
+     * exception rules beat wildcards, unknown TLDs fall back to the last label).
+     * @param {string} hostname - Lowercase, punycoded hostname (as returned by URL.hostname).
+     * @returns {string}
+     */
+    getPublicSuffix(hostname) {
+        const labels = hostname.split('.');
+
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (this.exceptions.has(candidate)) {
+                return labels.slice(i + 1).join('.');
+            }
+            if (i > 0 && this.wildcards.has(candidate)) {
+                return labels.slice(i - 1).join('.');
+            }
+            if (this.rules.has(candidate)) {
+                return candidate;
+            }
+        }
+
+        return labels[labels.length - 1];
+    }
+
+    /**
+     * Split a hostname into registrable domain and subdomain.
+     * IP addresses and hostnames that are themselves public suffixes are returned whole.
+     * @param {string} hostname
+     * @returns {{domain: string, subdomain: string|null, publicSuffix: string|null}}
+     */
+    split(hostname) {
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+
+        if (PublicSuffixList.isIpAddress(host) || !host.includes('.')) {
+            return { domain: host, subdomain: null, publicSuffix: null };
+        }
+
+        const publicSuffix = this.getPublicSuffix(host);
+        if (publicSuffix === host) {
+            return { domain: host, subdomain: null, publicSuffix };
+        }
+
+        const labels = host.split('.');
+        const domainLength = publicSuffix.split('.').length + 1;
+        const subdomainLabels = labels.slice(0, -domainLength);
+
+        return {
+            domain: labels.slice(-domainLength).join('.'),
+            subdomain: subdomainLabels.length > 0 ? subdomainLabels.join('.') : null,
+            publicSuffix
+        };
+    }
+
+    static isIpAddress(host) {
+        return host.startsWith('[') || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+    }
+}
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.PublicSuffixList = PublicSuffixList;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PublicSuffixList;
+}
@@ -0,0 +1,136 @@
+/**
+ * Result Exporter
+ *
+ * Writes patterns from UrlAnalyzer.analyze as CSV, JSON or a Markdown table,
+ * and the URL -> pattern mapping as CSV for redirect planning in a spreadsheet.
+ * Patterns checked with RobotsTxt.annotate get their robots.txt status as well.
+ * Shared by the page's export buttons and the command-line interface.
+ */
+
+class ResultExporter {
+    /**
+     * Export in one of ResultExporter.FORMATS.
+     * @param {Object[]} patterns - Output of UrlAnalyzer.analyze.
+     * @param {string} format - 'csv', 'json', 'markdown' or 'mapping'.
+     * @param {Object} [options]
+     * @param {boolean} [options.includeUrls=false] - Member URLs too (csv: one row per URL, json: urls,
+     *   markdown: a list of each pattern's URLs below the table).
+     * @returns {string}
+     */
+    export(patterns, format, { includeUrls = false } = {}) {
+        switch (format) {
+            case 'csv': return this.toCsv(patterns, includeUrls);
+            case 'json': return this.toJson(patterns, includeUrls);
+            case 'markdown': return this.toMarkdown(patterns, includeUrls);
+            case 'mapping': return this.toMapping(patterns);
+            default: throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    toCsv(patterns, includeUrls = false) {
+        const hasRobots = patterns.some(p => p.robots);
+        const header = ['pattern', 'count', 'depth'];
+        if (hasRobots) header.push('robots_allowed', 'robots_blocked');
+        if (includeUrls) header.push('url');
+        const lines = [header.join(',')];
+        for (const p of patterns) {
+            const cells = [ResultExporter.csvCell(p.pattern), p.count, p.depth];
+            if (hasRobots) cells.push(p.robots ? p.robots.allowed : '', p.robots ? p.robots.blocked : '');
+            if (includeUrls) {
+                for (const url of p.urls) {
+                    lines.push([...cells, ResultExporter.csvCell(url)].join(','));
+                }
+            } else {
+                lines.push(cells.join(','));
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    toJson(patterns, includeUrls = false) {
+        const output = patterns.map(p => {
+            const { urls, ...rest } = p;
+            return includeUrls ? { ...rest, urls } : rest;
+        });
+        return JSON.stringify(output, null, 2) + '\n';
+    }
+
+    toMarkdown(patterns, includeUrls = false) {
+        const hasRobots = patterns.some(p => p.robots);
+        const lines = hasRobots
+            ? ['| Pattern | Count | Depth | robots.txt |', '| --- | ---: | ---: | --- |']
+            : ['| Pattern | Count | Depth |', '| --- | ---: | ---: |'];
+        for (const p of patterns) {
+            const indent = p.depth > 0 ? '&nbsp;&nbsp;'.repeat(p.depth - 1) + '└─ ' : '';
+            const cells = [indent + ResultExporter.escapeMarkdownCell(ResultExporter.codeSpan(p.pattern)), p.count, p.depth];
+            if (hasRobots) {
+                const Robots = typeof RobotsTxt !== 'undefined' ? RobotsTxt : require('./robots.js');
+                cells.push(p.robots ? Robots.describeCheck(p.robots) : '');
+            }
+            lines.push(`| ${cells.join(' | ')} |`);
+        }
+        if (includeUrls) {
+            lines.push('');
+            for (const p of patterns) {
+                lines.push(`- ${ResultExporter.codeSpan(p.pattern)} (${p.count})`);
+                for (const url of p.urls) {
+                    lines.push(`  - <${url}>`);
+                }
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Every URL with the pattern it belongs to, in pattern order.
+     */
+    toMapping(patterns) {
+        const lines = ['url,pattern'];
+        for (const p of patterns) {
+            for (const url of p.urls) {
+                lines.push(`${ResultExporter.csvCell(url)},${ResultExporter.csvCell(p.pattern)}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static csvCell(value) {
+        let str = String(value);
+        // Spreadsheets run cells starting with = + - @ as formulas
+        if (/^[=+\-@\t\r]/.test(str)) {
+            str = `'${str}`;
+        }
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    /**
+     * Markdown code span, fenced with more backticks than the value has in a row.
+     */
+    static codeSpan(value) {
+        const longest = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        // A space on both sides keeps a backtick at the edge apart from the fence; Markdown strips it
+        return longest > 0 ? `${fence} ${value} ${fence}` : `${fence}${value}${fence}`;
+    }
+
+    static escapeMarkdownCell(value) {
+        return value.replace(/\|/g, '\\|');
+    }
+}
+
+// urls: whether includeUrls applies; the mapping always lists every URL
+ResultExporter.FORMATS = {
+    csv: { label: 'CSV', filename: 'patterns.csv', type: 'text/csv', urls: true },
+    json: { label: 'JSON', filename: 'patterns.json', type: 'application/json', urls: true },
+    markdown: { label: 'Markdown', filename: 'patterns.md', type: 'text/markdown', urls: true },
+    mapping: { label: 'URL → pattern CSV', filename: 'url-pattern-mapping.csv', type: 'text/csv', urls: false }
+};
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.ResultExporter = ResultExporter;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultExporter;
+}
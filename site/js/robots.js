@@ -0,0 +1,250 @@
+/**
+ * robots.txt parser and matcher
+ *
+ * Follows RFC 9309 as Google implements it: groups of User-agent lines with
+ * their Allow/Disallow rules, matched against the path and query of a URL.
+ * "*" matches any characters, a trailing "$" anchors the end of the URL, the
+ * longest matching rule wins and Allow wins a tie.
+ */
+
+class RobotsTxt {
+    /**
+     * @param {string} [content=''] - Body of the robots.txt file.
+     * @param {string|null} [origin=null] - Origin the file belongs to (https://example.com);
+     *   URLs on other origins aren't governed by it.
+     */
+    constructor(content = '', origin = null) {
+        this.origin = origin;
+        this.groups = [];   // [{ userAgents: ['googlebot'], rules: [{ type, pattern, line }] }]
+        this.sitemaps = [];
+        this.regexCache = new Map();
+        this.parse(content);
+    }
+
+    /**
+     * robots.txt as crawlers treat a fetch of it: 2xx is parsed, any other 4xx
+     * means no restrictions, 5xx or no response at all means nothing may be crawled.
+     * @param {string} url - URL of the robots.txt file.
+     * @param {number} status - HTTP status, 0 when the request failed.
+     * @param {string} [content='']
+     */
+    static fromResponse(url, status, content = '') {
+        const origin = new URL(url).origin;
+        if (status >= 200 && status < 300) return new RobotsTxt(content, origin);
+        if (status >= 400 && status < 500) return new RobotsTxt('', origin);
+        return new RobotsTxt('User-agent: *\nDisallow: /', origin);
+    }
+
+    parse(content) {
+        let group = null;
+        let inAgentLines = false;
+
+        content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '');
+            const colon = line.indexOf(':');
+            if (colon === -1) return;
+
+            const key = line.slice(0, colon).trim().toLowerCase();
+            const value = line.slice(colon + 1).trim();
+
+            if (key === 'user-agent') {
+                // Consecutive User-agent lines share one group
+                if (!inAgentLines) {
+                    group = { userAgents: [], rules: [] };
+                    this.groups.push(group);
+                    inAgentLines = true;
+                }
+                group.userAgents.push(RobotsTxt.productToken(value));
+            } else if (key === 'allow' || key === 'disallow') {
+                inAgentLines = false;
+                // Rules outside a group and empty rules ("Disallow:") allow everything anyway
+                if (group && value) {
+                    group.rules.push({ type: key, pattern: RobotsTxt.normalizeEncoding(value), line: index + 1 });
+                }
+            } else if (key === 'sitemap' && value) {
+                this.sitemaps.push(value);
+            }
+        });
+    }
+
+    /**
+     * Named user agents of the file, in order, without "*".
+     * @returns {string[]}
+     */
+    userAgents() {
+        const agents = new Set(this.groups.flatMap(group => group.userAgents));
+        agents.delete('*');
+        return [...agents];
+    }
+
+    /**
+     * Rules that apply to a user agent: all groups naming its product token
+     * (case-insensitive), else all "*" groups.
+     * @param {string} userAgent - Product token such as "Googlebot".
+     */
+    rulesFor(userAgent) {
+        const token = RobotsTxt.productToken(userAgent);
+        let groups = this.groups.filter(group => group.userAgents.includes(token));
+        if (groups.length === 0) {
+            groups = this.groups.filter(group => group.userAgents.includes('*'));
+        }
+        return groups.flatMap(group => group.rules);
+    }
+
+    /**
+     * @param {string} url - Absolute URL, or a path starting with "/".
+     * @param {string} userAgent
+     * @returns {{ allowed: boolean, rule: Object|null }} - rule is the deciding { type, pattern, line }
+     */
+    check(url, userAgent) {
+        const path = RobotsTxt.pathOf(url);
+        if (path === '/robots.txt') {
+            return { allowed: true, rule: null };
+        }
+
+        let best = null;
+        for (const rule of this.rulesFor(userAgent)) {
+            if (!this.matches(rule.pattern, path)) continue;
+            if (!best || rule.pattern.length > best.pattern.length ||
+                (rule.pattern.length === best.pattern.length && rule.type === 'allow')) {
+                best = rule;
+            }
+        }
+
+        return { allowed: !best || best.type === 'allow', rule: best };
+    }
+
+    isAllowed(url, userAgent) {
+        return this.check(url, userAgent).allowed;
+    }
+
+    /**
+     * Check a list of URLs, e.g. the members of a pattern.
+     * @returns {{ allowed: number, blocked: number, skipped: number, rules: Object[] }} -
+     *   skipped counts URLs on other origins; rules are the Disallow rules that block
+     *   URLs, as [{ type, pattern, line, count }] with the most URLs first.
+     */
+    checkUrls(urls, userAgent) {
+        const summary = { allowed: 0, blocked: 0, skipped: 0, rules: [] };
+        const rules = new Map();
+
+        for (const url of urls) {
+            if (this.origin && !url.startsWith('/') && RobotsTxt.originOf(url) !== this.origin) {
+                summary.skipped++;
+                continue;
+            }
+
+            const { allowed, rule } = this.check(url, userAgent);
+            if (allowed) {
+                summary.allowed++;
+                continue;
+            }
+            summary.blocked++;
+            if (!rules.has(rule)) {
+                rules.set(rule, { ...rule, count: 0 });
+            }
+            rules.get(rule).count++;
+        }
+
+        summary.rules = [...rules.values()].sort((a, b) => b.count - a.count || a.line - b.line);
+        return summary;
+    }
+
+    /**
+     * Check the URLs of every pattern from UrlAnalyzer.analyze and put the result on the
+     * pattern as robots: { userAgent, allowed, blocked, skipped, rules } (see checkUrls),
+     * for the results table, the exports and the command-line interface alike.
+     * @returns {number} - URLs blocked over all patterns.
+     */
+    annotate(patterns, userAgent) {
+        let blocked = 0;
+        for (const pattern of patterns) {
+            pattern.robots = { userAgent, ...this.checkUrls(pattern.urls, userAgent) };
+            blocked += pattern.robots.blocked;
+        }
+        return blocked;
+    }
+
+    matches(pattern, path) {
+        let regex = this.regexCache.get(pattern);
+        if (!regex) {
+            const anchored = pattern.endsWith('$');
+            const source = (anchored ? pattern.slice(0, -1) : pattern)
+                .split('*')
+                .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join('.*');
+            regex = new RegExp('^' + source + (anchored ? '$' : ''));
+            this.regexCache.set(pattern, regex);
+        }
+        return regex.test(path);
+    }
+
+    /**
+     * Short status of a checkUrls summary: "allowed", "blocked", "3 of 10 blocked",
+     * or "–" when all URLs are on other origins.
+     */
+    static describeCheck(check) {
+        const checked = check.allowed + check.blocked;
+        if (checked === 0) return '–';
+        if (check.blocked === 0) return 'allowed';
+        return check.allowed === 0 ? 'blocked' : `${check.blocked} of ${checked} blocked`;
+    }
+
+    /**
+     * "Googlebot/2.1" and "googlebot" are both "googlebot"; "*" stays "*".
+     */
+    static productToken(userAgent) {
+        const value = userAgent.trim();
+        if (value === '*') return '*';
+        const match = value.match(/^[A-Za-z_-]+/);
+        return (match ? match[0] : value).toLowerCase();
+    }
+
+    /**
+     * Path and query of a URL, with the same percent-encoding as rule patterns.
+     */
+    static pathOf(url) {
+        if (url.startsWith('/')) {
+            return RobotsTxt.normalizeEncoding(url.replace(/#.*$/, ''));
+        }
+        try {
+            const parsed = new URL(url);
+            return RobotsTxt.normalizeEncoding(parsed.pathname + parsed.search);
+        } catch (e) {
+            return '/';
+        }
+    }
+
+    static originOf(url) {
+        try {
+            return new URL(url).origin;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Percent-encode non-ASCII characters and spaces, uppercase existing escapes,
+     * so "/café" in a rule matches "/caf%c3%a9" in a URL.
+     */
+    static normalizeEncoding(value) {
+        return value
+            .replace(/[^\x21-\x7e]+/g, chars => {
+                try {
+                    return encodeURIComponent(chars);
+                } catch (e) {
+                    return chars;
+                }
+            })
+            .replace(/%[0-9a-f]{2}/gi, escape => escape.toUpperCase());
+    }
+}
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.RobotsTxt = RobotsTxt;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobotsTxt;
+}
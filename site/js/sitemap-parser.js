@@ -0,0 +1,140 @@
+/**
+ * Sitemap XML parser
+ *
+ * Collects <url> entries of a urlset, or <sitemap> entries of a sitemap index,
+ * from an XmlStream. Each entry is { loc } plus whatever the sitemap has: lastmod,
+ * changefreq, priority, alternates (xhtml:link hreflang), images, videos and news.
+ * Fields the sitemap doesn't have are left out, to keep the sitemap proxy's response small.
+ *
+ * Feed it chunks with write() and finish with end():
+ *   const parser = new SitemapParser();
+ *   parser.write(xml);
+ *   const { type, entries } = parser.end(); // type is 'urlset', 'sitemapindex' or null
+ */
+
+class SitemapParser {
+    constructor() {
+        const Xml = typeof XmlStream !== 'undefined' ? XmlStream : require('./xml-stream.js');
+        this.type = null;
+        this.entries = [];
+        this.entry = null;
+        this.extension = null; // image, video or news entry being read
+        this.characters = ''; // text of the current element
+        this.xml = new Xml(this, SitemapParser.NAMESPACES);
+    }
+
+    write(chunk) {
+        this.xml.write(chunk);
+    }
+
+    end() {
+        this.xml.end();
+        return { type: this.type, entries: this.entries };
+    }
+
+    open(name, attributes) {
+        this.characters = '';
+
+        if (!this.type && (name === 'urlset' || name === 'sitemapindex')) {
+            this.type = name;
+        } else if ((name === 'url' && this.type === 'urlset') || (name === 'sitemap' && this.type === 'sitemapindex')) {
+            this.entry = { loc: '' };
+        } else if (!this.entry) {
+            return;
+        } else if (name === 'image:image' || name === 'video:video' || name === 'news:news') {
+            this.extension = { kind: name, fields: {} };
+        } else if (name === 'xhtml:link' && attributes.rel === 'alternate' && attributes.hreflang && attributes.href) {
+            this.push('alternates', { hreflang: attributes.hreflang, href: attributes.href.trim() });
+        }
+    }
+
+    text(value) {
+        this.characters += value;
+    }
+
+    close(name) {
+        const value = this.characters.trim();
+        this.characters = '';
+        const entry = this.entry;
+        if (!entry) return;
+
+        if (this.extension) {
+            const fields = SitemapParser.EXTENSION_FIELDS[this.extension.kind];
+            if (name === this.extension.kind) {
+                const list = { 'image:image': 'images', 'video:video': 'videos' }[name];
+                if (list) this.push(list, this.extension.fields);
+                else entry.news = this.extension.fields;
+                this.extension = null;
+            } else if (fields[name] && value) {
+                this.extension.fields[fields[name]] = value;
+            }
+            return;
+        }
+
+        switch (name) {
+            case 'loc':
+                entry.loc = value;
+                break;
+            case 'lastmod':
+                if (value) entry.lastmod = value;
+                break;
+            case 'changefreq':
+                if (value) entry.changefreq = value.toLowerCase();
+                break;
+            case 'priority': {
+                const priority = parseFloat(value);
+                if (!Number.isNaN(priority)) entry.priority = priority;
+                break;
+            }
+            case 'url':
+            case 'sitemap':
+                if (entry.loc) this.entries.push(entry);
+                this.entry = null;
+                break;
+        }
+    }
+
+    push(list, item) {
+        if (!this.entry[list]) this.entry[list] = [];
+        this.entry[list].push(item);
+    }
+}
+
+// Namespaces of the sitemap extensions, by URI, so any prefix the document uses works
+SitemapParser.NAMESPACES = {
+    'http://www.sitemaps.org/schemas/sitemap/0.9': '',
+    'http://www.google.com/schemas/sitemap/0.84': '',
+    'http://www.w3.org/1999/xhtml': 'xhtml',
+    'http://www.google.com/schemas/sitemap-image/1.1': 'image',
+    'http://www.google.com/schemas/sitemap-video/1.1': 'video',
+    'http://www.google.com/schemas/sitemap-news/0.9': 'news'
+};
+
+// Child elements copied from extension entries (element name -> entry field)
+SitemapParser.EXTENSION_FIELDS = {
+    'image:image': { 'image:loc': 'loc', 'image:title': 'title', 'image:caption': 'caption' },
+    'video:video': {
+        'video:title': 'title',
+        'video:description': 'description',
+        'video:thumbnail_loc': 'thumbnailLoc',
+        'video:content_loc': 'contentLoc',
+        'video:player_loc': 'playerLoc',
+        'video:duration': 'duration',
+        'video:publication_date': 'publicationDate'
+    },
+    'news:news': {
+        'news:name': 'publicationName',
+        'news:language': 'language',
+        'news:publication_date': 'publicationDate',
+        'news:title': 'title'
+    }
+};
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.SitemapParser = SitemapParser;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SitemapParser;
+}
@@ -2,11 +2,12 @@
  * SitemapFetcher - Fetches URLs from sitemaps via Cloudflare Worker
  *
  * The worker handles all the heavy lifting:
- * - robots.txt discovery
+ * - robots.txt discovery (the file comes back too and is parsed here, see robots.js)
  * - Sitemap index traversal
- * - XML parsing
+ * - XML parsing (lastmod, changefreq, priority, hreflang, image/video/news)
  *
- * This client just makes a single request and receives all URLs.
+ * This client makes a single request and reads the worker's progress events as
+ * they stream in, so the UI can show each sitemap as soon as it is fetched.
  */
 class SitemapFetcher {
     constructor(proxyUrl) {
@@ -16,51 +17,144 @@ class SitemapFetcher {
     /**
      * Fetch all URLs from a domain or sitemap URL
      * @param {string} inputUrl - Domain (example.com) or sitemap URL
-     * @returns {Promise<{urls: string[], errors: Array, sitemapCount: number}>}
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with each event of events(), without its entries
+     * @returns {Promise<{urls: string[], entries: Object[], errors: Array, sitemapCount: number,
+     *   skipped: Object, sampled: Array, robots: RobotsTxt|null}>} -
+     *   entries are { loc, lastmod?, changefreq?, priority?, alternates?, images?, videos?, news? },
+     *   ready for UrlAnalyzer.analyze; urls are just their locs.
+     *   skipped counts child sitemaps not fetched: { duplicates, cycles, tooDeep, overLimit };
+     *   sampled lists sitemap indexes only partly fetched: [{ url, total, fetched }].
+     *   robots is the site's robots.txt, null from proxies that don't return it.
      */
-    async fetchUrls(inputUrl) {
+    async fetchUrls(inputUrl, { onProgress } = {}) {
+        const result = {
+            urls: [],
+            entries: [],
+            errors: [],
+            sitemapCount: 0,
+            skipped: { ...SitemapFetcher.NO_SKIPPED },
+            sampled: [],
+            robots: null
+        };
+        let finished = false;
+
+        try {
+            for await (const event of this.events(inputUrl)) {
+                const { entries, ...progress } = event;
+
+                if (event.type === 'robots') {
+                    const Robots = typeof RobotsTxt !== 'undefined' ? RobotsTxt : require('./robots.js');
+                    result.robots = Robots.fromResponse(event.url, event.status, event.content);
+                } else if (event.type === 'sitemap' && entries) {
+                    result.entries = result.entries.concat(entries);
+                } else if (event.type === 'error') {
+                    // Normalize error format for UI
+                    result.errors.push({ url: event.url, error: { type: 'remote', message: event.error } });
+                } else if (event.type === 'done') {
+                    result.sitemapCount = event.sitemapCount || 0;
+                    result.skipped = { ...result.skipped, ...event.skipped };
+                    result.sampled = event.sampled || [];
+                    finished = true;
+                }
+
+                if (onProgress) onProgress(progress);
+            }
+
+            if (!finished) {
+                throw new Error('The sitemap proxy closed the connection before it finished');
+            }
+        } catch (error) {
+            result.errors.push({ url: inputUrl, error: { type: 'network', message: error.message } });
+        }
+
+        result.urls = result.entries.map(entry => entry.loc);
+        return result;
+    }
+
+    /**
+     * Progress events of the proxy, as they arrive:
+     *   { type: 'robots', url, status, content }
+     *   { type: 'discovered', url, parent }
+     *   { type: 'sitemap', url, kind: 'urlset'|'sitemapindex', count, entries? }
+     *   { type: 'error', url, error }
+     *   { type: 'done', sitemapCount, urlCount, skipped, sampled }
+     * @param {string} inputUrl - Domain (example.com) or sitemap URL
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *events(inputUrl) {
         // Normalize URL - add protocol if missing
         let url = inputUrl.trim();
         if (!url.startsWith('http://') && !url.startsWith('https://')) {
             url = 'https://' + url;
         }
 
-        const requestUrl = `${this.proxyUrl}?url=${encodeURIComponent(url)}`;
+        const requestUrl = `${this.proxyUrl}?url=${encodeURIComponent(url)}&stream=ndjson`;
+        const response = await fetch(requestUrl);
 
-        try {
-            const response = await fetch(requestUrl);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP ${response.status}`);
+        }
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error || `HTTP ${response.status}`);
-            }
+        // Proxies without streaming ignore the parameter and answer with one JSON object
+        if (!(response.headers.get('Content-Type') || '').includes('ndjson')) {
+            yield* SitemapFetcher.resultEvents(await response.json(), url);
+            return;
+        }
 
-            const result = await response.json();
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
 
-            // Normalize error format for UI
-            if (result.errors) {
-                result.errors = result.errors.map(e => ({
-                    url: e.url,
-                    error: { type: 'remote', message: e.error }
-                }));
+                buffer += value;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (line.trim()) yield JSON.parse(line);
+                }
             }
+            if (buffer.trim()) yield JSON.parse(buffer);
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
 
-            return {
-                urls: result.urls || [],
-                errors: result.errors || [],
-                sitemapCount: result.sitemapCount || 0
-            };
-        } catch (error) {
-            return {
-                urls: [],
-                errors: [{ url: inputUrl, error: { type: 'network', message: error.message } }],
-                sitemapCount: 0
-            };
+    /**
+     * Replays a complete (non-streamed) proxy response as progress events.
+     */
+    static *resultEvents(result, url) {
+        if (result.robots) {
+            yield { type: 'robots', ...result.robots };
         }
+        for (const e of result.errors || []) {
+            yield { type: 'error', url: e.url, error: e.error };
+        }
+
+        // Proxies older than the entries format return bare URLs
+        const entries = result.entries || (result.urls || []).map(loc => ({ loc }));
+        yield { type: 'sitemap', url, kind: 'urlset', count: entries.length, entries };
+
+        yield {
+            type: 'done',
+            sitemapCount: result.sitemapCount || 0,
+            urlCount: entries.length,
+            skipped: result.skipped,
+            sampled: result.sampled
+        };
     }
 }
 
+SitemapFetcher.NO_SKIPPED = { duplicates: 0, cycles: 0, tooDeep: 0, overLimit: 0 };
+
 // Browser export
 if (typeof window !== 'undefined') {
     window.SitemapFetcher = SitemapFetcher;
 }
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SitemapFetcher;
+}
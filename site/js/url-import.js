@@ -0,0 +1,359 @@
+/**
+ * URL Import
+ *
+ * Reads URL lists out of the files people have at hand: plain lists, sitemap
+ * XML, CSV/TSV (any column), Screaming Frog and Google Search Console exports,
+ * and Apache/nginx access logs in the common or combined format.
+ *
+ * Tables and logs also yield metrics per URL for UrlAnalyzer to aggregate: the
+ * other columns of a table (clicks, response time, status code), and the
+ * number of requests and the last status code of a log.
+ */
+
+class UrlImporter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.format='auto'] - auto or a key of UrlImporter.FORMATS
+     * @param {string|number|null} [options.column=null] - Column with the URLs in delimited
+     *   formats: header name or 1-based number. Detected when null.
+     * @param {string|null} [options.baseUrl=null] - Scheme and host for the paths in access
+     *   logs (https://example.com); required for logs.
+     */
+    constructor({ format = 'auto', column = null, baseUrl = null } = {}) {
+        this.format = format;
+        this.column = column;
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * @param {string} content - File contents.
+     * @param {string|null} [filename=null] - Helps to detect the format.
+     * @returns {{ format: string, urls: string[], entries: Object[], metrics: string[],
+     *   columns: string[]|null, column: number|null, skipped: number }} -
+     *   entries are { loc, metrics } (sitemap entries as SitemapParser reads them) for
+     *   UrlAnalyzer.analyze, metrics the names of the metrics found; columns are the header cells of delimited formats (or "Column n"
+     *   without a header) and column the index of the URL column, for a column picker;
+     *   skipped counts log lines that aren't requests.
+     */
+    parse(content, filename = null) {
+        const text = content.replace(/^\uFEFF/, '');
+        const format = this.format === 'auto' ? this.detectFormat(text, filename) : this.format;
+        if (!UrlImporter.FORMATS[format]) {
+            throw new Error(`Unknown format: ${format}`);
+        }
+
+        const result = { format, entries: [], columns: null, column: null, skipped: 0 };
+        switch (format) {
+            case 'sitemap':
+                result.entries = this.parseSitemap(text);
+                break;
+            case 'log':
+                Object.assign(result, this.parseLog(text));
+                break;
+            case 'text':
+                result.entries = text.split(/\r?\n/)
+                    .map(line => line.trim())
+                    .filter(line => line.length > 0)
+                    .map(loc => ({ loc }));
+                break;
+            default:
+                Object.assign(result, this.parseTable(text, format));
+        }
+
+        result.urls = result.entries.map(entry => entry.loc);
+        result.metrics = [...new Set(result.entries.flatMap(entry => Object.keys(entry.metrics || {})))];
+        return result;
+    }
+
+    /**
+     * Guess the format from the file name and the start of the contents.
+     */
+    detectFormat(content, filename) {
+        const extension = filename ? (filename.toLowerCase().match(/\.[a-z0-9]+$/) || [''])[0] : '';
+        const start = content.trimStart().slice(0, 2000);
+
+        if (extension === '.csv' || extension === '.tsv') {
+            const header = this.readRows(start, extension === '.tsv' ? '\t' : UrlImporter.sniffDelimiter(start))
+                .map(row => row.map(cell => cell.trim().toLowerCase()))
+                .find(row => row.length > 1) || [];
+            if (header.includes('address') && UrlImporter.CRAWLER_COLUMNS.some(c => header.includes(c))) {
+                return 'screaming-frog';
+            }
+            if (header.includes('top pages') || (header.includes('clicks') && header.includes('impressions'))) {
+                return 'gsc';
+            }
+            return extension.slice(1);
+        }
+        if (extension === '.xml' || start.startsWith('<?xml') || /<([\w.-]+:)?(urlset|sitemapindex)\b/.test(start)) {
+            return 'sitemap';
+        }
+        if (extension === '.log' || UrlImporter.ACCESS_LOG_LINE.test(start.split('\n')[0])) {
+            return 'log';
+        }
+        return 'text';
+    }
+
+    /**
+     * Entries of a urlset (or the child sitemaps of an index), read with the same
+     * parser as the sitemap proxy, so namespace prefixes and comments are handled alike.
+     */
+    parseSitemap(content) {
+        const Parser = typeof SitemapParser !== 'undefined' ? SitemapParser : require('./sitemap-parser.js');
+        const parser = new Parser();
+        parser.write(content);
+        return parser.end().entries;
+    }
+
+    /**
+     * Request targets of an access log, each URL once, in order of the first request,
+     * with the metrics hits (number of requests) and status (of the last request).
+     */
+    parseLog(content) {
+        if (!this.baseUrl) {
+            throw new Error('Access logs only contain paths: give a base URL such as https://example.com');
+        }
+        const base = this.baseUrl.includes('://') ? this.baseUrl : `https://${this.baseUrl}`;
+        let origin;
+        try {
+            origin = new URL(base).origin;
+        } catch (e) {
+            throw new Error(`Invalid base URL: ${this.baseUrl}`);
+        }
+
+        const entries = new Map(); // URL -> entry
+        let skipped = 0;
+        for (const line of content.split(/\r?\n/)) {
+            if (!line.trim()) continue;
+
+            const match = line.match(UrlImporter.ACCESS_LOG_LINE);
+            // "OPTIONS *" and other targets that aren't paths or URLs
+            if (!match || !/^(\/|https?:\/\/)/i.test(match[2])) {
+                skipped++;
+                continue;
+            }
+            const url = match[2].startsWith('/') ? origin + match[2] : match[2];
+            if (!entries.has(url)) {
+                entries.set(url, { loc: url, metrics: { hits: 0, status: null } });
+            }
+            const { metrics } = entries.get(url);
+            metrics.hits++;
+            metrics.status = match[3];
+        }
+
+        return { entries: [...entries.values()], skipped };
+    }
+
+    /**
+     * CSV/TSV and the exports built on it: the URL column of every row, the other
+     * columns as metrics (see readMetrics).
+     */
+    parseTable(content, format) {
+        const delimiter = format === 'tsv' ? '\t' : UrlImporter.sniffDelimiter(content);
+        let rows = this.readRows(content, delimiter);
+
+        // Screaming Frog puts the report name ("Internal - All") above the header
+        while (rows.length > 1 && rows[0].length === 1 && rows[1].length > 1) {
+            rows = rows.slice(1);
+        }
+        if (rows.length === 0) {
+            return { entries: [], columns: [], column: null };
+        }
+
+        const { index, hasHeader } = this.findUrlColumn(rows, format);
+        const columns = hasHeader
+            ? rows[0].map(cell => cell.trim())
+            : rows[0].map((_, i) => `Column ${i + 1}`);
+        const dataRows = rows
+            .slice(hasHeader ? 1 : 0)
+            .filter(row => (row[index] || '').trim().length > 0);
+        const metrics = hasHeader ? this.readMetrics(dataRows, columns, index, delimiter) : [];
+        const entries = dataRows.map((row, i) => {
+            const entry = { loc: row[index].trim() };
+            if (metrics.length > 0) {
+                entry.metrics = Object.fromEntries(metrics.map(metric => [metric.name, metric.values[i]]));
+            }
+            return entry;
+        });
+
+        return { entries, columns, column: index };
+    }
+
+    /**
+     * Metric columns of a table: columns of numbers (1,234 / 3.5% / 1,5 in
+     * semicolon-separated files) are numbers; status columns and text columns
+     * of a few repeating values are categories; the rest (titles) is left out.
+     * @returns {{ name: string, values: Array<number|string|null> }[]}
+     */
+    readMetrics(rows, columns, urlIndex, delimiter) {
+        const metrics = [];
+        columns.forEach((name, index) => {
+            if (index === urlIndex || !name) return;
+
+            const cells = rows.map(row => (row[index] || '').trim());
+            const filled = cells.filter(cell => cell.length > 0);
+            if (filled.length === 0) return;
+
+            const numbers = cells.map(cell => cell.length > 0 ? UrlImporter.parseNumber(cell, delimiter === ';') : null);
+            const isCategory = UrlImporter.CATEGORY_COLUMNS.test(name);
+            if (!isCategory && numbers.every((number, i) => cells[i].length === 0 || !Number.isNaN(number))) {
+                metrics.push({ name, values: numbers });
+            } else if (isCategory || new Set(filled).size <= Math.min(UrlImporter.MAX_CATEGORIES, filled.length / 2)) {
+                metrics.push({ name, values: cells.map(cell => cell.length > 0 ? cell : null) });
+            }
+        });
+        return metrics;
+    }
+
+    /**
+     * The column given by name or number, else the first with a typical URL
+     * header, else the first whose first value is a URL.
+     * @returns {{ index: number, hasHeader: boolean }}
+     */
+    findUrlColumn(rows, format) {
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const isUrl = value => /^https?:\/\//i.test((value || '').trim());
+        let hasHeader = !rows[0].some(isUrl);
+
+        if (this.column !== null && this.column !== '') {
+            if (/^\d+$/.test(String(this.column))) {
+                const index = Number(this.column) - 1;
+                if (index < 0 || index >= rows[0].length) {
+                    throw new Error(`Column not found: ${this.column}`);
+                }
+                return { index, hasHeader };
+            }
+            const index = header.indexOf(String(this.column).toLowerCase());
+            if (index === -1) {
+                throw new Error(`Column not found: ${this.column}`);
+            }
+            return { index, hasHeader: true };
+        }
+
+        const preferred = UrlImporter.URL_COLUMNS[format] || UrlImporter.URL_COLUMNS.csv;
+        let index = -1;
+        if (hasHeader) {
+            const name = preferred.find(h => header.includes(h));
+            index = name === undefined ? -1 : header.indexOf(name);
+        }
+        if (index === -1) {
+            index = (rows[hasHeader ? 1 : 0] || []).findIndex(isUrl);
+        }
+        if (index === -1) {
+            throw new Error('Could not detect the URL column, pick one by name or number');
+        }
+        return { index, hasHeader };
+    }
+
+    /**
+     * Minimal CSV/TSV parser (RFC 4180 quoting).
+     * @returns {string[][]} - Rows of cells, without empty rows.
+     */
+    readRows(content, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell.length > 0 || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c.trim().length > 0));
+    }
+
+    /**
+     * The delimiter used most in the first line: comma, semicolon (European spreadsheets) or tab.
+     */
+    static sniffDelimiter(content) {
+        const firstLine = content.slice(0, content.search(/\r?\n|$/));
+        let best = ',';
+        let bestCount = 0;
+        for (const delimiter of [',', ';', '\t']) {
+            const count = firstLine.split(delimiter).length - 1;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * "1,234", "3.5%", "1 234" and, with decimalComma, "1,5" as numbers; NaN otherwise.
+     */
+    static parseNumber(value, decimalComma) {
+        let text = value.replace(/[\s\u00A0]/g, '').replace(/%$/, '');
+        if (decimalComma && /^-?\d+,\d+$/.test(text)) {
+            text = text.replace(',', '.');
+        } else if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+            text = text.replace(/,/g, '');
+        }
+        return /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text) ? Number(text) : NaN;
+    }
+}
+
+// 127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /a.gif HTTP/1.0" 200 2326 "referer" "agent"
+UrlImporter.ACCESS_LOG_LINE = /^\S+ \S+ \S+ \[[^\]]+\] "([A-Z]+) (\S+)[^"]*" (\d{3}) /;
+
+UrlImporter.FORMATS = {
+    text: { label: 'Plain text (one URL per line)' },
+    sitemap: { label: 'Sitemap XML' },
+    csv: { label: 'CSV' },
+    tsv: { label: 'TSV' },
+    'screaming-frog': { label: 'Screaming Frog export' },
+    gsc: { label: 'Search Console export' },
+    log: { label: 'Access log (Apache/nginx)' }
+};
+
+// Headers of the URL column, in order of preference
+UrlImporter.URL_COLUMNS = {
+    csv: ['url', 'address', 'loc', 'page', 'landing page', 'top pages'],
+    'screaming-frog': ['address'],
+    gsc: ['top pages', 'url', 'page', 'landing page']
+};
+
+// Columns that tell a Screaming Frog crawl export from any table with an "Address" column
+UrlImporter.CRAWLER_COLUMNS = ['status code', 'content type', 'indexability'];
+
+// Metric columns that are categories even with numeric values (HTTP status codes)
+UrlImporter.CATEGORY_COLUMNS = /\bstatus\b/i;
+
+// Text columns with more distinct values aren't metrics
+UrlImporter.MAX_CATEGORIES = 20;
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.UrlImporter = UrlImporter;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlImporter;
+}
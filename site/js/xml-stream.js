@@ -0,0 +1,163 @@
+/**
+ * Streaming XML tokenizer: elements, attributes, text, CDATA and entities.
+ *
+ * Comments, processing instructions and DOCTYPE are skipped. Element names are
+ * resolved through the namespaces given to the constructor, so "sm:loc" in a
+ * document that declares xmlns:sm as the sitemap namespace comes out as "loc".
+ * Used by SitemapParser, in the browser and in the sitemap proxy worker.
+ */
+
+class XmlStream {
+    /**
+     * @param {{ open(name, attributes), close(name), text(value) }} handler
+     * @param {Object<string, string>} [namespaces={}] - Namespace URI -> prefix for
+     *   resolved names ('' for none). Elements of other namespaces keep the prefix as written.
+     */
+    constructor(handler, namespaces = {}) {
+        this.handler = handler;
+        this.namespaces = namespaces;
+        this.buffer = '';
+        this.scopes = [{}]; // prefix -> namespace URI, one scope per open element
+    }
+
+    write(chunk) {
+        this.buffer += chunk;
+        this.process();
+    }
+
+    end() {
+        this.process();
+        if (this.buffer.length > 0) {
+            this.handler.text(XmlStream.decodeEntities(this.buffer));
+            this.buffer = '';
+        }
+    }
+
+    process() {
+        const buffer = this.buffer;
+        let pos = 0;
+
+        while (pos < buffer.length) {
+            const lt = buffer.indexOf('<', pos);
+            // Text may continue in the next chunk
+            if (lt === -1) break;
+            if (lt > pos) {
+                this.handler.text(XmlStream.decodeEntities(buffer.slice(pos, lt)));
+                pos = lt;
+            }
+
+            let end;
+            if (buffer.startsWith('<![CDATA[', lt)) {
+                end = buffer.indexOf(']]>', lt);
+                if (end === -1) break;
+                this.handler.text(buffer.slice(lt + 9, end));
+                pos = end + 3;
+            } else if (buffer.startsWith('<!--', lt)) {
+                end = buffer.indexOf('-->', lt);
+                if (end === -1) break;
+                pos = end + 3;
+            } else if (buffer.startsWith('<?', lt) || buffer.startsWith('<!', lt)) {
+                end = buffer.indexOf('>', lt);
+                if (end === -1) break;
+                pos = end + 1;
+            } else {
+                end = XmlStream.findTagEnd(buffer, lt);
+                if (end === -1) break;
+                this.tag(buffer.slice(lt + 1, end));
+                pos = end + 1;
+            }
+        }
+
+        this.buffer = buffer.slice(pos);
+    }
+
+    tag(content) {
+        if (content.startsWith('/')) {
+            const name = this.resolve(content.slice(1).trim());
+            this.scopes.pop();
+            this.handler.close(name);
+            return;
+        }
+
+        const selfClosing = content.endsWith('/');
+        const body = selfClosing ? content.slice(0, -1) : content;
+        const nameMatch = body.match(/^[^\s/]+/);
+        if (!nameMatch) return;
+        const rawName = nameMatch[0];
+
+        const attributes = {};
+        const scope = Object.create(this.scopes[this.scopes.length - 1]);
+        const regex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = regex.exec(body.slice(rawName.length))) !== null) {
+            const value = XmlStream.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+            if (match[1] === 'xmlns') scope[''] = value;
+            else if (match[1].startsWith('xmlns:')) scope[match[1].slice(6)] = value;
+            else attributes[match[1]] = value;
+        }
+        this.scopes.push(scope);
+
+        const name = this.resolve(rawName);
+        this.handler.open(name, attributes);
+        if (selfClosing) {
+            this.scopes.pop();
+            this.handler.close(name);
+        }
+    }
+
+    resolve(rawName) {
+        const colon = rawName.indexOf(':');
+        const prefix = colon === -1 ? '' : rawName.slice(0, colon);
+        const local = rawName.slice(colon + 1);
+        const known = this.namespaces[this.scopes[this.scopes.length - 1][prefix]];
+
+        if (known !== undefined) return known ? `${known}:${local}` : local;
+        // Unknown or undeclared namespace: keep the prefix as written
+        return rawName;
+    }
+
+    /**
+     * Position of the '>' that ends the tag starting at `start`, skipping quoted attribute values.
+     */
+    static findTagEnd(buffer, start) {
+        let quote = null;
+        for (let i = start + 1; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    static decodeEntities(value) {
+        return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+            switch (code.toLowerCase()) {
+                case 'amp': return '&';
+                case 'lt': return '<';
+                case 'gt': return '>';
+                case 'quot': return '"';
+                case 'apos': return '\'';
+            }
+            const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (e) {
+                return entity;
+            }
+        });
+    }
+}
+
+// Browser
+if (typeof window !== 'undefined') {
+    window.XmlStream = XmlStream;
+}
+// Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XmlStream;
+}
@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const JS_DIR = path.join(__dirname, '..', 'site', 'js');
+
+/**
+ * Helper: Load the worker script into a fresh context that mimics a worker
+ * global scope, and return a function that sends it a message.
+ */
+function loadWorker() {
+    const messages = [];
+    const context = vm.createContext({
+        URL,
+        // Cloned like a real postMessage, which also brings the objects into this realm
+        postMessage: message => messages.push(structuredClone(message)),
+        importScripts: (...files) => {
+            for (const file of files) {
+                vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+            }
+        }
+    });
+    context.self = context;
+    vm.runInContext(fs.readFileSync(path.join(JS_DIR, 'analysis-worker.js'), 'utf8'), context);
+
+    return data => {
+        messages.length = 0;
+        context.onmessage({ data });
+        return messages;
+    };
+}
+
+describe('Analysis worker', () => {
+    const urls = [
+        'https://example.com/products/1',
+        'https://example.com/products/2',
+        'https://example.com/products/3'
+    ];
+
+    test('posts progress for every stage, then the result', () => {
+        const send = loadWorker();
+        const messages = send({ urls, options: { typedPlaceholders: true } });
+
+        const stages = [...new Set(messages.filter(m => m.type === 'progress').map(m => m.stage))];
+        assert.deepStrictEqual(stages, ['parsing', 'building', 'collapsing', 'sorting', 'variants', 'outliers']);
+
+        const result = messages[messages.length - 1];
+        assert.strictEqual(result.type, 'result');
+        assert.deepStrictEqual(result.patterns.map(p => p.pattern), ['https://example.com/products/{id:int}']);
+    });
+
+    test('reports invalid options as an error message', () => {
+        const send = loadWorker();
+        const messages = send({ urls, options: { bogus: true } });
+
+        assert.deepStrictEqual(messages, [{ type: 'error', message: 'Unknown UrlAnalyzer option: bogus' }]);
+    });
+});
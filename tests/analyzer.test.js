@@ -89,8 +89,8 @@ describe('UrlAnalyzer', () => {
                 'https://example.com/about'
             ]);
             const patterns = getPatterns(result);
-            // 'blog' and 'about' are at same position -> both masked to …
-            // Result: https://example.com/…/… (for blog/a, blog/b) and https://example.com/… (for about)
+            // 'blog' and 'about' are route names (2 values for 3 URLs), blog's children are masked
+            // Result: https://example.com/blog/… (for blog/a, blog/b) and https://example.com/about
             assert.ok(patterns.some(p => p.includes('…')));
         });
 
@@ -153,6 +153,49 @@ describe('UrlAnalyzer', () => {
         });
     });
 
+    describe('Public Suffix List domains', () => {
+        test('multi-part TLD is not treated as the domain', () => {
+            const result = analyzer.analyze([
+                'https://shop.example.co.uk/products/1',
+                'https://shop.example.co.uk/products/2'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://shop.example.co.uk/products/…']);
+        });
+
+        test('sites under the same multi-part TLD are not tenant-masked together', () => {
+            const result = analyzer.analyze([
+                'https://alpha.co.uk/page',
+                'https://beta.co.uk/page',
+                'https://gamma.com.au/page'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), [
+                'https://alpha.co.uk/page',
+                'https://beta.co.uk/page',
+                'https://gamma.com.au/page'
+            ]);
+        });
+
+        test('subdomains are masked below the registrable domain only', () => {
+            const result = analyzer.analyze([
+                'https://tenant1.example.co.uk/dashboard',
+                'https://tenant2.example.co.uk/dashboard',
+                'https://tenant3.example.co.uk/dashboard'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://….example.co.uk/dashboard']);
+        });
+
+        test('private suffixes like github.io keep each site separate', () => {
+            const result = analyzer.analyze([
+                'https://alice.github.io/',
+                'https://bob.github.io/'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), [
+                'https://alice.github.io/',
+                'https://bob.github.io/'
+            ]);
+        });
+    });
+
     describe('Scheme handling', () => {
         test('http and https create separate patterns', () => {
             const result = analyzer.analyze([
@@ -164,6 +207,772 @@ describe('UrlAnalyzer', () => {
         });
     });
 
+    describe('Query parameters', () => {
+        const urls = [
+            'https://example.com/search',
+            'https://example.com/search?q=shoes&page=1',
+            'https://example.com/search?q=boots&page=2',
+            'https://example.com/search?page=1&q=hats',
+            'https://example.com/search?q=socks&page=2&sort=price'
+        ];
+
+        test('query strings are ignored by default', () => {
+            const result = new UrlAnalyzer().analyze(urls);
+            assert.deepStrictEqual(getPatterns(result), ['https://example.com/search']);
+            assert.strictEqual(result[0].count, 5);
+        });
+
+        test('keep mode adds parameter keys in URL order', () => {
+            const keepAnalyzer = new UrlAnalyzer();
+            keepAnalyzer.queryMode = 'keep';
+            const result = keepAnalyzer.analyze(urls);
+            assert.deepStrictEqual(getPatterns(result), [
+                'https://example.com/search',
+                'https://example.com/search?page=…&q=…',
+                'https://example.com/search?q=…&page=…',
+                'https://example.com/search?q=…&page=…&sort=…'
+            ]);
+        });
+
+        test('sort mode merges different key orders', () => {
+            const sortAnalyzer = new UrlAnalyzer();
+            sortAnalyzer.queryMode = 'sort';
+            const result = sortAnalyzer.analyze(urls);
+            const merged = result.find(r => r.pattern === 'https://example.com/search?page=…&q=…');
+            assert.ok(merged, JSON.stringify(getPatterns(result)));
+            assert.strictEqual(merged.count, 3);
+        });
+
+        test('query patterns are nested under their path pattern', () => {
+            const keepAnalyzer = new UrlAnalyzer();
+            keepAnalyzer.queryMode = 'keep';
+            const result = keepAnalyzer.analyze(urls);
+            assert.strictEqual(result[0].pattern, 'https://example.com/search');
+            assert.ok(result.slice(1).every(r => r.depth === 1));
+        });
+
+        test('parameter keys are reported with frequency', () => {
+            const result = new UrlAnalyzer().analyze(urls);
+            const params = result[0].params;
+            assert.deepStrictEqual(params.map(p => p.key), ['page', 'q', 'sort']);
+            assert.strictEqual(params[0].count, 4);
+            assert.strictEqual(params[0].frequency, 4 / 5);
+            assert.strictEqual(params[2].count, 1);
+        });
+
+        test('parameter values are classified', () => {
+            const result = new UrlAnalyzer().analyze([
+                'https://example.com/list?sort=name&id=1&src=mail',
+                'https://example.com/list?sort=price&id=2&src=mail',
+                'https://example.com/list?sort=name&id=3&src=mail',
+                'https://example.com/list?sort=price&id=4&src=mail',
+                'https://example.com/list?sort=name&id=5&src=mail'
+            ]);
+            const byKey = Object.fromEntries(result[0].params.map(p => [p.key, p]));
+            assert.strictEqual(byKey.src.valueType, 'constant');
+            assert.strictEqual(byKey.sort.valueType, 'enumerable');
+            assert.strictEqual(byKey.id.valueType, 'id');
+            assert.deepStrictEqual(byKey.sort.topValues, [
+                { value: 'name', count: 3 },
+                { value: 'price', count: 2 }
+            ]);
+        });
+
+        test('URLs without query strings have no params', () => {
+            const result = analyzer.analyze(['https://example.com/page']);
+            assert.deepStrictEqual(result[0].params, []);
+        });
+    });
+
+    describe('Typed placeholders', () => {
+        const typedAnalyzer = new UrlAnalyzer();
+        typedAnalyzer.typedPlaceholders = true;
+
+        test('segment types are inferred from merged values', () => {
+            const cases = [
+                [['123', '456', '789'], '{id:int}'],
+                [['3f2504e0-4f89-11d3-9a0c-0305e82c3301', 'a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11'], '{uuid}'],
+                [['2024-01-31', '2024-02-01'], '{date:yyyy-mm-dd}'],
+                [['2024-01', '2024-02'], '{date:yyyy-mm}'],
+                [['deadbeef42', 'cafebabe17'], '{hex}'],
+                [['en-us', 'de_DE', 'fr'], '{locale}'],
+                [['zh-Hant-TW', 'es-419', 'pt'], '{locale}'],
+                [['xx', 'zz', 'ab'], '{slug}'],
+                [['hello-world', 'good-bye-world', 'post1'], '{slug}'],
+                [['a.html', 'b.html'], '…']
+            ];
+            for (const [values, token] of cases) {
+                const result = typedAnalyzer.analyze(values.map(v => `https://example.com/items/${v}`));
+                assert.deepStrictEqual(getPatterns(result), [`https://example.com/items/${token}`],
+                    'Values: ' + JSON.stringify(values));
+            }
+        });
+
+        test('typed subdomain placeholders', () => {
+            const result = typedAnalyzer.analyze([
+                'https://tenant1.app.com/dashboard',
+                'https://tenant2.app.com/dashboard'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://{slug}.app.com/dashboard']);
+        });
+
+        test('placeholder type and samples are exposed on patterns', () => {
+            const result = analyzer.analyze([
+                'https://example.com/products/123/reviews',
+                'https://example.com/products/456/reviews',
+                'https://example.com/products/789/reviews'
+            ]);
+            assert.strictEqual(result[0].pattern, 'https://example.com/products/…/reviews');
+            assert.deepStrictEqual(result[0].placeholders, [{
+                type: 'path',
+                index: 1,
+                valueType: 'int',
+                token: '…',
+                samples: ['123', '456', '789']
+            }]);
+        });
+
+        test('literal patterns have no placeholders', () => {
+            const result = analyzer.analyze(['https://example.com/about']);
+            assert.deepStrictEqual(result[0].placeholders, []);
+        });
+    });
+
+    describe('Options', () => {
+        test('unknown options are rejected', () => {
+            assert.throws(() => new UrlAnalyzer({ placehodler: '*' }), /Unknown UrlAnalyzer option: placehodler/);
+        });
+
+        test('custom placeholder', () => {
+            const result = new UrlAnalyzer({ placeholder: '*' }).analyze([
+                'https://example.com/products/1',
+                'https://example.com/products/2'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://example.com/products/*']);
+        });
+
+        test('query mode can be set in the constructor', () => {
+            const result = new UrlAnalyzer({ queryMode: 'keep' }).analyze(['https://example.com/search?q=a']);
+            assert.deepStrictEqual(getPatterns(result), ['https://example.com/search?q=…']);
+        });
+
+        test('minSiblings delays masking', () => {
+            const urls = [
+                'https://example.com/products/1',
+                'https://example.com/products/2'
+            ];
+            assert.deepStrictEqual(getPatterns(new UrlAnalyzer({ minSiblings: 3 }).analyze(urls)), [
+                'https://example.com/products/1',
+                'https://example.com/products/2'
+            ]);
+            assert.deepStrictEqual(getPatterns(new UrlAnalyzer({ minSiblings: 2 }).analyze(urls)), [
+                'https://example.com/products/…'
+            ]);
+        });
+
+        test('count masking: maxMaskedCount masks values that repeat', () => {
+            const urls = [
+                'https://example.com/products/a/x',
+                'https://example.com/products/a/y',
+                'https://example.com/products/b/z',
+                'https://example.com/products/b/w'
+            ];
+            const countMasking = new UrlAnalyzer({ masking: 'count' });
+            assert.ok(getPatterns(countMasking.analyze(urls)).some(p => p.includes('/products/a/')));
+            assert.deepStrictEqual(getPatterns(new UrlAnalyzer({ masking: 'count', maxMaskedCount: 2 }).analyze(urls)), [
+                'https://example.com/products/…/…'
+            ]);
+        });
+
+        test('case folding', () => {
+            const urls = ['https://example.com/About', 'https://example.com/about'];
+            assert.strictEqual(analyzer.analyze(urls).length, 1);
+            assert.deepStrictEqual(analyzer.analyze(urls)[0].pattern, 'https://example.com/…');
+            const folded = new UrlAnalyzer({ caseSensitive: false }).analyze(urls);
+            assert.deepStrictEqual(getPatterns(folded), ['https://example.com/about']);
+            assert.strictEqual(folded[0].count, 2);
+        });
+
+        test('trailing slash can be significant', () => {
+            const urls = ['https://example.com/blog', 'https://example.com/blog/'];
+            assert.deepStrictEqual(getPatterns(analyzer.analyze(urls)), ['https://example.com/blog']);
+            assert.deepStrictEqual(getPatterns(new UrlAnalyzer({ ignoreTrailingSlash: false }).analyze(urls)), [
+                'https://example.com/blog',
+                'https://example.com/blog/'
+            ]);
+        });
+
+        test('index pages are normalized to their directory', () => {
+            const result = new UrlAnalyzer({ stripIndexPages: true }).analyze([
+                'https://example.com/docs/index.html',
+                'https://example.com/docs/'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://example.com/docs']);
+            assert.strictEqual(result[0].count, 2);
+        });
+
+        test('keepLiteral segments are never masked', () => {
+            const result = new UrlAnalyzer({ keepLiteral: ['about', '/^contact/'] }).analyze([
+                'https://example.com/about',
+                'https://example.com/contact-us',
+                'https://example.com/123',
+                'https://example.com/456'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), [
+                'https://example.com/about',
+                'https://example.com/contact-us',
+                'https://example.com/…'
+            ]);
+        });
+
+        test('forceMask segments are always masked', () => {
+            const result = new UrlAnalyzer({ forceMask: [/^\d+$/] }).analyze([
+                'https://example.com/products/123/reviews',
+                'https://example.com/products/123/specs'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://example.com/products/…/…']);
+        });
+
+        test('custom meaningful subdomains', () => {
+            const urls = ['https://eu.example.com/', 'https://us.example.com/'];
+            assert.deepStrictEqual(getPatterns(analyzer.analyze(urls)), ['https://….example.com/']);
+            assert.deepStrictEqual(getPatterns(new UrlAnalyzer({ meaningfulSubdomains: ['eu'] }).analyze(urls)), [
+                'https://eu.example.com/',
+                'https://us.example.com/'
+            ]);
+        });
+    });
+
+    describe('Refinements', () => {
+        const urls = [
+            'https://example.com/products/1',
+            'https://example.com/products/2',
+            'https://example.com/products/3',
+            'https://example.com/products/sale',
+            'https://example.com/products/1/reviews',
+            'https://example.com/products/2/reviews',
+            'https://example.com/blog',
+            'https://example.com/news'
+        ];
+        const refine = (...refinements) => getPatterns(new UrlAnalyzer({ refinements }).analyze(urls));
+
+        test('split lists the values of a masked position', () => {
+            const patterns = refine({ action: 'split', at: 'https://example.com/products/' });
+            assert.ok(patterns.includes('https://example.com/products/3'), JSON.stringify(patterns));
+            assert.ok(patterns.includes('https://example.com/products/1/reviews'), JSON.stringify(patterns));
+            assert.ok(!patterns.some(p => p.includes('…/reviews')), JSON.stringify(patterns));
+        });
+
+        test('mask and literal apply to their position only', () => {
+            assert.ok(refine({ action: 'mask', at: 'https://example.com/products', values: ['sale'] })
+                .every(p => !p.endsWith('/sale')));
+            assert.ok(refine({ action: 'literal', at: 'https://example.com/products', values: ['3'] })
+                .includes('https://example.com/products/3'));
+            assert.ok(refine({ action: 'mask', at: 'https://example.com/shop', values: ['sale'] })
+                .includes('https://example.com/products/sale'));
+        });
+
+        test('merge masks literal siblings together', () => {
+            const patterns = refine({ action: 'merge', at: 'https://example.com', values: ['blog', 'news'] });
+            assert.ok(patterns.includes('https://example.com/…'), JSON.stringify(patterns));
+            assert.ok(patterns.includes('https://example.com/products/…'), JSON.stringify(patterns));
+        });
+
+        test('positions below a masked segment use *', () => {
+            const patterns = refine({ action: 'split', at: 'https://example.com/products/*' });
+            assert.ok(patterns.includes('https://example.com/products/…/reviews'), JSON.stringify(patterns));
+            assert.deepStrictEqual(
+                refine({ action: 'mask', at: 'https://example.com/products/*', values: ['reviews'] })
+                    .filter(p => p.includes('reviews')),
+                []
+            );
+        });
+
+        test('invalid rules are rejected', () => {
+            assert.throws(() => new UrlAnalyzer({ refinements: [{ action: 'hide', at: 'https://example.com' }] }),
+                /Invalid refinement/);
+            assert.throws(() => new UrlAnalyzer({ refinements: [{ action: 'mask', at: 'https://example.com' }] }),
+                /Invalid refinement/);
+        });
+
+        test('segmentPositions names the position of each path segment', () => {
+            const reviews = analyzer.analyze(urls).find(p => p.pattern.endsWith('/reviews'));
+            assert.deepStrictEqual(analyzer.segmentPositions(reviews).map(({ value, masked, at }) => [value, masked, at]), [
+                ['products', false, 'https://example.com'],
+                ['…', true, 'https://example.com/products'],
+                ['reviews', false, 'https://example.com/products/*']
+            ]);
+        });
+    });
+
+    describe('Declared routes', () => {
+        const urls = [
+            'https://example.com/en/products/1',
+            'https://example.com/de/products/2',
+            'https://example.com/en/products/sale',
+            'https://example.com/docs/guide/install',
+            'https://example.com/blog/a',
+            'https://example.com/blog/b',
+            'https://shop.example.com/blog/c'
+        ];
+
+        test('matching URLs skip discovery and keep the route as their pattern', () => {
+            const analyzer = new UrlAnalyzer({ routes: ['/{lang}/products/{id:int}', '/docs/**'] });
+            const result = analyzer.analyze(urls);
+            assert.deepStrictEqual(result.slice(0, 2).map(p => [p.pattern, p.count, p.source]), [
+                ['https://example.com/{lang}/products/{id:int}', 2, 'declared'],
+                ['https://example.com/docs/**', 1, 'declared']
+            ]);
+            assert.strictEqual(result[0].route, '/{lang}/products/{id:int}');
+            assert.ok(result.slice(2).every(p => p.source === 'discovered'));
+            assert.ok(getPatterns(result).includes('https://example.com/en/products/sale'));
+        });
+
+        test('parameters and globs are described as placeholders', () => {
+            const [products, docs] = new UrlAnalyzer({ routes: ['/:lang/products/*', '/docs/**'] }).analyze(urls);
+            assert.deepStrictEqual(products.placeholders.map(p => [p.index, p.token, p.samples]), [
+                [0, ':lang', ['en', 'de']],
+                [2, '*', ['1', '2', 'sale']]
+            ]);
+            assert.strictEqual(products.placeholders[0].valueType, 'locale');
+            assert.deepStrictEqual(docs.placeholders[0].samples, ['guide/install']);
+        });
+
+        test('parameters after ** have no fixed URL position', () => {
+            const [docs] = new UrlAnalyzer({ routes: ['/{lang:locale}/docs/**/{lang2:locale}'], detectLocales: true }).analyze([
+                'https://example.com/en/docs/a/b/de',
+                'https://example.com/en/docs/x/y/z/fr'
+            ]);
+            assert.deepStrictEqual(docs.placeholders.map(p => [p.token, p.index]), [
+                ['{lang:locale}', 0], ['**', 2], ['{lang2:locale}', null]
+            ]);
+            assert.deepStrictEqual(docs.locales.values, [{ value: 'en', count: 2 }]);
+        });
+
+        test('routes with a host only match that host, the first matching route wins', () => {
+            const result = new UrlAnalyzer({
+                routes: ['https://shop.example.com/blog/*', '/blog/{slug}', '/blog/*']
+            }).analyze(urls);
+            const declared = result.filter(p => p.source === 'declared');
+            assert.deepStrictEqual(declared.map(p => [p.pattern, p.count]), [
+                ['https://shop.example.com/blog/*', 1],
+                ['https://example.com/blog/{slug}', 2]
+            ]);
+        });
+
+        test('coverage is the share of URLs matched by declared routes', () => {
+            const analyzer = new UrlAnalyzer({ routes: ['/blog/*'] });
+            assert.deepStrictEqual(analyzer.coverage(analyzer.analyze(urls)), { urls: 7, declared: 3, ratio: 3 / 7 });
+            assert.deepStrictEqual(analyzer.coverage([]), { urls: 0, declared: 0, ratio: 0 });
+        });
+
+        test('invalid routes are rejected', () => {
+            assert.throws(() => new UrlAnalyzer({ routes: ['products/*'] }), /Invalid route/);
+            assert.throws(() => new UrlAnalyzer({ routes: ['/search?q=*'] }), /Invalid route/);
+            assert.throws(() => new UrlAnalyzer({ routes: ['/{id:number}'] }), /Unknown route parameter type: number/);
+        });
+    });
+
+    describe('Locales', () => {
+        const urls = [];
+        for (const locale of ['en', 'de-DE', 'fr_FR']) {
+            for (const page of ['about', 'contact', 'products/1', 'products/2']) {
+                urls.push(`https://example.com/${locale}/${page}`);
+            }
+        }
+        urls.splice(urls.indexOf('https://example.com/fr_FR/contact'), 1);
+        urls.push('https://example.com/blog');
+        const analyzer = new UrlAnalyzer({ detectLocales: true });
+
+        test('recognizes BCP-47 locale codes', () => {
+            for (const code of ['en', 'en-us', 'de_DE', 'zh-Hant-TW', 'es-419']) {
+                assert.ok(UrlAnalyzer.isLocaleCode(code), code);
+            }
+            for (const code of ['xx', 'blog', 'en-', 'e1', 'en-usa']) {
+                assert.ok(!UrlAnalyzer.isLocaleCode(code), code);
+            }
+        });
+
+        test('folds language variants into {locale} with per-locale counts', () => {
+            const result = analyzer.analyze(urls);
+            const products = result.find(p => p.pattern === 'https://example.com/{locale}/products/…');
+            assert.ok(products, JSON.stringify(getPatterns(result)));
+            assert.deepStrictEqual(products.locales.values, [
+                { value: 'de-de', count: 2 },
+                { value: 'en', count: 2 },
+                { value: 'fr-fr', count: 2 }
+            ]);
+            assert.strictEqual(result.find(p => p.pattern === 'https://example.com/blog').locales, null);
+        });
+
+        test('reports the locales a pattern is missing', () => {
+            const result = analyzer.analyze(urls);
+            const contact = result.find(p => p.pattern === 'https://example.com/{locale}/contact');
+            assert.deepStrictEqual(contact.locales.missing, ['fr-fr']);
+            assert.deepStrictEqual(result.find(p => p.pattern === 'https://example.com/{locale}/about').locales.missing, []);
+        });
+
+        test('folds locale subdomains next to meaningful ones', () => {
+            const result = analyzer.analyze([
+                'https://en.example.org/x',
+                'https://de.example.org/x',
+                'https://fr.example.org/x',
+                'https://www.example.org/x'
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://www.example.org/x', 'https://{locale}.example.org/x']);
+            assert.deepStrictEqual(result.find(p => p.locales).locales.values.map(v => v.value), ['de', 'en', 'fr']);
+        });
+
+        test('two-letter words need evidence before they fold', () => {
+            const words = ['https://ex.com/my/account', 'https://ex.com/no/results', 'https://ex.com/it/jobs'];
+            assert.ok(!getPatterns(analyzer.analyze(words)).some(p => p.includes('{locale}')));
+
+            const pair = ['https://ex.com/en/about', 'https://ex.com/de/about'];
+            assert.deepStrictEqual(getPatterns(analyzer.analyze(pair)), ['https://ex.com/…/about']);
+        });
+
+        test('hreflang alternates in the sitemap confirm locale segments', () => {
+            const alternates = [
+                { hreflang: 'en', href: 'https://ex.com/en/about' },
+                { hreflang: 'de', href: 'https://ex.com/de/about' }
+            ];
+            const result = analyzer.analyze([
+                { loc: 'https://ex.com/en/about', alternates },
+                { loc: 'https://ex.com/de/about', alternates }
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://ex.com/{locale}/about']);
+        });
+
+        test('is off by default', () => {
+            const result = new UrlAnalyzer().analyze(urls);
+            assert.ok(result.every(p => p.locales === null));
+            assert.ok(!result.some(p => p.pattern.includes('{locale}')));
+        });
+    });
+
+    describe('Variants', () => {
+        // Mixed-case paths are variants only when paths are case-insensitive
+        const analyzer = new UrlAnalyzer({ caseSensitive: false });
+        const urls = [
+            'https://example.com/blog',
+            'https://example.com/blog/page/2',
+            'https://example.com/blog/page/3',
+            'https://example.com/category?p=3',
+            'https://example.com/category',
+            'https://example.com/about',
+            'https://example.com/about/',
+            'https://example.com/docs/index.html',
+            'https://example.com/docs/',
+            'https://example.com/Contact',
+            'https://example.com/contact',
+            'http://example.com/pricing',
+            'https://example.com/pricing',
+            'https://example.com/category?p=4&sort=new'
+        ];
+
+        test('finds families of variants with the URL to keep', () => {
+            const { families, duplicates } = analyzer.findVariants(urls);
+            assert.deepStrictEqual(families.map(f => [f.canonical, f.kinds]), [
+                ['https://example.com/blog', ['pagination']],
+                ['https://example.com/category', ['pagination']],
+                ['https://example.com/about', ['trailing-slash']],
+                ['https://example.com/docs/', ['index']],
+                ['https://example.com/contact', ['case']],
+                ['https://example.com/pricing', ['protocol']]
+            ]);
+            assert.strictEqual(duplicates, 7);
+            assert.deepStrictEqual(families[0].examples, { pagination: 'https://example.com/blog/page/2' });
+        });
+
+        test('counts families and URLs per kind', () => {
+            const { kinds } = analyzer.findVariants(urls.map(loc => ({ loc })));
+            assert.deepStrictEqual(kinds.pagination, { families: 2, urls: 3 });
+            assert.deepStrictEqual(kinds.protocol, { families: 1, urls: 1 });
+        });
+
+        test('pages paginate only when their first page is in the list', () => {
+            const { families } = analyzer.findVariants([
+                'https://example.com/news/page/2',
+                'https://example.com/news/page/3',
+                'https://example.com/list?start=10',
+                'https://example.com/list?offset=20'
+            ]);
+            assert.deepStrictEqual(families, []);
+        });
+
+        test('/p/<id> product pages are no pagination', () => {
+            const products = ['https://example.com/p/1001', 'https://example.com/p/1002', 'https://example.com/p/1003'];
+            assert.deepStrictEqual(analyzer.findVariants([...products, 'https://example.com/p']).families, []);
+            const kept = new UrlAnalyzer({ collapseVariants: true }).analyze(products).flatMap(p => p.urls);
+            assert.deepStrictEqual(kept, products);
+        });
+
+        test('query values keep their case, paths only fold without caseSensitive', () => {
+            const ids = ['https://example.com/item?id=AbC', 'https://example.com/item?id=abc'];
+            assert.deepStrictEqual(analyzer.findVariants(ids).families, []);
+
+            const paths = ['https://example.com/Contact', 'https://example.com/contact'];
+            assert.deepStrictEqual(new UrlAnalyzer().findVariants(paths).families, []);
+            assert.deepStrictEqual(analyzer.findVariants(paths).kinds.case, { families: 1, urls: 1 });
+        });
+
+        test('collapseVariants keeps one URL of each family', () => {
+            const collapsed = new UrlAnalyzer({ collapseVariants: true, caseSensitive: false }).analyze(urls);
+            const kept = collapsed.flatMap(p => p.urls).sort();
+            assert.deepStrictEqual(kept, [
+                'https://example.com/about',
+                'https://example.com/blog',
+                'https://example.com/category',
+                'https://example.com/category?p=4&sort=new',
+                'https://example.com/contact',
+                'https://example.com/docs/',
+                'https://example.com/pricing'
+            ]);
+            assert.strictEqual(analyzer.analyze(urls).reduce((sum, p) => sum + p.count, 0), urls.length);
+        });
+    });
+
+    describe('Outliers', () => {
+        const analyzer = new UrlAnalyzer({ typedPlaceholders: true });
+        const products = Array.from({ length: 12 }, (_, i) => `https://example.com/products/${i + 1}`);
+        const reasonsOf = (outliers, url) => outliers.urls.find(o => o.url === url).reasons.map(r => r.code);
+
+        test('a singleton pattern next to a large masked sibling', () => {
+            const patterns = analyzer.analyze([...products, 'https://example.com/products/spring-sale']);
+            const { urls } = analyzer.findOutliers(patterns);
+            assert.deepStrictEqual(urls.map(o => [o.url, o.score]), [['https://example.com/products/spring-sale', 0.4]]);
+            assert.match(urls[0].reasons[0].message, /next to 12 URLs of https:\/\/example\.com\/products\/\{id:int\}/);
+        });
+
+        test('unusual depth, characters, encoding, long segments, test pages and case', () => {
+            const odd = [
+                'https://example.com/products/1/a/b',
+                'https://example.com/products/5%20off!',
+                'https://example.com/products/x%252F',
+                `https://example.com/products/${'a'.repeat(120)}`,
+                'https://example.com/products/test-2',
+                'https://example.com/products/Special'
+            ];
+            const outliers = analyzer.findOutliers(analyzer.analyze([...products, ...odd]));
+            assert.deepStrictEqual(odd.map(url => reasonsOf(outliers, url)), [
+                ['depth'],
+                ['characters'],
+                ['characters', 'encoded'],
+                ['long-segment'],
+                ['test-name'],
+                ['case']
+            ]);
+            assert.strictEqual(outliers.urls.length, odd.length);
+        });
+
+        test('scores add up, worst first, and are summarized per pattern', () => {
+            const outliers = analyzer.findOutliers(analyzer.analyze([
+                ...products,
+                'https://example.com/tmp',
+                'https://example.com/products/Sale%2520Page'
+            ]));
+            assert.deepStrictEqual(outliers.urls.map(o => [o.url, o.score]), [
+                ['https://example.com/products/Sale%2520Page', 1],
+                ['https://example.com/tmp', 0.3]
+            ]);
+            assert.deepStrictEqual(reasonsOf(outliers, 'https://example.com/products/Sale%2520Page'),
+                ['singleton', 'characters', 'encoded', 'case']);
+            assert.deepStrictEqual(outliers.patterns, [
+                { pattern: 'https://example.com/products/Sale%2520Page', score: 1, urls: 1 },
+                { pattern: 'https://example.com/tmp', score: 0.3, urls: 1 }
+            ]);
+        });
+
+        test('small and regular sites have no outliers', () => {
+            assert.deepStrictEqual(analyzer.findOutliers(analyzer.analyze(products)), { urls: [], patterns: [] });
+            const small = analyzer.analyze(['https://example.com/a/b/c/d', 'https://example.com/A', 'https://example.com/b']);
+            assert.deepStrictEqual(analyzer.findOutliers(small).urls, []);
+        });
+    });
+
+    describe('Sitemap metadata', () => {
+        test('accepts sitemap entries alongside plain URLs', () => {
+            const result = analyzer.analyze([
+                { loc: 'https://example.com/products/1', lastmod: '2024-01-01' },
+                'https://example.com/products/2',
+                { loc: 'https://example.com/products/1', lastmod: '2030-01-01' }
+            ]);
+            assert.deepStrictEqual(getPatterns(result), ['https://example.com/products/…']);
+            assert.strictEqual(result[0].count, 2);
+            // The first entry for a URL wins
+            assert.strictEqual(result[0].freshness.max, '2024-01-01');
+        });
+
+        test('summarizes metadata per pattern', () => {
+            const result = analyzer.analyze([
+                {
+                    loc: 'https://example.com/products/1',
+                    lastmod: '2024-03-01T12:00:00+02:00',
+                    changefreq: 'weekly',
+                    priority: 0.8,
+                    alternates: [{ hreflang: 'en', href: 'https://example.com/products/1' },
+                        { hreflang: 'de', href: 'https://example.com/de/products/1' }],
+                    images: [{ loc: 'https://example.com/1.jpg' }, { loc: 'https://example.com/1b.jpg' }]
+                },
+                {
+                    loc: 'https://example.com/products/2',
+                    lastmod: '2023-12-24',
+                    changefreq: 'weekly',
+                    priority: 0.4,
+                    alternates: [{ hreflang: 'en', href: 'https://example.com/products/2' }],
+                    videos: [{ title: 'Demo' }]
+                },
+                { loc: 'https://example.com/products/3', changefreq: 'daily', news: { title: 'New' } }
+            ]);
+
+            assert.deepStrictEqual(result[0].metadata, {
+                changefreq: [{ value: 'weekly', count: 2 }, { value: 'daily', count: 1 }],
+                priority: { count: 2, min: 0.4, max: 0.8, mean: (0.8 + 0.4) / 2 },
+                hreflang: [{ value: 'en', count: 2 }, { value: 'de', count: 1 }],
+                images: 2,
+                videos: 1,
+                news: 1
+            });
+        });
+
+        test('freshness reports min, max, median and a monthly histogram', () => {
+            const result = analyzer.analyze([
+                { loc: 'https://example.com/blog/a', lastmod: '2023-11-30T23:30:00-02:00' },
+                { loc: 'https://example.com/blog/b', lastmod: '2024-01-10' },
+                { loc: 'https://example.com/blog/c', lastmod: '2024-01-20' },
+                { loc: 'https://example.com/blog/d', lastmod: '2024-03-05' },
+                'https://example.com/blog/e'
+            ]);
+
+            assert.deepStrictEqual(result[0].freshness, {
+                count: 4,
+                // 23:30 at UTC-2 is already December in UTC
+                min: '2023-12-01',
+                max: '2024-03-05',
+                median: '2024-01-15',
+                histogram: [
+                    { month: '2023-12', count: 1 },
+                    { month: '2024-01', count: 2 },
+                    { month: '2024-02', count: 0 },
+                    { month: '2024-03', count: 1 }
+                ],
+                older: 0
+            });
+        });
+
+        test('freshness histograms cover at most FRESHNESS_MONTHS', () => {
+            const result = analyzer.analyze([
+                { loc: 'https://example.com/blog/a', lastmod: '0001-01-01' },
+                { loc: 'https://example.com/blog/b', lastmod: '2024-01-10' },
+                { loc: 'https://example.com/blog/c', lastmod: '2024-03-05' }
+            ]);
+
+            const { min, histogram, older } = result[0].freshness;
+            assert.strictEqual(min, '0001-01-01');
+            assert.strictEqual(histogram.length, UrlAnalyzer.FRESHNESS_MONTHS);
+            assert.strictEqual(histogram[0].month, '2014-04');
+            assert.strictEqual(histogram[histogram.length - 1].month, '2024-03');
+            assert.strictEqual(older, 1);
+        });
+
+        test('freshness is null without a valid lastmod', () => {
+            const result = analyzer.analyze([
+                'https://example.com/products/1',
+                { loc: 'https://example.com/products/2', lastmod: 'yesterday' }
+            ]);
+            assert.strictEqual(result[0].freshness, null);
+        });
+
+        test('metadata is null without sitemap metadata', () => {
+            const result = analyzer.analyze([
+                'https://example.com/products/1',
+                { loc: 'https://example.com/products/2', lastmod: 'not a date' }
+            ]);
+            assert.strictEqual(result[0].metadata, null);
+        });
+    });
+
+    describe('Metrics', () => {
+        test('aggregates numbers with sum, mean, median, min and max', () => {
+            const result = analyzer.analyze([
+                { loc: 'https://example.com/blog/a', metrics: { clicks: 10, position: 2.5 } },
+                { loc: 'https://example.com/blog/b', metrics: { clicks: 0, position: 8 } },
+                { loc: 'https://example.com/blog/c', metrics: { clicks: 50 } },
+                { loc: 'https://example.com/blog/d', metrics: { clicks: 4, position: null } },
+                'https://example.com/blog/e'
+            ]);
+
+            assert.deepStrictEqual(result[0].metrics, {
+                clicks: { type: 'number', count: 4, sum: 64, mean: 16, median: 7, min: 0, max: 50 },
+                position: { type: 'number', count: 2, sum: 10.5, mean: 5.25, median: 5.25, min: 2.5, max: 8 }
+            });
+        });
+
+        test('counts the values of categories such as status codes', () => {
+            const result = analyzer.analyze([
+                { loc: 'https://example.com/p/1', metrics: { status: '200' } },
+                { loc: 'https://example.com/p/2', metrics: { status: '404' } },
+                { loc: 'https://example.com/p/3', metrics: { status: '200' } },
+                { loc: 'https://example.com/p/4', metrics: { status: 301 } }
+            ]);
+
+            assert.deepStrictEqual(result[0].metrics.status, {
+                type: 'category',
+                count: 4,
+                values: [{ value: '200', count: 2 }, { value: '301', count: 1 }, { value: '404', count: 1 }]
+            });
+        });
+
+        test('aggregates per pattern', () => {
+            const result = analyzer.analyze([
+                { loc: 'https://example.com/products/1', metrics: { clicks: 5 } },
+                { loc: 'https://example.com/products/2', metrics: { clicks: 7 } },
+                { loc: 'https://example.com/about', metrics: { clicks: 100 } }
+            ]);
+            const sums = Object.fromEntries(result.map(r => [r.pattern, r.metrics.clicks.sum]));
+            assert.deepStrictEqual(sums, { 'https://example.com/products/…': 12, 'https://example.com/about': 100 });
+        });
+
+        test('metrics are null without metrics', () => {
+            const result = analyzer.analyze(['https://example.com/a', { loc: 'https://example.com/b', metrics: {} }]);
+            assert.ok(result.every(r => r.metrics === null));
+        });
+    });
+
+    describe('Progress', () => {
+        test('onProgress is called for every stage in order', () => {
+            const stages = [];
+            const onProgress = progress => stages.push(progress);
+            const urls = ['https://example.com/products/1', 'https://example.com/products/2'];
+            const patterns = analyzer.analyze(urls, { onProgress });
+            assert.deepStrictEqual(stages[stages.length - 1], { stage: 'sorting', done: 1, total: 1 });
+
+            analyzer.findVariants(urls, { onProgress });
+            analyzer.findOutliers(patterns, { onProgress });
+
+            assert.deepStrictEqual([...new Set(stages.map(s => s.stage))], UrlAnalyzer.STAGES);
+            assert.deepStrictEqual(stages.find(s => s.stage === 'parsing' && s.done === s.total),
+                { stage: 'parsing', done: 2, total: 2 });
+            assert.deepStrictEqual(stages.slice(-2), [
+                { stage: 'outliers', done: 0, total: 2 },
+                { stage: 'outliers', done: 2, total: 2 }
+            ]);
+        });
+
+        test('per-URL stages report every PROGRESS_INTERVAL URLs', () => {
+            const urls = Array.from({ length: UrlAnalyzer.PROGRESS_INTERVAL + 1 },
+                (_, i) => `https://example.com/items/${i}`);
+            const parsing = [];
+            analyzer.analyze(urls, {
+                onProgress: progress => {
+                    if (progress.stage === 'parsing') parsing.push(progress.done);
+                }
+            });
+
+            assert.deepStrictEqual(parsing, [0, UrlAnalyzer.PROGRESS_INTERVAL, urls.length]);
+        });
+    });
+
     describe('Result structure', () => {
         test('result contains pattern, count, and urls', () => {
             const result = analyzer.analyze([
@@ -200,6 +1009,30 @@ describe('UrlAnalyzer', () => {
             assert.strictEqual(patterns[3], 'https://example.com/a/…');
             assert.strictEqual(patterns[4], 'https://example.com/c');
         });
+
+        test('depth counts ancestors across path and query children', () => {
+            const result = analyzer.analyze([
+                'https://example.com/docs',
+                'https://example.com/docs/api',
+                'https://example.com/docs/api/v1',
+                'https://example.com/docs/api/v2',
+                'https://example.com/docs?page=2'
+            ]);
+            const depths = Object.fromEntries(result.map(r => [r.pattern, r.depth]));
+            assert.deepStrictEqual(depths, {
+                'https://example.com/docs': 0,
+                'https://example.com/docs/api': 1,
+                'https://example.com/docs/api/…': 2
+            });
+        });
+
+        test('findParentPattern returns the longest parent in the set', () => {
+            const set = new Set(['https://example.com/a', 'https://example.com/a/b', 'https://example.com/ab']);
+            assert.strictEqual(analyzer.findParentPattern('https://example.com/a/b/c', set), 'https://example.com/a/b');
+            assert.strictEqual(analyzer.findParentPattern('https://example.com/a?x=…', set), 'https://example.com/a');
+            assert.strictEqual(analyzer.findParentPattern('https://example.com/abc', set), null);
+            assert.strictEqual(analyzer.findParentPattern('https://example.com/a', set), null);
+        });
     });
 
     describe('Mixed structures at same level', () => {
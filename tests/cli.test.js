@@ -0,0 +1,285 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'url-patterns.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Helper: Run the CLI with arguments and optional stdin
+ */
+function run(args, input = '') {
+    const result = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe('url-patterns CLI', () => {
+    const urls = [
+        'https://example.com/products/1',
+        'https://example.com/products/2',
+        'https://example.com/products/3',
+        'https://example.com/about'
+    ].join('\n');
+
+    describe('Input', () => {
+        test('reads plain URL lists from stdin', () => {
+            const { code, stdout } = run(['-f', 'json'], urls);
+            assert.strictEqual(code, 0);
+            const patterns = JSON.parse(stdout);
+            assert.deepStrictEqual(patterns.map(p => p.pattern), [
+                'https://example.com/products/…',
+                'https://example.com/about'
+            ]);
+        });
+
+        test('reads sitemap XML with CDATA and entities', () => {
+            const { stdout } = run(['-f', 'json', '--query-mode', 'keep',
+                path.join(FIXTURES, 'sitemap.xml')]);
+            const patterns = JSON.parse(stdout);
+            const search = patterns.find(p => p.pattern === 'https://example.com/search?q=…&page=…');
+            assert.ok(search, stdout);
+            assert.strictEqual(search.count, 2);
+        });
+
+        test('reads the URL column from CSV exports', () => {
+            const { stdout } = run(['-f', 'json', '--include-urls', path.join(FIXTURES, 'urls.csv')]);
+            const patterns = JSON.parse(stdout);
+            assert.deepStrictEqual(patterns[0].urls, [
+                'https://example.com/products/1',
+                'https://example.com/products/2',
+                'https://example.com/products/3'
+            ]);
+        });
+
+        test('CSV column can be chosen by name or number', () => {
+            const csv = 'a,b\nhttps://x.com/1,https://y.com/1\nhttps://x.com/2,https://y.com/2\n';
+            const byName = JSON.parse(run(['-f', 'json', '--input-format', 'csv', '--column', 'b'], csv).stdout);
+            const byNumber = JSON.parse(run(['-f', 'json', '--input-format', 'csv', '--column', '2'], csv).stdout);
+            assert.deepStrictEqual(byName.map(p => p.pattern), ['https://y.com/…']);
+            assert.deepStrictEqual(byNumber.map(p => p.pattern), ['https://y.com/…']);
+        });
+
+        test('reads access logs on the site given by --base-url', () => {
+            const log = path.join(FIXTURES, 'import', 'access.log');
+            const { code, stdout } = run(['-f', 'json', '--base-url', 'https://example.com', log]);
+            assert.strictEqual(code, 0);
+            assert.strictEqual(JSON.parse(stdout).find(p => p.pattern === 'https://example.com/products/…').count, 2);
+
+            const missing = run([log]);
+            assert.strictEqual(missing.code, 1);
+            assert.match(missing.stderr, /base URL/);
+        });
+    });
+
+    describe('Output', () => {
+        test('table', () => {
+            const { stdout } = run([], urls);
+            assert.strictEqual(stdout, [
+                'COUNT  PATTERN',
+                '    3  https://example.com/products/…',
+                '    1  https://example.com/about',
+                ''
+            ].join('\n'));
+        });
+
+        test('csv with member URLs', () => {
+            const { stdout } = run(['-f', 'csv', '--include-urls'], urls);
+            const lines = stdout.trim().split('\n');
+            assert.strictEqual(lines[0], 'pattern,count,depth,url');
+            assert.strictEqual(lines.length, 5);
+            assert.strictEqual(lines[1], 'https://example.com/products/…,3,0,https://example.com/products/1');
+        });
+
+        test('markdown', () => {
+            const { stdout } = run(['-f', 'markdown'], urls);
+            assert.ok(stdout.includes('| `https://example.com/products/…` | 3 |'), stdout);
+        });
+
+        test('mapping of every URL to its pattern', () => {
+            const { stdout } = run(['-f', 'mapping'], urls);
+            assert.strictEqual(stdout.split('\n')[0], 'url,pattern');
+            assert.ok(stdout.includes('https://example.com/products/2,https://example.com/products/…\n'), stdout);
+
+            const diff = run(['--diff', '-f', 'mapping', '-', '-'], urls);
+            assert.strictEqual(diff.code, 1);
+        });
+
+        test('robots.txt status of every pattern for a user agent', () => {
+            const robots = path.join(FIXTURES, 'robots.txt');
+            assert.strictEqual(run(['--robots', robots], urls).stdout, [
+                'COUNT  PATTERN',
+                '    3  https://example.com/products/…  [robots.txt: 1 of 3 blocked]',
+                '    1  https://example.com/about  [robots.txt: allowed]',
+                ''
+            ].join('\n'));
+
+            const { stdout } = run(['--robots', robots, '--user-agent', 'Googlebot', '-f', 'json'], urls);
+            assert.deepStrictEqual(JSON.parse(stdout).map(p => [p.robots.userAgent, p.robots.blocked]), [
+                ['Googlebot', 0],
+                ['Googlebot', 1]
+            ]);
+
+            const missing = run(['--robots', path.join(FIXTURES, 'missing-robots.txt')], urls);
+            assert.strictEqual(missing.code, 1);
+            assert.ok(missing.stderr.startsWith('url-patterns: ENOENT'), missing.stderr);
+        });
+
+        test('typed placeholders flag', () => {
+            const { stdout } = run(['--typed'], urls);
+            assert.ok(stdout.includes('https://example.com/products/{id:int}'), stdout);
+        });
+    });
+
+    describe('Analyzer options', () => {
+        test('flags are passed to the analyzer', () => {
+            const { stdout } = run(['--placeholder', '*', '--keep-literal', 'about,/^x/'], [
+                'https://example.com/about',
+                'https://example.com/1',
+                'https://example.com/2'
+            ].join('\n'));
+            assert.ok(stdout.includes('https://example.com/*'), stdout);
+            assert.ok(stdout.includes('https://example.com/about'), stdout);
+        });
+
+        test('options can come from a JSON config file', () => {
+            const { stdout } = run(['--config', path.join(FIXTURES, 'analyzer-config.json')], urls);
+            assert.ok(stdout.includes('https://example.com/products/1'), stdout);
+        });
+
+        test('flags override the config file', () => {
+            const { stdout } = run(['--config', path.join(FIXTURES, 'analyzer-config.json'),
+                '--min-siblings', '2'], urls);
+            assert.ok(stdout.includes('https://example.com/products/#'), stdout);
+        });
+
+        test('profiles saved on the page apply their refinements', () => {
+            const { stdout } = run(['--config', path.join(FIXTURES, 'profile.json')], urls);
+            assert.ok(stdout.includes('https://example.com/products/2'), stdout);
+            assert.ok(!stdout.includes('https://example.com/products/…'), stdout);
+        });
+
+        test('declared routes are marked in the table, with their coverage', () => {
+            const { stdout } = run(['--routes', '/products/{id:int}'], urls);
+            assert.strictEqual(stdout, [
+                'COUNT  PATTERN',
+                '    3  https://example.com/products/{id:int}  (declared)',
+                '    1  https://example.com/about',
+                '',
+                'Declared routes cover 3 of 4 URLs (75%)',
+                ''
+            ].join('\n'));
+        });
+
+        test('--locales folds language variants', () => {
+            const { stdout } = run(['--locales', '-f', 'json'], [
+                'https://example.com/en-gb/about',
+                'https://example.com/de-de/about',
+                'https://example.com/de-de/contact'
+            ].join('\n'));
+            const patterns = JSON.parse(stdout);
+            assert.deepStrictEqual(patterns.map(p => [p.pattern, p.locales.missing]), [
+                ['https://example.com/{locale}/about', []],
+                ['https://example.com/{locale}/contact', ['en-gb']]
+            ]);
+        });
+
+        test('--collapse-variants counts duplicate variants once and the table lists them', () => {
+            const variants = [
+                'https://example.com/blog',
+                'https://example.com/blog/page/2',
+                'http://example.com/blog'
+            ].join('\n');
+            assert.ok(!run([], variants).stdout.includes('Duplicates and pagination'));
+
+            const { stdout } = run(['--collapse-variants'], variants);
+            assert.ok(stdout.startsWith('COUNT  PATTERN\n    1  https://example.com/blog\n'), stdout);
+            assert.ok(stdout.includes('Duplicates and pagination: 2 variant URLs\n'), stdout);
+            assert.ok(stdout.includes('  protocol        1 families, 2 URLs, e.g. http://example.com/blog -> https://example.com/blog\n'), stdout);
+        });
+
+        test('--outliers lists the URLs that stand out, with their reasons', () => {
+            const { stdout } = run(['--outliers'], urls + '\nhttps://example.com/products/old-copy');
+            assert.strictEqual(stdout, [
+                'SCORE  URL',
+                '   30  https://example.com/products/old-copy',
+                '       - "old-copy" looks like a test, backup or draft page',
+                '',
+                '1 outlier URLs in 1 patterns',
+                ''
+            ].join('\n'));
+
+            const csv = run(['--outliers', '-f', 'csv'], urls + '\nhttps://example.com/products/old-copy');
+            assert.strictEqual(csv.stdout.split('\n')[1], 'https://example.com/products/old-copy,https://example.com/products/old-copy,0.3,test-name');
+            assert.strictEqual(run(['--outliers', '-f', 'markdown'], urls).code, 1);
+        });
+
+        test('invalid config files are reported', () => {
+            const { code, stderr } = run(['--config', path.join(FIXTURES, 'urls.csv')], urls);
+            assert.strictEqual(code, 1);
+            assert.ok(stderr.includes('Cannot read config'), stderr);
+        });
+    });
+
+    describe('Diff', () => {
+        const before = path.join(FIXTURES, 'diff-before.txt');
+        const after = path.join(FIXTURES, 'diff-after.txt');
+
+        test('--diff compares the patterns of two inputs', () => {
+            const { code, stdout } = run(['--diff', before, after]);
+            assert.strictEqual(code, 0);
+            assert.match(stdout, /added +0 +2 +\+2 +https:\/\/example\.com\/shop\/…\/…/);
+            assert.match(stdout, /shrunk +3 +2 +-1 +https:\/\/example\.com\/products\/…/);
+        });
+
+        test('--diff output as JSON', () => {
+            const { stdout } = run(['--diff', '-f', 'json', before, after]);
+            const diff = JSON.parse(stdout);
+            assert.deepStrictEqual(diff.grown.map(e => e.pattern), ['https://example.com/blog/…']);
+            assert.deepStrictEqual(diff.totals.after, { patterns: 4, urls: 8 });
+        });
+
+        test('--diff reads the before list from stdin', () => {
+            const { stdout } = run(['--diff', '-f', 'csv', '-', after], urls);
+            assert.ok(stdout.startsWith('status,pattern,before,after,change\n'), stdout);
+            assert.ok(stdout.includes('shrunk,https://example.com/products/…,3,2,-1\n'), stdout);
+            assert.ok(stdout.includes('unchanged,https://example.com/about,1,1,0\n'), stdout);
+        });
+
+        test('--diff needs exactly two inputs', () => {
+            const { code, stderr } = run(['--diff', before]);
+            assert.strictEqual(code, 1);
+            assert.ok(stderr.includes('--diff expects exactly two inputs'), stderr);
+        });
+    });
+
+    describe('Exit codes', () => {
+        test('unknown options exit with 1', () => {
+            const { code, stderr } = run(['--bogus'], urls);
+            assert.strictEqual(code, 1);
+            assert.ok(stderr.includes('Unknown option: --bogus'));
+        });
+
+        test('an --output file that cannot be written exits with 1', () => {
+            const output = path.join(FIXTURES, 'missing-dir', 'out.txt');
+            const { code, stdout, stderr } = run(['-o', output], urls);
+            assert.strictEqual(code, 1);
+            assert.strictEqual(stdout, '');
+            assert.ok(stderr.startsWith(`url-patterns: cannot write ${output}: `), stderr);
+            assert.ok(stderr.includes('ENOENT'), stderr);
+        });
+
+        test('exceeding --max-patterns exits with 2', () => {
+            assert.strictEqual(run(['--max-patterns', '2'], urls).code, 0);
+            const { code, stderr } = run(['--max-patterns', '1'], urls);
+            assert.strictEqual(code, 2);
+            assert.ok(stderr.includes('2 patterns found (maximum: 1)'), stderr);
+        });
+
+        test('exceeding --max-pattern-urls exits with 2', () => {
+            const { code, stderr } = run(['--max-pattern-urls=2'], urls);
+            assert.strictEqual(code, 2);
+            assert.ok(stderr.includes('https://example.com/products/… has 3 URLs'), stderr);
+        });
+    });
+});
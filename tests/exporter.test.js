@@ -0,0 +1,116 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const UrlAnalyzer = require('../site/js/analyzer.js');
+const RouteExporter = require('../site/js/exporter.js');
+
+describe('RouteExporter', () => {
+    const analyzer = new UrlAnalyzer();
+    const exporter = new RouteExporter();
+
+    const patterns = analyzer.analyze([
+        'https://example.com/',
+        'https://example.com/products/123',
+        'https://example.com/products/456',
+        'https://example.com/products/111/reviews',
+        'https://example.com/products/222/reviews',
+        'https://example.com/products/333/reviews',
+        'https://example.com/blog/hello-world',
+        'https://example.com/blog/good-bye-world',
+        'http://example.com/blog/other-post',
+        'http://example.com/blog/last-post'
+    ]);
+
+    describe('toRoutes', () => {
+        test('parameters are named after the preceding segment', () => {
+            const paths = exporter.toRoutes(patterns).map(r => r.path).sort();
+            assert.deepStrictEqual(paths, [
+                '/',
+                '/blog/:blogSlug',
+                '/products/:productId',
+                '/products/:productId/reviews'
+            ]);
+        });
+
+        test('patterns with the same path are merged across schemes and hosts', () => {
+            const blog = exporter.toRoutes(patterns).find(r => r.path === '/blog/:blogSlug');
+            assert.strictEqual(blog.count, 4);
+        });
+
+        test('parameters without a literal in front get positional names', () => {
+            const routes = exporter.toRoutes(analyzer.analyze([
+                'https://example.com/1/2',
+                'https://example.com/3/4'
+            ]));
+            assert.deepStrictEqual(routes.map(r => r.path), ['/:param1/:param2']);
+        });
+
+        test('plural segments are singularized', () => {
+            const routes = exporter.toRoutes(analyzer.analyze([
+                'https://example.com/categories/1',
+                'https://example.com/categories/2'
+            ]));
+            assert.deepStrictEqual(routes.map(r => r.path), ['/categories/:categoryId']);
+        });
+    });
+
+    describe('formats', () => {
+        test('express', () => {
+            const output = exporter.toExpress(patterns);
+            assert.ok(output.includes("app.get('/products/:productId/reviews', handler); // 3 URLs"), output);
+        });
+
+        test('regex has named groups and matches the source URLs', () => {
+            const lines = exporter.toRegex(patterns).trim().split('\n');
+            assert.ok(lines.includes('^/products/(?<productId>\\d+)/reviews/?$'), lines.join('\n'));
+
+            const regex = new RegExp(lines.find(l => l.includes('reviews')));
+            assert.strictEqual('/products/123/reviews'.match(regex).groups.productId, '123');
+            assert.strictEqual(regex.test('/products/abc/reviews'), false);
+        });
+
+        test('nginx location blocks', () => {
+            const output = exporter.toNginx(patterns);
+            assert.ok(output.includes('location ~ "^/products/(?<productId>\\d+)/?$" {'), output);
+            assert.ok(output.includes('location ~ "^/$" {'), output);
+
+            // A decoded literal with quotes and a backslash
+            const [pattern] = new UrlAnalyzer().analyze(['https://example.com/say-%22hi%22%5C']);
+            const quoted = exporter.toNginx([{ ...pattern, pattern: 'https://example.com/say-"hi"\\' }]);
+            assert.ok(quoted.includes('location ~ "^/say-\\"hi\\"\\\\\\\\/?$" {'), quoted);
+        });
+
+        test('next.js tree', () => {
+            assert.strictEqual(exporter.toNextJs(patterns), [
+                'app/',
+                '├── blog/',
+                '│   └── [blogSlug]/',
+                '│       └── page.js',
+                '├── products/',
+                '│   └── [productId]/',
+                '│       ├── reviews/',
+                '│       │   └── page.js',
+                '│       └── page.js',
+                '└── page.js',
+                ''
+            ].join('\n'));
+        });
+
+        test('declared routes keep their names, ** matches any number of segments', () => {
+            const declared = new UrlAnalyzer({ routes: ['/docs/**/:page'] }).analyze([
+                'https://example.com/docs/a/b/intro',
+                'https://example.com/docs/x/y/z/setup'
+            ]);
+            const regex = exporter.toRegex(declared).trim();
+            assert.strictEqual(regex, '^/docs/(?<rest>.+)/(?<page>[^/]+)/?$');
+            assert.deepStrictEqual({ ...'/docs/x/y/z/setup'.match(new RegExp(regex)).groups }, { rest: 'x/y/z', page: 'setup' });
+            assert.ok(exporter.toNginx(declared).includes(`location ~ "${regex}" {`));
+            assert.strictEqual(exporter.toExpress(declared), "app.get('/docs/*/:page', handler); // 2 URLs\n");
+            assert.ok(exporter.toNextJs(declared).includes('[...rest]/'), exporter.toNextJs(declared));
+        });
+
+        test('export dispatches by format name', () => {
+            assert.strictEqual(exporter.export(patterns, 'regex'), exporter.toRegex(patterns));
+            assert.throws(() => exporter.export(patterns, 'apache'), /Unknown export format/);
+        });
+    });
+});
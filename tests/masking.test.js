@@ -0,0 +1,96 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const UrlAnalyzer = require('../site/js/analyzer.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'masking');
+
+/**
+ * Helper: Read a list of URLs (one per line, blank lines ignored)
+ */
+function readUrls(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+}
+
+/**
+ * Helper: Extract just the pattern strings from results
+ */
+function getPatterns(results) {
+    return results.map(r => r.pattern).sort();
+}
+
+// Each fixtures/masking/<name>.txt is a URL list, <name>.patterns the expected sorted patterns
+describe('Masking regression fixtures', () => {
+    const fixtures = fs.readdirSync(FIXTURES)
+        .filter(name => name.endsWith('.txt'))
+        .map(name => name.slice(0, -'.txt'.length));
+
+    for (const name of fixtures) {
+        test(name, () => {
+            const urls = readUrls(path.join(FIXTURES, `${name}.txt`));
+            const expected = readUrls(path.join(FIXTURES, `${name}.patterns`));
+
+            assert.deepStrictEqual(getPatterns(new UrlAnalyzer().analyze(urls)), expected);
+        });
+    }
+});
+
+describe('Masking test_urls.txt', () => {
+    const urls = readUrls(path.join(__dirname, '..', 'test_urls.txt'));
+    const patterns = getPatterns(new UrlAnalyzer().analyze(urls));
+
+    test('category names stay literal, products below them are masked', () => {
+        assert.ok(patterns.includes('https://www.example.com/women/dresses'));
+        assert.ok(patterns.includes('https://www.example.com/women/dresses/…'));
+        assert.ok(patterns.includes('https://www.example.com/men/accessories'));
+        assert.ok(!patterns.includes('https://www.example.com/women/…'));
+    });
+
+    test('one-off pages next to big sections are kept as routes', () => {
+        assert.ok(patterns.includes('https://www.example.com/about-us'));
+        assert.ok(patterns.includes('https://www.example.com/privacy-policy'));
+        assert.ok(patterns.includes('https://www.example.com/women'));
+        assert.ok(!patterns.includes('https://www.example.com/…'));
+    });
+
+    test('dated blog posts and slug collections are masked', () => {
+        assert.ok(patterns.includes('https://blog.example.com/2024/…/…'));
+        assert.ok(patterns.includes('https://www.example.com/promotions/…'));
+        assert.ok(patterns.includes('https://www.example.com/brands/…'));
+        assert.ok(patterns.includes('https://account.example.com/orders/…'));
+    });
+});
+
+describe('Count masking', () => {
+    test('keeps the old behaviour of masking only values seen once', () => {
+        const urls = [
+            'https://example.com/about',
+            'https://example.com/contact',
+            'https://example.com/blog/a',
+            'https://example.com/blog/b'
+        ];
+        const results = new UrlAnalyzer({ masking: 'count' }).analyze(urls);
+        const patterns = getPatterns(results);
+
+        assert.ok(patterns.includes('https://example.com/…'));
+        assert.ok(patterns.includes('https://example.com/blog/…'));
+    });
+
+    test('cardinality masking keeps the same pages as routes', () => {
+        const urls = [
+            'https://example.com/about',
+            'https://example.com/contact',
+            'https://example.com/blog/a',
+            'https://example.com/blog/b'
+        ];
+        const patterns = getPatterns(new UrlAnalyzer().analyze(urls));
+
+        assert.ok(patterns.includes('https://example.com/about'));
+        assert.ok(patterns.includes('https://example.com/contact'));
+        assert.ok(patterns.includes('https://example.com/blog/…'));
+    });
+});
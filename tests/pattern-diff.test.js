@@ -0,0 +1,121 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const UrlAnalyzer = require('../site/js/analyzer.js');
+const PatternDiff = require('../site/js/pattern-diff.js');
+
+/**
+ * Helper: Analyze two URL lists and diff the results
+ */
+function diffUrls(before, after, options) {
+    const analyzer = new UrlAnalyzer();
+    return new PatternDiff(options).diff(analyzer.analyze(before), analyzer.analyze(after));
+}
+
+/**
+ * Helper: Extract just the pattern strings from diff entries
+ */
+function getPatterns(entries) {
+    return entries.map(e => e.pattern).sort();
+}
+
+describe('PatternDiff', () => {
+    const before = [
+        'https://example.com/products/1',
+        'https://example.com/products/2',
+        'https://example.com/products/3',
+        'https://example.com/about',
+        'https://example.com/blog/a',
+        'https://example.com/blog/b',
+        'https://example.com/legacy/x',
+        'https://example.com/legacy/y'
+    ];
+    const after = [
+        'https://example.com/products/1',
+        'https://example.com/products/2',
+        'https://example.com/about',
+        'https://example.com/blog/a',
+        'https://example.com/blog/b',
+        'https://example.com/blog/c',
+        'https://example.com/shop/1',
+        'https://example.com/shop/2'
+    ];
+
+    test('reports appeared, disappeared, grown, shrunk and unchanged patterns', () => {
+        const diff = diffUrls(before, after);
+
+        assert.deepStrictEqual(getPatterns(diff.added), ['https://example.com/shop/…']);
+        assert.deepStrictEqual(getPatterns(diff.removed), ['https://example.com/legacy/…']);
+        assert.deepStrictEqual(getPatterns(diff.grown), ['https://example.com/blog/…']);
+        assert.deepStrictEqual(getPatterns(diff.shrunk), ['https://example.com/products/…']);
+        assert.deepStrictEqual(getPatterns(diff.unchanged), ['https://example.com/about']);
+    });
+
+    test('entries carry counts before and after', () => {
+        const diff = diffUrls(before, after);
+
+        assert.deepStrictEqual(diff.shrunk[0], {
+            pattern: 'https://example.com/products/…', before: 3, after: 2, change: -1
+        });
+        assert.strictEqual(diff.added[0].before, 0);
+        assert.strictEqual(diff.removed[0].after, 0);
+    });
+
+    test('reports totals for both sides', () => {
+        const diff = diffUrls(before, after);
+
+        assert.deepStrictEqual(diff.totals, {
+            before: { patterns: 4, urls: 8 },
+            after: { patterns: 4, urls: 8 }
+        });
+    });
+
+    test('lists URLs present in both sets whose pattern changed', () => {
+        const diff = diffUrls(
+            ['https://example.com/docs/intro', 'https://example.com/docs/setup', 'https://example.com/docs/api'],
+            ['https://example.com/docs/intro', 'https://example.com/guides/a', 'https://example.com/guides/b']
+        );
+
+        assert.deepStrictEqual(diff.changedUrls, [{
+            url: 'https://example.com/docs/intro',
+            before: 'https://example.com/docs/…',
+            after: 'https://example.com/docs/intro'
+        }]);
+    });
+
+    test('sorts entries by the size of the change', () => {
+        const diff = new PatternDiff().diff(
+            [],
+            [
+                { pattern: 'https://example.com/a/…', count: 2, urls: [] },
+                { pattern: 'https://example.com/b/…', count: 5, urls: [] }
+            ]
+        );
+
+        assert.deepStrictEqual(diff.added.map(e => e.pattern), [
+            'https://example.com/b/…',
+            'https://example.com/a/…'
+        ]);
+    });
+
+    test('ignoreOrigin compares paths across domains', () => {
+        const diff = diffUrls(
+            ['http://old.example.com/products/1', 'http://old.example.com/products/2'],
+            ['https://www.example.net/products/1', 'https://www.example.net/products/2', 'https://www.example.net/products/3'],
+            { ignoreOrigin: true }
+        );
+
+        assert.deepStrictEqual(getPatterns(diff.grown), ['/products/…']);
+        assert.strictEqual(diff.added.length, 0);
+        assert.strictEqual(diff.removed.length, 0);
+    });
+
+    test('without ignoreOrigin a new domain is a different pattern', () => {
+        const diff = diffUrls(
+            ['http://old.example.com/products/1', 'http://old.example.com/products/2'],
+            ['https://www.example.net/products/1', 'https://www.example.net/products/2']
+        );
+
+        assert.strictEqual(diff.added.length, 1);
+        assert.strictEqual(diff.removed.length, 1);
+    });
+});
@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const PublicSuffixList = require('../site/js/public-suffix.js');
+
+describe('PublicSuffixList', () => {
+    const psl = new PublicSuffixList();
+
+    describe('getPublicSuffix', () => {
+        test('single-label TLD', () => {
+            assert.strictEqual(psl.getPublicSuffix('www.example.com'), 'com');
+        });
+
+        test('multi-part ccTLD', () => {
+            assert.strictEqual(psl.getPublicSuffix('shop.example.co.uk'), 'co.uk');
+            assert.strictEqual(psl.getPublicSuffix('www.example.com.au'), 'com.au');
+        });
+
+        test('wildcard and exception rules', () => {
+            // *.ck with !www.ck
+            assert.strictEqual(psl.getPublicSuffix('foo.bar.ck'), 'bar.ck');
+            assert.strictEqual(psl.getPublicSuffix('www.ck'), 'ck');
+        });
+
+        test('unknown TLD falls back to last label', () => {
+            assert.strictEqual(psl.getPublicSuffix('example.unknowntld'), 'unknowntld');
+        });
+    });
+
+    describe('split', () => {
+        test('multi-part TLD with subdomain', () => {
+            assert.deepStrictEqual(psl.split('shop.example.co.uk'), {
+                domain: 'example.co.uk',
+                subdomain: 'shop',
+                publicSuffix: 'co.uk'
+            });
+        });
+
+        test('no subdomain', () => {
+            const result = psl.split('example.co.uk');
+            assert.strictEqual(result.domain, 'example.co.uk');
+            assert.strictEqual(result.subdomain, null);
+        });
+
+        test('private section entries are public suffixes', () => {
+            const result = psl.split('docs.user.github.io');
+            assert.strictEqual(result.domain, 'user.github.io');
+            assert.strictEqual(result.subdomain, 'docs');
+        });
+
+        test('private section can be disabled', () => {
+            const icannOnly = new PublicSuffixList({ includePrivate: false });
+            const result = icannOnly.split('docs.user.github.io');
+            assert.strictEqual(result.domain, 'github.io');
+            assert.strictEqual(result.subdomain, 'docs.user');
+        });
+
+        test('IP addresses and single-label hosts are kept whole', () => {
+            assert.deepStrictEqual(psl.split('192.168.0.1'),
+                { domain: '192.168.0.1', subdomain: null, publicSuffix: null });
+            assert.strictEqual(psl.split('localhost').domain, 'localhost');
+        });
+
+        test('hostname that is itself a public suffix', () => {
+            const result = psl.split('github.io');
+            assert.strictEqual(result.domain, 'github.io');
+            assert.strictEqual(result.subdomain, null);
+        });
+
+        test('punycoded IDN suffix', () => {
+            // 公司.cn
+            assert.strictEqual(psl.split('www.example.xn--55qx5d.cn').domain, 'example.xn--55qx5d.cn');
+        });
+    });
+});
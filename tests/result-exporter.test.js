@@ -0,0 +1,115 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const UrlAnalyzer = require('../site/js/analyzer.js');
+const ResultExporter = require('../site/js/result-exporter.js');
+const RobotsTxt = require('../site/js/robots.js');
+
+describe('ResultExporter', () => {
+    const exporter = new ResultExporter();
+    const patterns = new UrlAnalyzer().analyze([
+        'https://example.com/docs',
+        'https://example.com/docs/intro',
+        'https://example.com/docs/setup',
+        'https://example.com/a|b,"c"'
+    ]);
+
+    test('csv lists pattern, count and depth, quoting where needed', () => {
+        assert.strictEqual(exporter.export(patterns, 'csv'), [
+            'pattern,count,depth',
+            'https://example.com/docs,1,0',
+            'https://example.com/docs/…,2,1',
+            '"https://example.com/a|b,%22c%22",1,0',
+            ''
+        ].join('\n'));
+    });
+
+    test('csv with URLs has a row per member URL', () => {
+        const lines = exporter.export(patterns, 'csv', { includeUrls: true }).trim().split('\n');
+        assert.strictEqual(lines[0], 'pattern,count,depth,url');
+        assert.deepStrictEqual(lines.slice(2, 4), [
+            'https://example.com/docs/…,2,1,https://example.com/docs/intro',
+            'https://example.com/docs/…,2,1,https://example.com/docs/setup'
+        ]);
+    });
+
+    test('json leaves out member URLs unless asked', () => {
+        const [docs] = JSON.parse(exporter.export(patterns, 'json'));
+        assert.strictEqual(docs.pattern, 'https://example.com/docs');
+        assert.strictEqual(docs.depth, 0);
+        assert.ok(!('urls' in docs));
+
+        const withUrls = JSON.parse(exporter.export(patterns, 'json', { includeUrls: true }));
+        assert.deepStrictEqual(withUrls[1].urls, ['https://example.com/docs/intro', 'https://example.com/docs/setup']);
+    });
+
+    test('markdown indents children and escapes pipes', () => {
+        assert.strictEqual(exporter.export(patterns, 'markdown'), [
+            '| Pattern | Count | Depth |',
+            '| --- | ---: | ---: |',
+            '| `https://example.com/docs` | 1 | 0 |',
+            '| └─ `https://example.com/docs/…` | 2 | 1 |',
+            '| `https://example.com/a\\|b,%22c%22` | 1 | 0 |',
+            ''
+        ].join('\n'));
+    });
+
+    test('markdown with URLs lists them below the table', () => {
+        const lines = exporter.export(patterns, 'markdown', { includeUrls: true }).split('\n');
+        assert.deepStrictEqual(lines.slice(6, 11), [
+            '- `https://example.com/docs` (1)',
+            '  - <https://example.com/docs>',
+            '- `https://example.com/docs/…` (2)',
+            '  - <https://example.com/docs/intro>',
+            '  - <https://example.com/docs/setup>'
+        ]);
+    });
+
+    test('csv and markdown add the robots.txt check of annotated patterns', () => {
+        const checked = new UrlAnalyzer().analyze(['https://example.com/docs', 'https://example.com/docs/intro']);
+        new RobotsTxt('User-agent: *\nDisallow: /docs/').annotate(checked, '*');
+
+        assert.strictEqual(exporter.export(checked, 'csv'), [
+            'pattern,count,depth,robots_allowed,robots_blocked',
+            'https://example.com/docs,1,0,1,0',
+            'https://example.com/docs/intro,1,1,0,1',
+            ''
+        ].join('\n'));
+        assert.deepStrictEqual(exporter.export(checked, 'markdown').split('\n').slice(0, 4), [
+            '| Pattern | Count | Depth | robots.txt |',
+            '| --- | ---: | ---: | --- |',
+            '| `https://example.com/docs` | 1 | 0 | allowed |',
+            '| └─ `https://example.com/docs/intro` | 1 | 1 | blocked |'
+        ]);
+        assert.strictEqual(JSON.parse(exporter.export(checked, 'json'))[1].robots.blocked, 1);
+    });
+
+    test('guards CSV cells against formulas and fences backticks in Markdown', () => {
+        const unsafe = [{ pattern: '=HYPERLINK("https://evil.example")', count: 1, depth: 0, urls: ['@SUM(A1)'] }];
+        assert.strictEqual(exporter.export(unsafe, 'csv', { includeUrls: true }), [
+            'pattern,count,depth,url',
+            '"\'=HYPERLINK(""https://evil.example"")",1,0,\'@SUM(A1)',
+            ''
+        ].join('\n'));
+        assert.strictEqual(exporter.export(unsafe, 'mapping').split('\n')[1], '\'@SUM(A1),"\'=HYPERLINK(""https://evil.example"")"');
+
+        const ticks = [{ pattern: 'https://example.com/a`b``c', count: 1, depth: 0, urls: ['https://example.com/a`b``c'] }];
+        const lines = exporter.export(ticks, 'markdown', { includeUrls: true }).split('\n');
+        assert.strictEqual(lines[2], '| ``` https://example.com/a`b``c ``` | 1 | 0 |');
+        assert.strictEqual(lines[4], '- ``` https://example.com/a`b``c ``` (1)');
+    });
+
+    test('mapping lists every URL with its pattern', () => {
+        assert.strictEqual(exporter.export(patterns, 'mapping'), [
+            'url,pattern',
+            'https://example.com/docs,https://example.com/docs',
+            'https://example.com/docs/intro,https://example.com/docs/…',
+            'https://example.com/docs/setup,https://example.com/docs/…',
+            '"https://example.com/a|b,""c""","https://example.com/a|b,%22c%22"',
+            ''
+        ].join('\n'));
+    });
+
+    test('rejects unknown formats', () => {
+        assert.throws(() => exporter.export(patterns, 'xml'), /Unknown export format: xml/);
+    });
+});
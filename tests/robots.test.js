@@ -0,0 +1,197 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const RobotsTxt = require('../site/js/robots.js');
+
+/**
+ * Helper: Is the path allowed for the user agent under these rules?
+ */
+function allowed(content, path, userAgent = 'Googlebot') {
+    return new RobotsTxt(content).isAllowed(`https://example.com${path}`, userAgent);
+}
+
+describe('RobotsTxt', () => {
+    describe('Parsing', () => {
+        test('groups consecutive user-agent lines', () => {
+            const robots = new RobotsTxt([
+                'User-agent: Googlebot',
+                'User-agent: Bingbot/2.0',
+                'Disallow: /private',
+                '',
+                'User-agent: *',
+                'Allow: /',
+                'Disallow: /tmp'
+            ].join('\n'));
+
+            assert.deepStrictEqual(robots.groups, [
+                { userAgents: ['googlebot', 'bingbot'], rules: [{ type: 'disallow', pattern: '/private', line: 3 }] },
+                {
+                    userAgents: ['*'],
+                    rules: [{ type: 'allow', pattern: '/', line: 6 }, { type: 'disallow', pattern: '/tmp', line: 7 }]
+                }
+            ]);
+            assert.deepStrictEqual(robots.userAgents(), ['googlebot', 'bingbot']);
+        });
+
+        test('ignores comments, blank rules and rules outside a group', () => {
+            const robots = new RobotsTxt('\uFEFFDisallow: /orphan\r\n# comment\r\nUser-agent: * # everyone\r\nDisallow:\r\nDisallow: /a # no a\r\n');
+            assert.deepStrictEqual(robots.groups, [
+                { userAgents: ['*'], rules: [{ type: 'disallow', pattern: '/a', line: 5 }] }
+            ]);
+        });
+
+        test('collects sitemap lines anywhere in the file', () => {
+            const robots = new RobotsTxt('Sitemap: https://example.com/a.xml\nUser-agent: *\nDisallow: /x\nsitemap: https://example.com/b.xml');
+            assert.deepStrictEqual(robots.sitemaps, ['https://example.com/a.xml', 'https://example.com/b.xml']);
+        });
+    });
+
+    describe('User agents', () => {
+        const content = [
+            'User-agent: *',
+            'Disallow: /everyone',
+            '',
+            'User-agent: googlebot',
+            'Disallow: /google-a',
+            '',
+            'User-agent: Googlebot',
+            'Disallow: /google-b'
+        ].join('\n');
+
+        test('merges all groups of the same agent, case-insensitively', () => {
+            assert.strictEqual(allowed(content, '/google-a', 'Googlebot'), false);
+            assert.strictEqual(allowed(content, '/google-b', 'GOOGLEBOT'), false);
+        });
+
+        test('a specific group replaces the * group', () => {
+            assert.strictEqual(allowed(content, '/everyone', 'Googlebot'), true);
+            assert.strictEqual(allowed(content, '/everyone', 'Bingbot'), false);
+        });
+
+        test('matches the product token of a full user agent', () => {
+            assert.strictEqual(allowed(content, '/google-a', 'Googlebot/2.1'), false);
+        });
+
+        test('allows everything without a matching group', () => {
+            assert.strictEqual(allowed('User-agent: Bingbot\nDisallow: /', '/page', 'Googlebot'), true);
+        });
+    });
+
+    describe('Matching', () => {
+        test('matches prefixes of the path and query', () => {
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /fish', '/fish.html'), false);
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /fish', '/fishheads/yummy.html'), false);
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /fish', '/Fish.asp'), true);
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /fish', '/catfish'), true);
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /*?sort=', '/shoes?sort=price'), false);
+        });
+
+        test('* matches any characters', () => {
+            const content = 'User-agent: *\nDisallow: /fish*.php';
+            assert.strictEqual(allowed(content, '/fish.php'), false);
+            assert.strictEqual(allowed(content, '/fishheads/catfish.php?parameters'), false);
+            assert.strictEqual(allowed(content, '/Fish.PHP'), true);
+        });
+
+        test('a trailing $ anchors the end of the URL', () => {
+            const content = 'User-agent: *\nDisallow: /*.php$';
+            assert.strictEqual(allowed(content, '/filename.php'), false);
+            assert.strictEqual(allowed(content, '/folder/filename.php'), false);
+            assert.strictEqual(allowed(content, '/filename.php?parameters'), true);
+            assert.strictEqual(allowed(content, '/filename.php5'), true);
+        });
+
+        test('the longest matching rule wins', () => {
+            assert.strictEqual(allowed('User-agent: *\nAllow: /p\nDisallow: /', '/page'), true);
+            assert.strictEqual(allowed('User-agent: *\nAllow: /page\nDisallow: /*.htm', '/page.htm'), false);
+            assert.strictEqual(allowed('User-agent: *\nAllow: /$\nDisallow: /', '/'), true);
+            assert.strictEqual(allowed('User-agent: *\nAllow: /$\nDisallow: /', '/page.htm'), false);
+        });
+
+        test('allow wins a tie', () => {
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /folder\nAllow: /folder', '/folder/page'), true);
+        });
+
+        test('compares percent-encoded and raw characters alike', () => {
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /café', '/caf%c3%a9/menu'), false);
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /caf%C3%A9', '/café'), false);
+        });
+
+        test('always allows /robots.txt', () => {
+            assert.strictEqual(allowed('User-agent: *\nDisallow: /', '/robots.txt'), true);
+        });
+
+        test('reports the deciding rule', () => {
+            const robots = new RobotsTxt('User-agent: *\nDisallow: /admin\nAllow: /admin/public');
+            assert.deepStrictEqual(robots.check('/admin/users', 'Googlebot'), {
+                allowed: false,
+                rule: { type: 'disallow', pattern: '/admin', line: 2 }
+            });
+            assert.deepStrictEqual(robots.check('/blog', 'Googlebot'), { allowed: true, rule: null });
+        });
+    });
+
+    describe('Responses', () => {
+        test('a missing robots.txt allows everything', () => {
+            const robots = RobotsTxt.fromResponse('https://example.com/robots.txt', 404);
+            assert.strictEqual(robots.isAllowed('https://example.com/admin', 'Googlebot'), true);
+        });
+
+        test('a server error or no response disallows everything', () => {
+            for (const status of [503, 0]) {
+                const robots = RobotsTxt.fromResponse('https://example.com/robots.txt', status);
+                assert.strictEqual(robots.isAllowed('https://example.com/page', 'Googlebot'), false);
+            }
+        });
+    });
+
+    describe('Checking URL lists', () => {
+        test('counts allowed, blocked and other-origin URLs with the blocking rules', () => {
+            const robots = RobotsTxt.fromResponse(
+                'https://example.com/robots.txt',
+                200,
+                'User-agent: *\nDisallow: /search\nDisallow: /*?sort='
+            );
+            const summary = robots.checkUrls([
+                'https://example.com/search?q=a',
+                'https://example.com/search?q=b',
+                'https://example.com/shoes?sort=price',
+                'https://example.com/shoes',
+                'http://example.com/search?q=c',
+                'https://shop.example.com/search'
+            ], 'Googlebot');
+
+            assert.deepStrictEqual(summary, {
+                allowed: 1,
+                blocked: 3,
+                skipped: 2,
+                rules: [
+                    { type: 'disallow', pattern: '/search', line: 2, count: 2 },
+                    { type: 'disallow', pattern: '/*?sort=', line: 3, count: 1 }
+                ]
+            });
+        });
+
+        test('annotates patterns with the check of their URLs', () => {
+            const robots = new RobotsTxt('User-agent: *\nDisallow: /cart\n\nUser-agent: Googlebot\nDisallow: /');
+            const patterns = [
+                { pattern: 'https://example.com/cart/…', urls: ['https://example.com/cart/1', 'https://example.com/cart/2'] },
+                { pattern: 'https://example.com/about', urls: ['https://example.com/about'] }
+            ];
+
+            assert.strictEqual(robots.annotate(patterns, '*'), 2);
+            assert.deepStrictEqual(patterns[0].robots, {
+                userAgent: '*',
+                allowed: 0,
+                blocked: 2,
+                skipped: 0,
+                rules: [{ type: 'disallow', pattern: '/cart', line: 2, count: 2 }]
+            });
+            assert.deepStrictEqual(patterns.map(p => RobotsTxt.describeCheck(p.robots)), ['blocked', 'allowed']);
+
+            assert.strictEqual(robots.annotate(patterns, 'Googlebot'), 3);
+            assert.strictEqual(patterns[1].robots.userAgent, 'Googlebot');
+            assert.strictEqual(RobotsTxt.describeCheck({ allowed: 1, blocked: 2, skipped: 0 }), '2 of 3 blocked');
+            assert.strictEqual(RobotsTxt.describeCheck({ allowed: 0, blocked: 0, skipped: 4 }), '–');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { loadSettings, createServer } = require('../bin/sitemap-proxy.js');
+
+/**
+ * Helper: Start a server on a free port and return its base URL
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+function writeConfig(settings) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-proxy-'));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(settings));
+    return file;
+}
+
+describe('Sitemap proxy server', () => {
+    describe('Settings', () => {
+        test('defaults to localhost', () => {
+            const settings = loadSettings(null, {});
+            assert.strictEqual(settings.HOST, '127.0.0.1');
+            assert.strictEqual(settings.PORT, 8787);
+            assert.strictEqual(settings.ALLOWED_ORIGINS, 'http://localhost:*,http://127.0.0.1:*');
+        });
+
+        test('environment overrides the config file', () => {
+            const file = writeConfig({ PORT: 9000, MAX_TOTAL_URLS: 1000, USER_AGENT: 'FromFile/1.0' });
+            const settings = loadSettings(file, { USER_AGENT: 'FromEnv/1.0', HOME: '/root' });
+
+            assert.strictEqual(settings.PORT, 9000);
+            assert.strictEqual(settings.MAX_TOTAL_URLS, 1000);
+            assert.strictEqual(settings.USER_AGENT, 'FromEnv/1.0');
+            assert.strictEqual(settings.HOME, undefined);
+        });
+
+        test('rejects unknown settings in the config file', () => {
+            const file = writeConfig({ MAX_URLS: 1000 });
+            assert.throws(() => loadSettings(file, {}), /Unknown settings in .*: MAX_URLS/);
+        });
+
+        test('rejects invalid limits at startup', async () => {
+            await assert.rejects(
+                createServer(loadSettings(null, { MAX_INDEX_DEPTH: 'deep' })),
+                /MAX_INDEX_DEPTH must be a positive integer/
+            );
+        });
+    });
+
+    describe('Serving', () => {
+        let origin;
+        let originUrl;
+        let proxy;
+        let proxyUrl;
+        const userAgents = [];
+
+        before(async () => {
+            // A site with a sitemap index, served over real HTTP
+            origin = http.createServer((req, res) => {
+                userAgents.push(req.headers['user-agent']);
+                const pages = {
+                    '/robots.txt': `Sitemap: ${originUrl}/sitemap.xml\n`,
+                    '/sitemap.xml': '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+                        `<sitemap><loc>${originUrl}/pages.xml</loc></sitemap></sitemapindex>`,
+                    '/pages.xml': '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+                        `<url><loc>${originUrl}/about</loc></url><url><loc>${originUrl}/contact</loc></url></urlset>`
+                };
+                if (pages[req.url]) {
+                    res.writeHead(200, { 'Content-Type': 'application/xml' });
+                    res.end(pages[req.url]);
+                } else {
+                    res.writeHead(404);
+                    res.end();
+                }
+            });
+            originUrl = await listen(origin);
+
+            proxy = await createServer(loadSettings(null, {
+                ALLOWED_ORIGINS: 'http://localhost:*,https://app.example',
+                USER_AGENT: 'LocalProxyTest/1.0'
+            }));
+            proxyUrl = await listen(proxy);
+        });
+
+        after(() => {
+            proxy.close();
+            origin.close();
+        });
+
+        test('discovers and fetches sitemaps like the worker', async () => {
+            const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(originUrl)}`, {
+                headers: { Origin: 'http://localhost:8000' }
+            });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('Access-Control-Allow-Origin'), 'http://localhost:8000');
+
+            const result = await response.json();
+            assert.strictEqual(result.sitemapCount, 2);
+            assert.deepStrictEqual(result.entries.map(e => e.loc), [`${originUrl}/about`, `${originUrl}/contact`]);
+            assert.ok(userAgents.length > 0);
+            assert.ok(userAgents.every(agent => agent === 'LocalProxyTest/1.0'));
+        });
+
+        test('streams progress', async () => {
+            const url = `${originUrl}/sitemap.xml`;
+            const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(url)}&stream=ndjson`, {
+                headers: { Origin: 'https://app.example' }
+            });
+            assert.strictEqual(response.headers.get('Content-Type'), 'application/x-ndjson');
+
+            const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+            assert.deepStrictEqual(events.map(e => e.type), ['robots', 'discovered', 'sitemap', 'discovered', 'sitemap', 'done']);
+            assert.strictEqual(events[5].urlCount, 2);
+        });
+
+        test('rejects other origins', async () => {
+            const response = await fetch(`${proxyUrl}/?url=${encodeURIComponent(originUrl)}`, {
+                headers: { Origin: 'https://evil.example' }
+            });
+            assert.strictEqual(response.status, 403);
+            assert.deepStrictEqual(await response.json(), { error: 'Unauthorized origin' });
+        });
+
+        test('answers CORS preflight requests', async () => {
+            const response = await fetch(`${proxyUrl}/`, {
+                method: 'OPTIONS',
+                headers: { Origin: 'http://127.0.0.1:5500' }
+            });
+            assert.strictEqual(response.status, 403);
+
+            const allowed = await fetch(`${proxyUrl}/`, {
+                method: 'OPTIONS',
+                headers: { Origin: 'http://localhost:5500' }
+            });
+            assert.strictEqual(allowed.status, 200);
+            assert.strictEqual(allowed.headers.get('Access-Control-Allow-Methods'), 'GET, OPTIONS');
+        });
+    });
+});
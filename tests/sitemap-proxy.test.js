@@ -0,0 +1,420 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'sitemaps');
+
+// Responses served by the fetch stub: URL -> { body, headers }
+const responses = new Map();
+
+function serveFile(url, file, headers = {}) {
+    responses.set(url, { body: fs.readFileSync(path.join(FIXTURES, file)), headers });
+}
+
+function sitemapIndexXml(urls) {
+    const sitemaps = urls.map(url => `<sitemap><loc>${url}</loc></sitemap>`).join('');
+    return `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${sitemaps}</sitemapindex>`;
+}
+
+function urlsetXml(urls) {
+    return `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls.map(url => `<url><loc>${url}</loc></url>`).join('')}</urlset>`;
+}
+
+function serveXml(url, xml) {
+    responses.set(url, { body: xml, headers: { 'Content-Type': 'application/xml' } });
+}
+
+/**
+ * Helper: Call the worker like the browser does and return the JSON result
+ */
+async function proxy(worker, url) {
+    const response = await worker.fetch(new Request(`https://proxy.example/?url=${encodeURIComponent(url)}`));
+    return response.json();
+}
+
+/**
+ * Helper: Just the URLs of the returned entries
+ */
+function locs(result) {
+    return result.entries.map(entry => entry.loc);
+}
+
+describe('Sitemap proxy worker', () => {
+    let worker;
+    const originalFetch = globalThis.fetch;
+
+    before(async () => {
+        worker = (await import('../worker/sitemap-proxy.js')).default;
+        globalThis.fetch = async (url) => {
+            const entry = responses.get(String(url));
+            if (!entry) return new Response('Not found', { status: 404 });
+            return new Response(entry.body, { headers: entry.headers });
+        };
+    });
+
+    after(() => {
+        globalThis.fetch = originalFetch;
+        responses.clear();
+    });
+
+    describe('XML parsing', () => {
+        test('returns entries with lastmod, changefreq, priority and hreflang alternates', async () => {
+            serveFile('https://example.com/metadata.xml', 'metadata.xml');
+
+            const result = await proxy(worker, 'https://example.com/metadata.xml');
+            assert.deepStrictEqual(result.entries[0], {
+                loc: 'https://example.com/en/products/1',
+                lastmod: '2024-05-01T10:00:00+00:00',
+                changefreq: 'weekly',
+                priority: 0.8,
+                alternates: [
+                    { hreflang: 'en', href: 'https://example.com/en/products/1' },
+                    { hreflang: 'de', href: 'https://example.com/de/produkte/1' }
+                ],
+                images: [
+                    { loc: 'https://example.com/images/1.jpg', caption: 'Red shoe <b>on sale</b>' },
+                    { loc: 'https://example.com/images/1-back.jpg' }
+                ]
+            });
+        });
+
+        test('decodes CDATA and entities, and skips invalid priorities', async () => {
+            serveFile('https://example.com/metadata.xml', 'metadata.xml');
+
+            const result = await proxy(worker, 'https://example.com/metadata.xml');
+            assert.deepStrictEqual(result.entries[1], {
+                loc: 'https://example.com/search?q=shoes&page=2',
+                lastmod: '2024-06-15'
+            });
+            assert.deepStrictEqual(result.entries[2], { loc: 'https://example.com/search?q=hats&page=3' });
+        });
+
+        test('reads video and news extensions', async () => {
+            serveFile('https://example.com/metadata.xml', 'metadata.xml');
+
+            const result = await proxy(worker, 'https://example.com/metadata.xml');
+            assert.deepStrictEqual(result.entries[3].videos, [{
+                title: 'Intro \u2013 "Getting started"',
+                thumbnailLoc: 'https://example.com/thumbs/intro.jpg',
+                duration: '120'
+            }]);
+            assert.deepStrictEqual(result.entries[4].news, {
+                publicationName: 'Example News',
+                language: 'en',
+                publicationDate: '2024-06-01',
+                title: 'We launched'
+            });
+        });
+
+        test('parses documents split into arbitrary chunks', async () => {
+            const xml = fs.readFileSync(path.join(FIXTURES, 'metadata.xml'));
+            const whole = await proxy(worker, 'https://example.com/metadata.xml');
+
+            // Serve the same document 7 bytes at a time
+            const originalStub = globalThis.fetch;
+            globalThis.fetch = async () => new Response(new ReadableStream({
+                start(controller) {
+                    for (let i = 0; i < xml.length; i += 7) {
+                        controller.enqueue(xml.subarray(i, i + 7));
+                    }
+                    controller.close();
+                }
+            }));
+            try {
+                const chunked = await proxy(worker, 'https://example.com/metadata.xml');
+                assert.deepStrictEqual(chunked.entries, whole.entries);
+            } finally {
+                globalThis.fetch = originalStub;
+            }
+        });
+
+        test('resolves namespace prefixes in sitemap indexes', async () => {
+            serveFile('https://example.com/prefixed-index.xml', 'prefixed-index.xml');
+            serveFile('https://example.com/sitemaps/blog.xml', 'blog.xml');
+
+            const result = await proxy(worker, 'https://example.com/prefixed-index.xml');
+            assert.strictEqual(result.sitemapCount, 2);
+            assert.deepStrictEqual(locs(result), [
+                'https://example.com/blog/first-post',
+                'https://example.com/blog/second-post'
+            ]);
+        });
+
+        test('rejects documents that are not sitemaps', async () => {
+            responses.set('https://example.com/page.xml', { body: '<html><body>Hi</body></html>', headers: {} });
+
+            const result = await proxy(worker, 'https://example.com/page.xml');
+            assert.deepStrictEqual(result.errors, [{ url: 'https://example.com/page.xml', error: 'Not a valid sitemap' }]);
+        });
+    });
+
+    describe('Sitemap indexes', () => {
+        const base = 'https://example.com/sitemaps';
+
+        test('follows nested indexes', async () => {
+            serveXml(`${base}/root.xml`, sitemapIndexXml([`${base}/products-index.xml`, `${base}/pages.xml`]));
+            serveXml(`${base}/products-index.xml`, sitemapIndexXml([`${base}/products-1.xml`]));
+            serveXml(`${base}/products-1.xml`, urlsetXml(['https://example.com/products/1']));
+            serveXml(`${base}/pages.xml`, urlsetXml(['https://example.com/about']));
+
+            const result = await proxy(worker, `${base}/root.xml`);
+            assert.strictEqual(result.sitemapCount, 4);
+            assert.deepStrictEqual(locs(result).sort(), ['https://example.com/about', 'https://example.com/products/1']);
+            assert.deepStrictEqual(result.skipped, { duplicates: 0, cycles: 0, tooDeep: 0, overLimit: 0 });
+        });
+
+        test('detects cycles between indexes', async () => {
+            serveXml(`${base}/a.xml`, sitemapIndexXml([`${base}/b.xml`]));
+            serveXml(`${base}/b.xml`, sitemapIndexXml([`${base}/a.xml`, `${base}/b.xml`, `${base}/pages.xml`]));
+            serveXml(`${base}/pages.xml`, urlsetXml(['https://example.com/about']));
+
+            const result = await proxy(worker, `${base}/a.xml`);
+            assert.strictEqual(result.sitemapCount, 3);
+            assert.strictEqual(result.skipped.cycles, 2);
+            assert.deepStrictEqual(locs(result), ['https://example.com/about']);
+        });
+
+        test('fetches each sitemap once', async () => {
+            serveXml(`${base}/dupes.xml`, sitemapIndexXml([
+                `${base}/pages.xml`,
+                `${base}/pages.xml`,
+                'https://EXAMPLE.com:443/sitemaps/pages.xml',
+                `${base}/nested.xml`
+            ]));
+            serveXml(`${base}/nested.xml`, sitemapIndexXml([`${base}/pages.xml`]));
+            serveXml(`${base}/pages.xml`, urlsetXml(['https://example.com/about']));
+
+            const result = await proxy(worker, `${base}/dupes.xml`);
+            assert.strictEqual(result.sitemapCount, 3);
+            assert.strictEqual(result.skipped.duplicates, 3);
+            assert.deepStrictEqual(locs(result), ['https://example.com/about']);
+        });
+
+        test('stops at the depth limit', async () => {
+            // level-1 -> level-2 -> level-3 are followed, level-4 lists sitemaps that are too deep
+            for (let level = 1; level <= 4; level++) {
+                serveXml(`${base}/level-${level}.xml`, sitemapIndexXml([`${base}/level-${level + 1}.xml`, `${base}/pages-${level}.xml`]));
+                serveXml(`${base}/pages-${level}.xml`, urlsetXml([`https://example.com/pages/${level}`]));
+            }
+
+            const result = await proxy(worker, `${base}/level-1.xml`);
+            assert.strictEqual(result.skipped.tooDeep, 2);
+            assert.deepStrictEqual(locs(result).sort(), [
+                'https://example.com/pages/1',
+                'https://example.com/pages/2',
+                'https://example.com/pages/3'
+            ]);
+        });
+
+        test('samples huge indexes evenly instead of refusing them', async () => {
+            const children = Array.from({ length: 120 }, (_, i) => `${base}/part-${i}.xml`);
+            serveXml(`${base}/huge.xml`, sitemapIndexXml(children));
+            children.forEach((url, i) => serveXml(url, urlsetXml([`https://example.com/items/${i}`])));
+
+            const result = await proxy(worker, `${base}/huge.xml`);
+            assert.deepStrictEqual(result.sampled, [{ url: `${base}/huge.xml`, total: 120, fetched: 50 }]);
+            assert.strictEqual(result.entries.length, 50);
+            // Spread over the whole index, not just the first 50
+            assert.ok(locs(result).includes('https://example.com/items/0'));
+            assert.ok(locs(result).includes('https://example.com/items/117'));
+        });
+
+        test('reports sitemaps over the total limit as skipped', async () => {
+            const indexes = Array.from({ length: 5 }, (_, i) => `${base}/group-${i}.xml`);
+            serveXml(`${base}/groups.xml`, sitemapIndexXml(indexes));
+            indexes.forEach((index, i) => {
+                const children = Array.from({ length: 50 }, (_, j) => `${base}/group-${i}-${j}.xml`);
+                serveXml(index, sitemapIndexXml(children));
+                children.forEach(url => serveXml(url, urlsetXml([url.replace('/sitemaps/', '/pages/')])));
+            });
+
+            const result = await proxy(worker, `${base}/groups.xml`);
+            // 1 + 5 indexes + 250 urlsets, 200 fetched
+            assert.strictEqual(result.sitemapCount, 200);
+            assert.strictEqual(result.skipped.overLimit, 56);
+        });
+    });
+
+    describe('Gzip sitemaps', () => {
+        test('decompresses .xml.gz sitemaps', async () => {
+            serveFile('https://example.com/sitemaps/products.xml.gz', 'products.xml.gz');
+
+            const result = await proxy(worker, 'https://example.com/sitemaps/products.xml.gz');
+            assert.deepStrictEqual(result.errors, []);
+            assert.deepStrictEqual(locs(result), [
+                'https://example.com/products/1',
+                'https://example.com/products/2',
+                'https://example.com/products/3'
+            ]);
+        });
+
+        test('detects gzip by magic bytes when the name and content type say XML', async () => {
+            serveFile('https://example.com/sitemap.xml', 'products.xml.gz', { 'Content-Type': 'application/xml' });
+
+            const result = await proxy(worker, 'https://example.com/sitemap.xml');
+            assert.strictEqual(result.entries.length, 3);
+        });
+
+        test('reads .xml.gz that arrives already decompressed as plain XML', async () => {
+            serveFile('https://example.com/blog.xml.gz', 'blog.xml', { 'Content-Type': 'application/x-gzip' });
+
+            const result = await proxy(worker, 'https://example.com/blog.xml.gz');
+            assert.deepStrictEqual(locs(result), [
+                'https://example.com/blog/first-post',
+                'https://example.com/blog/second-post'
+            ]);
+        });
+
+        test('follows gzipped sitemap indexes to gzipped and plain children', async () => {
+            serveFile('https://example.com/sitemap-index.xml.gz', 'sitemap-index.xml.gz');
+            serveFile('https://example.com/sitemaps/products.xml.gz', 'products.xml.gz');
+            serveFile('https://example.com/sitemaps/blog.xml', 'blog.xml');
+
+            const result = await proxy(worker, 'https://example.com/sitemap-index.xml.gz');
+            assert.strictEqual(result.sitemapCount, 3);
+            assert.strictEqual(result.entries.length, 5);
+        });
+
+        test('reports corrupt gzip data as an error', async () => {
+            serveFile('https://example.com/broken.xml.gz', 'broken.xml.gz');
+
+            const result = await proxy(worker, 'https://example.com/broken.xml.gz');
+            assert.deepStrictEqual(locs(result), []);
+            assert.strictEqual(result.errors.length, 1);
+            assert.strictEqual(result.errors[0].url, 'https://example.com/broken.xml.gz');
+        });
+
+        test('stops decompressing above the size limit', async () => {
+            // Generated rather than stored: 51 MB of spaces compress to about 50 KB
+            responses.set('https://example.com/bomb.xml.gz', {
+                body: zlib.gzipSync(Buffer.alloc(51 * 1024 * 1024, ' ')),
+                headers: {}
+            });
+
+            const result = await proxy(worker, 'https://example.com/bomb.xml.gz');
+            assert.deepStrictEqual(locs(result), []);
+            assert.match(result.errors[0].error, /larger than 50 MB uncompressed/);
+        });
+    });
+
+    describe('robots.txt', () => {
+        test('returns robots.txt with the results, also for sitemap URLs', async () => {
+            responses.set('https://robots.example/robots.txt', {
+                body: 'User-agent: *\nDisallow: /private\n',
+                headers: { 'Content-Type': 'text/plain' }
+            });
+            serveXml('https://robots.example/sitemap.xml', urlsetXml(['https://robots.example/private/1']));
+
+            const result = await proxy(worker, 'https://robots.example/sitemap.xml');
+            assert.deepStrictEqual(result.robots, {
+                url: 'https://robots.example/robots.txt',
+                status: 200,
+                content: 'User-agent: *\nDisallow: /private\n'
+            });
+            assert.deepStrictEqual(locs(result), ['https://robots.example/private/1']);
+        });
+
+        test('returns the status of a missing robots.txt', async () => {
+            serveXml('https://no-robots.example/sitemap.xml', urlsetXml(['https://no-robots.example/']));
+
+            const result = await proxy(worker, 'https://no-robots.example/sitemap.xml');
+            assert.deepStrictEqual(result.robots, { url: 'https://no-robots.example/robots.txt', status: 404, content: '' });
+        });
+    });
+
+    describe('Settings', () => {
+        test('allows only the configured origin by default', async () => {
+            const request = origin => new Request('https://proxy.example/', { method: 'OPTIONS', headers: { Origin: origin } });
+
+            const allowed = await worker.fetch(request('https://www.prokopsw.cz'));
+            assert.strictEqual(allowed.status, 200);
+            assert.strictEqual(allowed.headers.get('Access-Control-Allow-Origin'), 'https://www.prokopsw.cz');
+            assert.strictEqual((await worker.fetch(request('https://other.example'))).status, 403);
+        });
+
+        test('reads limits and origins from the environment', async () => {
+            serveXml('https://example.com/env/pages.xml', urlsetXml(['https://example.com/1', 'https://example.com/2']));
+            const env = { ALLOWED_ORIGINS: 'https://a.example, https://b.example', MAX_TOTAL_URLS: '1' };
+
+            const response = await worker.fetch(new Request(
+                `https://proxy.example/?url=${encodeURIComponent('https://example.com/env/pages.xml')}`,
+                { headers: { Origin: 'https://b.example' } }
+            ), env);
+            const result = await response.json();
+            assert.deepStrictEqual(locs(result), ['https://example.com/1']);
+            assert.match(result.errors[0].error, /URL limit reached \(1\)/);
+        });
+
+        test('reports invalid settings', async () => {
+            const response = await worker.fetch(new Request('https://proxy.example/?url=example.com'), { CONCURRENCY: '0' });
+            assert.strictEqual(response.status, 500);
+            assert.match((await response.json()).error, /^Invalid configuration: CONCURRENCY/);
+        });
+    });
+
+    describe('Streaming progress', () => {
+        const base = 'https://example.com/stream';
+
+        async function streamEvents(url) {
+            const response = await worker.fetch(
+                new Request(`https://proxy.example/?url=${encodeURIComponent(url)}&stream=ndjson`)
+            );
+            assert.strictEqual(response.headers.get('Content-Type'), 'application/x-ndjson');
+            const text = await response.text();
+            assert.ok(text.endsWith('\n'));
+            return text.trim().split('\n').map(line => JSON.parse(line));
+        }
+
+        test('streams discovered and fetched sitemaps, errors and a final summary', async () => {
+            serveXml(`${base}/index.xml`, sitemapIndexXml([`${base}/pages.xml`, `${base}/missing.xml`]));
+            serveXml(`${base}/pages.xml`, urlsetXml(['https://example.com/about', 'https://example.com/contact']));
+
+            const events = await streamEvents(`${base}/index.xml`);
+            assert.deepStrictEqual(events.map(e => [e.type, e.url]), [
+                ['robots', 'https://example.com/robots.txt'],
+                ['discovered', `${base}/index.xml`],
+                ['sitemap', `${base}/index.xml`],
+                ['discovered', `${base}/pages.xml`],
+                ['discovered', `${base}/missing.xml`],
+                ['sitemap', `${base}/pages.xml`],
+                ['error', `${base}/missing.xml`],
+                ['done', undefined]
+            ]);
+            assert.deepStrictEqual(events[3], { type: 'discovered', url: `${base}/pages.xml`, parent: `${base}/index.xml` });
+            assert.deepStrictEqual(events[2], { type: 'sitemap', url: `${base}/index.xml`, kind: 'sitemapindex', count: 2 });
+            assert.strictEqual(events[5].count, 2);
+            assert.deepStrictEqual(events[5].entries.map(e => e.loc), ['https://example.com/about', 'https://example.com/contact']);
+            assert.deepStrictEqual(events[7], {
+                type: 'done',
+                sitemapCount: 2,
+                urlCount: 2,
+                skipped: { duplicates: 0, cycles: 0, tooDeep: 0, overLimit: 0 },
+                sampled: []
+            });
+        });
+
+        test('ends with done after a fetch that fails the whole crawl', async () => {
+            const stub = globalThis.fetch;
+            // Rejecting with null fails even the error handling of a single sitemap
+            globalThis.fetch = async (url) => String(url).endsWith('robots.txt') ? stub(url) : Promise.reject(null);
+            try {
+                const events = await streamEvents(`${base}/broken.xml`);
+                assert.deepStrictEqual(events.slice(-2).map(e => [e.type, e.url]), [
+                    ['error', `${base}/broken.xml`],
+                    ['done', undefined]
+                ]);
+                assert.match(events[events.length - 2].error, /null/);
+                assert.strictEqual(events[events.length - 1].urlCount, 0);
+            } finally {
+                globalThis.fetch = stub;
+            }
+        });
+
+        test('ends with done after an invalid URL', async () => {
+            const events = await streamEvents('not a url');
+            assert.deepStrictEqual(events.map(e => e.type), ['error', 'done']);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const SitemapFetcher = require('../site/js/sitemap.js');
+
+const PROXY_URL = 'https://proxy.example/';
+
+// Handler for requests to the proxy: URL -> Response
+let proxyHandler;
+
+/**
+ * Helper: An ndjson response delivered in the given text chunks
+ */
+function ndjsonResponse(chunks) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        }
+    });
+    return new Response(body, { headers: { 'Content-Type': 'application/x-ndjson' } });
+}
+
+function lines(events) {
+    return events.map(event => JSON.stringify(event) + '\n').join('');
+}
+
+const EVENTS = [
+    { type: 'discovered', url: 'https://example.com/sitemap.xml', parent: null },
+    { type: 'sitemap', url: 'https://example.com/sitemap.xml', kind: 'sitemapindex', count: 2 },
+    { type: 'discovered', url: 'https://example.com/a.xml', parent: 'https://example.com/sitemap.xml' },
+    { type: 'discovered', url: 'https://example.com/b.xml', parent: 'https://example.com/sitemap.xml' },
+    {
+        type: 'sitemap', url: 'https://example.com/a.xml', kind: 'urlset', count: 2,
+        entries: [{ loc: 'https://example.com/1', lastmod: '2024-01-01' }, { loc: 'https://example.com/2' }]
+    },
+    { type: 'error', url: 'https://example.com/b.xml', error: 'HTTP 404' },
+    {
+        type: 'done', sitemapCount: 2, urlCount: 2,
+        skipped: { duplicates: 1, cycles: 0, tooDeep: 0, overLimit: 0 }, sampled: []
+    }
+];
+
+describe('SitemapFetcher', () => {
+    const originalFetch = globalThis.fetch;
+    const fetcher = new SitemapFetcher(PROXY_URL);
+
+    before(() => {
+        globalThis.fetch = async (url) => proxyHandler(String(url));
+    });
+
+    after(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    beforeEach(() => {
+        proxyHandler = () => ndjsonResponse([lines(EVENTS)]);
+    });
+
+    describe('Streaming', () => {
+        test('asks the proxy for a stream of the normalized URL', async () => {
+            let requested;
+            proxyHandler = (url) => {
+                requested = url;
+                return ndjsonResponse([lines(EVENTS)]);
+            };
+
+            await fetcher.fetchUrls(' example.com ');
+            assert.strictEqual(requested, `${PROXY_URL}?url=${encodeURIComponent('https://example.com')}&stream=ndjson`);
+        });
+
+        test('collects entries, errors and the summary', async () => {
+            const result = await fetcher.fetchUrls('example.com');
+            assert.deepStrictEqual(result.urls, ['https://example.com/1', 'https://example.com/2']);
+            assert.strictEqual(result.entries[0].lastmod, '2024-01-01');
+            assert.deepStrictEqual(result.errors, [
+                { url: 'https://example.com/b.xml', error: { type: 'remote', message: 'HTTP 404' } }
+            ]);
+            assert.strictEqual(result.sitemapCount, 2);
+            assert.strictEqual(result.skipped.duplicates, 1);
+        });
+
+        test('reports every event without entries to onProgress', async () => {
+            const events = [];
+            await fetcher.fetchUrls('example.com', { onProgress: event => events.push(event) });
+
+            assert.deepStrictEqual(events.map(e => e.type), EVENTS.map(e => e.type));
+            assert.ok(events.every(e => !('entries' in e)));
+            assert.strictEqual(events[4].count, 2);
+        });
+
+        test('reassembles events split across chunks', async () => {
+            const text = lines(EVENTS);
+            proxyHandler = () => ndjsonResponse([text.slice(0, 7), text.slice(7, 150), text.slice(150)]);
+
+            const events = [];
+            for await (const event of fetcher.events('example.com')) {
+                events.push(event);
+            }
+            assert.deepStrictEqual(events, EVENTS);
+        });
+
+        test('keeps what arrived when the stream ends early', async () => {
+            proxyHandler = () => ndjsonResponse([lines(EVENTS.slice(0, 5))]);
+
+            const result = await fetcher.fetchUrls('example.com');
+            assert.strictEqual(result.urls.length, 2);
+            assert.strictEqual(result.errors.length, 1);
+            assert.strictEqual(result.errors[0].error.type, 'network');
+        });
+    });
+
+    describe('Errors and older proxies', () => {
+        test('reports proxy errors', async () => {
+            proxyHandler = () => Response.json({ error: 'Unauthorized origin' }, { status: 403 });
+
+            const result = await fetcher.fetchUrls('example.com');
+            assert.deepStrictEqual(result.urls, []);
+            assert.deepStrictEqual(result.errors, [
+                { url: 'example.com', error: { type: 'network', message: 'Unauthorized origin' } }
+            ]);
+        });
+
+        test('accepts a single JSON response from a proxy without streaming', async () => {
+            proxyHandler = () => Response.json({
+                entries: [{ loc: 'https://example.com/1' }],
+                errors: [{ url: 'https://example.com/b.xml', error: 'HTTP 404' }],
+                sitemapCount: 1
+            });
+
+            const events = [];
+            const result = await fetcher.fetchUrls('example.com', { onProgress: event => events.push(event) });
+            assert.deepStrictEqual(result.urls, ['https://example.com/1']);
+            assert.strictEqual(result.errors[0].error.message, 'HTTP 404');
+            assert.strictEqual(result.sitemapCount, 1);
+            assert.deepStrictEqual(result.skipped, SitemapFetcher.NO_SKIPPED);
+            assert.deepStrictEqual(events.map(e => e.type), ['error', 'sitemap', 'done']);
+        });
+
+        test('parses the robots.txt the proxy sends', async () => {
+            proxyHandler = () => ndjsonResponse([lines([
+                { type: 'robots', url: 'https://example.com/robots.txt', status: 200, content: 'User-agent: *\nDisallow: /private' },
+                ...EVENTS
+            ])]);
+
+            const result = await fetcher.fetchUrls('example.com');
+            assert.strictEqual(result.robots.origin, 'https://example.com');
+            assert.strictEqual(result.robots.isAllowed('https://example.com/private/1', 'Googlebot'), false);
+        });
+
+        test('has no robots.txt from proxies that don\'t send it', async () => {
+            const result = await fetcher.fetchUrls('example.com');
+            assert.strictEqual(result.robots, null);
+        });
+
+        test('accepts bare URLs from proxies older than the entries format', async () => {
+            proxyHandler = () => Response.json({ urls: ['https://example.com/1'], errors: [], sitemapCount: 1 });
+
+            const result = await fetcher.fetchUrls('example.com');
+            assert.deepStrictEqual(result.entries, [{ loc: 'https://example.com/1' }]);
+        });
+    });
+
+    describe('With the proxy worker', () => {
+        test('streams a real sitemap index and robots.txt through the worker', async () => {
+            const worker = (await import('../worker/sitemap-proxy.js')).default;
+            const sitemaps = {
+                'https://example.com/robots.txt': 'User-agent: *\nDisallow: /about\n',
+                'https://example.com/sitemap.xml':
+                    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+                    '<sitemap><loc>https://example.com/pages.xml</loc></sitemap></sitemapindex>',
+                'https://example.com/pages.xml':
+                    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+                    '<url><loc>https://example.com/about</loc></url></urlset>'
+            };
+            globalThis.fetch = async (url) => {
+                if (String(url).startsWith(PROXY_URL)) return worker.fetch(new Request(url));
+                const xml = sitemaps[String(url)];
+                return xml ? new Response(xml) : new Response('Not found', { status: 404 });
+            };
+
+            try {
+                const events = [];
+                const result = await fetcher.fetchUrls('https://example.com/sitemap.xml', {
+                    onProgress: event => events.push(event.type)
+                });
+                assert.deepStrictEqual(result.urls, ['https://example.com/about']);
+                assert.strictEqual(result.sitemapCount, 2);
+                assert.deepStrictEqual(events, ['robots', 'discovered', 'sitemap', 'discovered', 'sitemap', 'done']);
+                assert.strictEqual(result.robots.isAllowed('https://example.com/about', 'Googlebot'), false);
+            } finally {
+                globalThis.fetch = async (url) => proxyHandler(String(url));
+            }
+        });
+    });
+});
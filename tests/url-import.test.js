@@ -0,0 +1,158 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const UrlImporter = require('../site/js/url-import.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'import');
+
+/**
+ * Helper: Parse a fixture file with import options
+ */
+function importFixture(name, options = {}) {
+    const content = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    return new UrlImporter(options).parse(content, name);
+}
+
+describe('UrlImporter', () => {
+    describe('Format detection', () => {
+        test('recognizes exports by their columns', () => {
+            assert.strictEqual(importFixture('internal_all.csv').format, 'screaming-frog');
+            assert.strictEqual(importFixture('Pages.csv').format, 'gsc');
+            assert.strictEqual(importFixture('visits.csv').format, 'csv');
+        });
+
+        test('recognizes sitemaps, access logs and plain lists by their contents', () => {
+            const importer = new UrlImporter();
+            assert.strictEqual(importer.detectFormat('<?xml version="1.0"?><urlset></urlset>', 'export'), 'sitemap');
+            assert.strictEqual(
+                importer.detectFormat('::1 - - [01/Jan/2026:00:00:00 +0000] "GET / HTTP/1.1" 200 12', null),
+                'log'
+            );
+            assert.strictEqual(importer.detectFormat('https://example.com/a\nhttps://example.com/b', 'urls.txt'), 'text');
+        });
+    });
+
+    describe('Tables', () => {
+        test('reads the Address column of Screaming Frog exports below the report title', () => {
+            const result = importFixture('internal_all.csv');
+            assert.deepStrictEqual(result.urls, [
+                'https://example.com/',
+                'https://example.com/products/1',
+                'https://example.com/products/2'
+            ]);
+            assert.strictEqual(result.columns[result.column], 'Address');
+            assert.strictEqual(result.columns.length, 6);
+        });
+
+        test('reads Search Console exports with a byte order mark', () => {
+            const result = importFixture('Pages.csv');
+            assert.deepStrictEqual(result.urls, [
+                'https://example.com/blog/hello',
+                'https://example.com/blog/world',
+                'https://example.com/'
+            ]);
+            assert.strictEqual(result.column, 0);
+        });
+
+        test('detects semicolon-separated CSV', () => {
+            const result = importFixture('visits.csv');
+            assert.deepStrictEqual(result.columns, ['id', 'page', 'visits']);
+            assert.deepStrictEqual(result.urls, ['https://example.com/a', 'https://example.com/b']);
+        });
+
+        test('reads the other columns as metrics', () => {
+            const result = importFixture('Pages.csv');
+            assert.deepStrictEqual(result.metrics, ['Clicks', 'Impressions', 'CTR', 'Position']);
+            assert.deepStrictEqual(result.entries[0], {
+                loc: 'https://example.com/blog/hello',
+                metrics: { Clicks: 120, Impressions: 3400, CTR: 3.53, Position: 4.2 }
+            });
+        });
+
+        test('keeps status codes and repeating text as categories, leaves out titles', () => {
+            const { entries, metrics } = importFixture('internal_all.csv');
+            assert.deepStrictEqual(metrics, ['Content Type', 'Status Code', 'Status']);
+            assert.deepStrictEqual(entries[2].metrics, {
+                'Content Type': 'text/html; charset=UTF-8',
+                'Status Code': '301',
+                Status: 'Moved Permanently'
+            });
+        });
+
+        test('reads decimal commas in semicolon-separated files and thousands separators', () => {
+            assert.deepStrictEqual(importFixture('visits.csv').entries.map(e => e.metrics.visits), [1.5, 2.25]);
+
+            const csv = 'url,sessions,note\nhttps://example.com/a,"1,234",\nhttps://example.com/b,,\n';
+            const result = new UrlImporter().parse(csv, 'sessions.csv');
+            assert.deepStrictEqual(result.entries.map(e => e.metrics), [{ sessions: 1234 }, { sessions: null }]);
+
+            const tsv = 'URL\tClicks\nhttps://example.com/a\t1,234\nhttps://example.com/b\t12\n';
+            const tabs = new UrlImporter().parse(tsv, 'clicks.tsv');
+            assert.deepStrictEqual(tabs.entries.map(e => e.metrics), [{ Clicks: 1234 }, { Clicks: 12 }]);
+        });
+
+        test('picks a column by name or number', () => {
+            const csv = 'From,To\nhttps://old.example/1,https://new.example/1\n';
+            assert.deepStrictEqual(new UrlImporter({ column: 'to' }).parse(csv, 'redirects.csv').urls, ['https://new.example/1']);
+            assert.deepStrictEqual(new UrlImporter({ column: 2 }).parse(csv, 'redirects.csv').urls, ['https://new.example/1']);
+            assert.throws(() => new UrlImporter({ column: 'target' }).parse(csv, 'redirects.csv'), /Column not found: target/);
+            assert.throws(() => new UrlImporter({ column: 3 }).parse(csv, 'redirects.csv'), /Column not found: 3/);
+        });
+
+        test('names the columns of tables without a header', () => {
+            const result = new UrlImporter({ format: 'tsv' }).parse('42\thttps://example.com/a\n43\thttps://example.com/b\n');
+            assert.deepStrictEqual(result.columns, ['Column 1', 'Column 2']);
+            assert.strictEqual(result.column, 1);
+            assert.strictEqual(result.urls.length, 2);
+        });
+    });
+
+    describe('Access logs', () => {
+        test('turns request paths into URLs on the base site, each once', () => {
+            const result = importFixture('access.log', { baseUrl: 'https://example.com/ignored/path' });
+            assert.strictEqual(result.format, 'log');
+            assert.deepStrictEqual(result.urls, [
+                'https://example.com/products/1',
+                'https://example.com/products/2?ref=home',
+                'https://example.com/cart',
+                'http://example.org/proxy',
+                'https://example.com/about'
+            ]);
+            assert.strictEqual(result.skipped, 2);
+            assert.deepStrictEqual(result.entries[0].metrics, { hits: 2, status: '304' });
+        });
+
+        test('accepts a bare host as base', () => {
+            const result = importFixture('access.log', { baseUrl: 'shop.example.com' });
+            assert.strictEqual(result.urls[0], 'https://shop.example.com/products/1');
+        });
+
+        test('requires a base URL', () => {
+            assert.throws(() => importFixture('access.log'), /base URL/);
+        });
+    });
+
+    test('reads sitemap XML and plain lists', () => {
+        const sitemap = new UrlImporter().parse(
+            '<urlset><url><loc><![CDATA[https://example.com/?a=1&b=2]]></loc></url>' +
+            '<url><loc>https://example.com/x?a=1&amp;b=2</loc></url></urlset>'
+        );
+        assert.deepStrictEqual(sitemap.urls, ['https://example.com/?a=1&b=2', 'https://example.com/x?a=1&b=2']);
+
+        const prefixed = new UrlImporter().parse(
+            '<sm:urlset xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+            '<!-- <loc>https://example.com/commented-out</loc> -->' +
+            '<sm:url><sm:loc>https://example.com/a</sm:loc><sm:lastmod>2024-05-01</sm:lastmod></sm:url>' +
+            '</sm:urlset>'
+        );
+        assert.deepStrictEqual(prefixed.entries, [{ loc: 'https://example.com/a', lastmod: '2024-05-01' }]);
+
+        const text = new UrlImporter().parse(' https://example.com/a \r\n\r\nhttps://example.com/b');
+        assert.deepStrictEqual(text.urls, ['https://example.com/a', 'https://example.com/b']);
+    });
+
+    test('rejects unknown formats', () => {
+        assert.throws(() => new UrlImporter({ format: 'xlsx' }).parse(''), /Unknown format: xlsx/);
+    });
+});
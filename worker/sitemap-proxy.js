@@ -4,33 +4,95 @@
  * Usage: ?url=https://example.com
  *
  * - If URL is a domain: fetches robots.txt, discovers sitemaps
- * - If URL is a sitemap: fetches it directly
- * - Returns JSON: { urls: [...], errors: [...], sitemapCount: N }
+ * - If URL is a sitemap: fetches it directly (and robots.txt, to check the URLs against it)
+ * - Gzipped sitemaps (.xml.gz) are decompressed on the fly
+ * - Sitemap indexes are followed recursively, up to MAX_INDEX_DEPTH levels
+ * - Returns JSON: { entries: [...], errors: [...], sitemapCount: N, skipped: {...}, sampled: [...], robots: {...} }
+ *   Each entry is { loc } plus whatever the sitemap has: lastmod, changefreq, priority,
+ *   alternates (xhtml:link hreflang), images, videos and news.
+ *   skipped counts child sitemaps not fetched: { duplicates, cycles, tooDeep, overLimit };
+ *   sampled lists indexes with more than MAX_CHILD_SITEMAPS children: [{ url, total, fetched }].
+ *   robots is the site's robots.txt as fetched: { url, status, content } (status 0 if unreachable).
+ * - With &stream=ndjson, streams progress as newline-delimited JSON events instead:
+ *   { type: 'robots', url, status, content }     - first, once robots.txt is fetched
+ *   { type: 'discovered', url, parent }         - sitemap queued (parent is the index listing it, or null)
+ *   { type: 'sitemap', url, kind, count, entries? } - sitemap fetched; count is collected URLs for a
+ *                                                  urlset (with its entries), listed sitemaps for an index
+ *   { type: 'error', url, error }
+ *   { type: 'done', sitemapCount, urlCount, skipped, sampled } - always the last line
  *
  * IMPORTANT: If you're self-hosting this app, deploy your own worker
- * and update the ALLOWED_ORIGIN below to match your domain.
+ * and set ALLOWED_ORIGINS to your domain.
+ *
+ * This module imports site/js/sitemap-parser.js, a CommonJS script shared with the
+ * page, which in turn requires xml-stream.js. It is no single file to paste into the
+ * dashboard editor: deploy it through a bundler that handles CommonJS, such as
+ * Wrangler (see the README), or paste the output of
+ *   npx esbuild worker/sitemap-proxy.js --bundle --format=esm --outfile=sitemap-proxy.bundle.js
+ *
+ * Settings come from environment variables (Cloudflare worker variables, or the
+ * environment and config file of bin/sitemap-proxy.js, which runs this same
+ * module as a local Node server). Without them, the defaults below apply:
+ *   ALLOWED_ORIGINS     - Comma-separated origins; "*" allows any, "http://localhost:*" any port
+ *   MAX_CHILD_SITEMAPS, MAX_TOTAL_SITEMAPS, MAX_INDEX_DEPTH, MAX_TOTAL_URLS,
+ *   MAX_SITEMAP_BYTES, CONCURRENCY - see the limits below
+ *   USER_AGENT          - Sent with every request for robots.txt and sitemaps
  */
 
+import SitemapParser from '../site/js/sitemap-parser.js';
+
 // Configure this to your domain when deploying your own worker
 const ALLOWED_ORIGIN = 'https://www.prokopsw.cz';
+const USER_AGENT = 'SitemapFetcher/1.0';
 
 // Limits to prevent timeouts on very large sitemaps
+// Larger indexes are sampled: this many children, evenly spread over the index
 const MAX_CHILD_SITEMAPS = 50;
+// Sitemaps fetched per request, over all levels
+const MAX_TOTAL_SITEMAPS = 200;
+// Levels of nested sitemap indexes followed (index -> index -> urlset is 2)
+const MAX_INDEX_DEPTH = 3;
 const MAX_TOTAL_URLS = 300000;
+const CONCURRENCY = 5;
+// The sitemap protocol allows 50 MB per (uncompressed) sitemap; also guards against gzip bombs
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+// Crawlers ignore robots.txt content beyond 500 KiB (RFC 9309)
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+const GZIP_CONTENT_TYPES = ['application/gzip', 'application/x-gzip', 'application/x-gunzip'];
+
+// Numeric settings: environment variable -> default
+const LIMITS = {
+  MAX_CHILD_SITEMAPS,
+  MAX_TOTAL_SITEMAPS,
+  MAX_INDEX_DEPTH,
+  MAX_TOTAL_URLS,
+  MAX_SITEMAP_BYTES,
+  CONCURRENCY
+};
 
 export default {
-  async fetch(request) {
+  async fetch(request, env) {
     const origin = request.headers.get('Origin');
 
+    let config;
+    try {
+      config = resolveConfig(env);
+    } catch (err) {
+      return jsonResponse({ error: `Invalid configuration: ${err.message}` }, 500, {});
+    }
+    const allowed = isAllowedOrigin(origin, config.allowedOrigins);
+
     // Check if the request is from an allowed origin
     const corsHeaders = {
-      'Access-Control-Allow-Origin': origin === ALLOWED_ORIGIN ? ALLOWED_ORIGIN : '',
+      'Access-Control-Allow-Origin': allowed ? origin : '',
       'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Vary': 'Origin'
     };
 
     // Reject requests from unauthorized origins
-    if (origin && origin !== ALLOWED_ORIGIN) {
+    if (origin && !allowed) {
       return jsonResponse({ error: 'Unauthorized origin' }, 403, corsHeaders);
     }
 
@@ -44,8 +106,12 @@ export default {
       return jsonResponse({ error: 'Missing url parameter' }, 400, corsHeaders);
     }
 
+    if (new URL(request.url).searchParams.get('stream') === 'ndjson') {
+      return streamResponse(url, config, corsHeaders);
+    }
+
     try {
-      const result = await discoverAndFetch(url);
+      const result = await discoverAndFetch(url, config);
       return jsonResponse(result, 200, corsHeaders);
     } catch (err) {
       return jsonResponse({ error: err.message }, 500, corsHeaders);
@@ -53,6 +119,43 @@ export default {
   }
 };
 
+/**
+ * Settings from environment variables, falling back to the defaults above.
+ * Numbers may be given as strings (as environment variables are).
+ */
+function resolveConfig(env = {}) {
+  const config = {
+    allowedOrigins: parseList(env.ALLOWED_ORIGINS ?? ALLOWED_ORIGIN),
+    userAgent: env.USER_AGENT || USER_AGENT
+  };
+
+  for (const [name, fallback] of Object.entries(LIMITS)) {
+    const value = env[name] ?? fallback;
+    const number = Number(value);
+    if (value === '' || !Number.isInteger(number) || number < 1) {
+      throw new Error(`${name} must be a positive integer, got "${value}"`);
+    }
+    config[name] = number;
+  }
+
+  return config;
+}
+
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+function isAllowedOrigin(origin, allowedOrigins) {
+  if (!origin) return false;
+  return allowedOrigins.some(allowed => {
+    if (allowed === '*' || allowed === origin) return true;
+    // http://localhost:* - any port
+    return allowed.endsWith(':*') && origin.startsWith(allowed.slice(0, -1)) &&
+      /^\d+$/.test(origin.slice(allowed.length - 1));
+  });
+}
+
 function jsonResponse(data, status, headers) {
   return new Response(JSON.stringify(data), {
     status,
@@ -60,13 +163,70 @@ function jsonResponse(data, status, headers) {
   });
 }
 
-async function discoverAndFetch(inputUrl) {
-  const result = { urls: [], errors: [], sitemapCount: 0 };
+function streamResponse(url, config, headers) {
+  const encoder = new TextEncoder();
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    start(controller) {
+      const send = event => {
+        if (!cancelled) controller.enqueue(encoder.encode(JSON.stringify(event) + '\n'));
+      };
+
+      discoverAndFetch(url, config, send)
+        .then(result => send({
+          type: 'done',
+          sitemapCount: result.sitemapCount,
+          urlCount: result.entries.length,
+          skipped: result.skipped,
+          sampled: result.sampled
+        }))
+        .catch(err => {
+          // The error alone would read as a dropped connection: done still ends the stream
+          send({ type: 'error', url, error: err.message });
+          send({
+            type: 'done',
+            sitemapCount: 0,
+            urlCount: 0,
+            skipped: { duplicates: 0, cycles: 0, tooDeep: 0, overLimit: 0 },
+            sampled: []
+          });
+        })
+        .finally(() => {
+          if (!cancelled) controller.close();
+        });
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { ...headers, 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-store' }
+  });
+}
+
+/**
+ * @param {string} inputUrl - Domain or sitemap URL
+ * @param {Object} config - Output of resolveConfig
+ * @param {Function} [emit] - Receives the progress events of the ndjson stream as they happen
+ */
+async function discoverAndFetch(inputUrl, config, emit = () => {}) {
+  const result = {
+    entries: [],
+    errors: [],
+    sitemapCount: 0,
+    skipped: { duplicates: 0, cycles: 0, tooDeep: 0, overLimit: 0 },
+    sampled: [],
+    robots: null
+  };
 
   let baseUrl;
   try {
     baseUrl = new URL(inputUrl);
-  } catch {
+  } catch (e) {
+    emit({ type: 'error', url: inputUrl, error: 'Invalid URL' });
     return { ...result, errors: [{ url: inputUrl, error: 'Invalid URL' }] };
   }
 
@@ -74,50 +234,58 @@ async function discoverAndFetch(inputUrl) {
   const path = baseUrl.pathname.toLowerCase();
   const isSitemap = path.endsWith('.xml') || path.endsWith('.xml.gz') || path.includes('sitemap');
 
-  const sitemapUrls = isSitemap
-    ? [inputUrl]
-    : await discoverFromRobots(baseUrl.origin);
+  const { robots, sitemaps } = await discoverFromRobots(baseUrl.origin, config);
+  result.robots = robots;
+  emit({ type: 'robots', ...robots });
 
-  // Fetch all sitemaps
-  const concurrency = 5;
-  for (let i = 0; i < sitemapUrls.length; i += concurrency) {
-    const batch = sitemapUrls.slice(i, i + concurrency);
-    const results = await Promise.all(batch.map(fetchSitemap));
+  const sitemapUrls = isSitemap ? [inputUrl] : sitemaps;
 
-    for (const r of results) {
+  // Breadth-first over sitemap indexes; each item knows its ancestors to tell cycles from duplicates
+  const crawl = { queue: [], seen: new Set(), result, config, emit };
+  const queue = crawl.queue;
+  enqueueSitemaps(sitemapUrls, [], crawl);
+  let fetched = 0;
+
+  while (queue.length > 0) {
+    if (fetched >= config.MAX_TOTAL_SITEMAPS) {
+      result.skipped.overLimit += queue.length;
+      break;
+    }
+    const batch = queue.splice(0, Math.min(config.CONCURRENCY, config.MAX_TOTAL_SITEMAPS - fetched));
+    fetched += batch.length;
+    const results = await Promise.all(batch.map(item => fetchSitemap(item.url, config)));
+
+    for (let i = 0; i < results.length; i++) {
+      const r = results[i];
       if (r.error) {
         result.errors.push({ url: r.url, error: r.error });
-      } else {
-        result.sitemapCount++;
-        if (r.type === 'urlset') {
-          // Check URL limit
-          const remaining = MAX_TOTAL_URLS - result.urls.length;
-          if (remaining <= 0) {
-            result.errors.push({
-              url: 'limit',
-              error: `URL limit reached (${MAX_TOTAL_URLS.toLocaleString()}). Some URLs were not collected.`
-            });
-            return result;
-          }
-          const urlsToAdd = r.urls.slice(0, remaining);
-          result.urls = result.urls.concat(urlsToAdd);
-        } else if (r.type === 'sitemapindex') {
-          // Refuse if too many child sitemaps
-          if (r.sitemaps.length > MAX_CHILD_SITEMAPS) {
-            return {
-              urls: [],
-              errors: [{
-                url: r.url,
-                error: `Sitemap index contains ${r.sitemaps.length} sitemaps (limit: ${MAX_CHILD_SITEMAPS}). Use the "Paste URLs" tab instead.`
-              }],
-              sitemapCount: 0
-            };
-          }
-          const childResults = await fetchChildSitemaps(r.sitemaps, concurrency, result.urls.length);
-          result.urls = result.urls.concat(childResults.urls);
-          result.errors = result.errors.concat(childResults.errors);
-          result.sitemapCount += childResults.count;
+        emit({ type: 'error', url: r.url, error: r.error });
+        continue;
+      }
+      result.sitemapCount++;
+
+      if (r.type === 'urlset') {
+        // Check URL limit
+        const remaining = config.MAX_TOTAL_URLS - result.entries.length;
+        const entries = r.entries.slice(0, remaining);
+        result.entries = result.entries.concat(entries);
+        emit({ type: 'sitemap', url: r.url, kind: r.type, count: entries.length, entries });
+        if (r.entries.length > remaining) {
+          const error = `URL limit reached (${config.MAX_TOTAL_URLS.toLocaleString()}). Some URLs were not collected.`;
+          result.errors.push({ url: 'limit', error });
+          emit({ type: 'error', url: 'limit', error });
+          result.skipped.overLimit += queue.length;
+          return result;
+        }
+      } else if (r.type === 'sitemapindex') {
+        emit({ type: 'sitemap', url: r.url, kind: r.type, count: r.entries.length });
+        const lineage = [...batch[i].ancestors, batch[i].url];
+        const childUrls = r.entries.map(entry => entry.loc);
+        if (lineage.length > config.MAX_INDEX_DEPTH) {
+          result.skipped.tooDeep += childUrls.length;
+          continue;
         }
+        enqueueSitemaps(childUrls, lineage, crawl, r.url);
       }
     }
   }
@@ -125,17 +293,76 @@ async function discoverAndFetch(inputUrl) {
   return result;
 }
 
-async function discoverFromRobots(origin) {
+/**
+ * Queue and announce sitemaps that haven't been seen yet, counting cycles and duplicates.
+ * Indexes with more than MAX_CHILD_SITEMAPS new children are sampled evenly.
+ */
+function enqueueSitemaps(urls, ancestors, crawl, indexUrl = null) {
+  const { queue, seen, result, config, emit } = crawl;
+  const ancestorKeys = new Set(ancestors.map(normalizeSitemapUrl));
+  const freshKeys = new Set();
+  const fresh = [];
+  for (const url of urls) {
+    const key = normalizeSitemapUrl(url);
+    if (ancestorKeys.has(key)) {
+      result.skipped.cycles++;
+    } else if (seen.has(key) || freshKeys.has(key)) {
+      result.skipped.duplicates++;
+    } else {
+      freshKeys.add(key);
+      fresh.push({ url, key });
+    }
+  }
+
+  let selected = fresh;
+  if (indexUrl && fresh.length > config.MAX_CHILD_SITEMAPS) {
+    selected = sampleEvenly(fresh, config.MAX_CHILD_SITEMAPS);
+    result.sampled.push({ url: indexUrl, total: fresh.length, fetched: selected.length });
+  }
+
+  for (const { url, key } of selected) {
+    seen.add(key);
+    queue.push({ url, ancestors });
+    emit({ type: 'discovered', url, parent: indexUrl });
+  }
+}
+
+// Sitemap URLs differ only in case of the host or a default port: same sitemap
+function normalizeSitemapUrl(url) {
   try {
-    const response = await fetch(`${origin}/robots.txt`, {
-      headers: { 'User-Agent': 'SitemapFetcher/1.0' }
+    return new URL(url).href;
+  } catch (e) {
+    return url;
+  }
+}
+
+function sampleEvenly(items, count) {
+  const sample = [];
+  for (let i = 0; i < count; i++) {
+    sample.push(items[Math.floor(i * items.length / count)]);
+  }
+  return sample;
+}
+
+/**
+ * Fetch robots.txt: the file itself for the client, its Sitemap lines for discovery.
+ * Without any, /sitemap.xml is tried.
+ * @returns {Promise<{robots: {url: string, status: number, content: string}, sitemaps: string[]}>}
+ */
+async function discoverFromRobots(origin, config) {
+  const url = `${origin}/robots.txt`;
+  const fallback = [`${origin}/sitemap.xml`];
+
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': config.userAgent }
     });
 
     if (!response.ok) {
-      return [`${origin}/sitemap.xml`];
+      return { robots: { url, status: response.status, content: '' }, sitemaps: fallback };
     }
 
-    const content = await response.text();
+    const content = await readTextPrefix(response.body, MAX_ROBOTS_BYTES);
     const sitemaps = [];
 
     for (const line of content.split('\n')) {
@@ -145,83 +372,120 @@ async function discoverFromRobots(origin) {
       }
     }
 
-    return sitemaps.length > 0 ? sitemaps : [`${origin}/sitemap.xml`];
-  } catch {
-    return [`${origin}/sitemap.xml`];
+    return {
+      robots: { url, status: response.status, content },
+      sitemaps: sitemaps.length > 0 ? sitemaps : fallback
+    };
+  } catch (e) {
+    return { robots: { url, status: 0, content: '' }, sitemaps: fallback };
   }
 }
 
-async function fetchSitemap(url) {
+// The first maxBytes of a body as text; the rest isn't downloaded
+async function readTextPrefix(stream, maxBytes) {
+  if (!stream) return '';
+
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+
+  while (bytes < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value.subarray(0, maxBytes - bytes), { stream: true });
+    bytes += value.length;
+  }
+  await reader.cancel();
+  return text + decoder.decode();
+}
+
+async function fetchSitemap(url, config) {
   try {
     const response = await fetch(url, {
-      headers: { 'User-Agent': 'SitemapFetcher/1.0' }
+      headers: { 'User-Agent': config.userAgent }
     });
 
     if (!response.ok) {
       return { url, error: `HTTP ${response.status}` };
     }
 
-    return parseSitemap(await response.text(), url);
+    const parsed = await readSitemap(response, url, config.MAX_SITEMAP_BYTES);
+    if (!parsed.type) {
+      return { url, error: 'Not a valid sitemap' };
+    }
+    return { url, ...parsed };
   } catch (err) {
     return { url, error: err.message };
   }
 }
 
-function parseSitemap(xml, url) {
-  if (xml.includes('<sitemapindex')) {
-    const sitemaps = [];
-    const regex = /<sitemap[^>]*>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/sitemap>/gi;
-    let match;
-    while ((match = regex.exec(xml)) !== null) {
-      sitemaps.push(match[1].trim());
-    }
-    return { url, type: 'sitemapindex', sitemaps };
+/**
+ * Parse a sitemap response while it downloads, decompressing gzip on the fly.
+ * Throws once the (decompressed) body exceeds maxBytes.
+ * @returns {Promise<{type: string|null, entries: Object[]}>}
+ */
+async function readSitemap(response, url, maxBytes) {
+  const parser = new SitemapParser();
+  if (!response.body) {
+    return parser.end();
   }
 
-  if (xml.includes('<urlset')) {
-    const urls = [];
-    const regex = /<url[^>]*>[\s\S]*?<loc>([^<]+)<\/loc>[\s\S]*?<\/url>/gi;
-    let match;
-    while ((match = regex.exec(xml)) !== null) {
-      urls.push(match[1].trim());
+  // Peek at the first chunk for the gzip magic bytes, then put it back in front
+  const reader = response.body.getReader();
+  const first = await reader.read();
+  const head = first.done ? new Uint8Array(0) : first.value;
+  let stream = new ReadableStream({
+    start(controller) {
+      if (head.length > 0) controller.enqueue(head);
+      if (first.done) controller.close();
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
     }
-    return { url, type: 'urlset', urls };
+  });
+
+  if (isGzip(url, response.headers.get('Content-Type'), head)) {
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
   }
 
-  return { url, error: 'Not a valid sitemap' };
+  await readTextWithLimit(stream, maxBytes, text => parser.write(text));
+  return parser.end();
+}
+
+/**
+ * The magic bytes decide when there are any. Extension and content type only
+ * count for bodies too short to tell - a .xml.gz served with
+ * Content-Encoding: gzip arrives already decompressed.
+ */
+function isGzip(url, contentType, head) {
+  if (head.length >= 2) {
+    return head[0] === 0x1f && head[1] === 0x8b;
+  }
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return new URL(url).pathname.toLowerCase().endsWith('.gz') || GZIP_CONTENT_TYPES.includes(type);
 }
 
-async function fetchChildSitemaps(sitemapUrls, concurrency, currentUrlCount = 0) {
-  const result = { urls: [], errors: [], count: 0 };
-  let totalUrls = currentUrlCount;
-  let limitReached = false;
+async function readTextWithLimit(stream, maxBytes, onText) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let bytes = 0;
 
-  for (let i = 0; i < sitemapUrls.length && !limitReached; i += concurrency) {
-    const batch = sitemapUrls.slice(i, i + concurrency);
-    const results = await Promise.all(batch.map(fetchSitemap));
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
 
-    for (const r of results) {
-      if (r.error) {
-        result.errors.push({ url: r.url, error: r.error });
-      } else if (r.type === 'urlset') {
-        result.count++;
-        // Check if adding these URLs would exceed limit
-        const remaining = MAX_TOTAL_URLS - totalUrls;
-        if (remaining <= 0) {
-          result.errors.push({
-            url: 'limit',
-            error: `URL limit reached (${MAX_TOTAL_URLS.toLocaleString()}). Some URLs were not collected.`
-          });
-          limitReached = true;
-          break;
-        }
-        // Add URLs up to the limit
-        const urlsToAdd = r.urls.slice(0, remaining);
-        result.urls = result.urls.concat(urlsToAdd);
-        totalUrls += urlsToAdd.length;
-      }
+    bytes += value.length;
+    if (bytes > maxBytes) {
+      await reader.cancel();
+      throw new Error(`Sitemap is larger than ${maxBytes / 1024 / 1024} MB uncompressed`);
     }
+    onText(decoder.decode(value, { stream: true }));
   }
-
-  return result;
+  onText(decoder.decode());
 }